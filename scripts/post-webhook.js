@@ -0,0 +1,42 @@
+// Local poster for /webhooks/supabase: signs a Supabase-style payload and sends it.
+//
+// Usage:
+//   SUPABASE_WEBHOOK_SECRET=... node scripts/post-webhook.js <payload.json> [url]
+//
+// payload.json example:
+//   { "type": "UPDATE", "table": "applications", "schema": "public",
+//     "record": { "id": "...", "user_id": "...", "position_id": "...", "priority": 1,
+//                 "campaign_id": "...", "updated_at": "2026-01-01T10:00:00Z" },
+//     "old_record": { "id": "..." } }
+import crypto from "node:crypto";
+import fs from "node:fs";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const [payloadPath, url = `http://localhost:${process.env.PORT || 8787}/webhooks/supabase`] =
+  process.argv.slice(2);
+const secret = process.env.SUPABASE_WEBHOOK_SECRET;
+
+if (!payloadPath || !secret) {
+  console.error("usage: SUPABASE_WEBHOOK_SECRET=... node scripts/post-webhook.js <payload.json> [url]");
+  process.exit(1);
+}
+
+const body = fs.readFileSync(payloadPath, "utf8");
+JSON.parse(body); // fail fast on invalid JSON
+
+const signature = crypto.createHmac("sha256", secret).update(body).digest("hex");
+const eventId = process.env.WEBHOOK_EVENT_ID || crypto.randomUUID();
+
+const res = await fetch(url, {
+  method: "POST",
+  headers: {
+    "content-type": "application/json",
+    "x-webhook-signature": `sha256=${signature}`,
+    "x-webhook-id": eventId,
+  },
+  body,
+});
+
+console.log(res.status, await res.text());
@@ -3,19 +3,42 @@ import cors from "cors";
 import dotenv from "dotenv";
 import neo4j from "neo4j-driver";
 import { createClient } from "@supabase/supabase-js";
+import { createRemoteJWKSet, decodeProtectedHeader, errors as joseErrors, jwtVerify } from "jose";
+import Ajv2020 from "ajv/dist/2020.js";
+import crypto from "node:crypto";
+import { readFileSync } from "node:fs";
+import { once } from "node:events";
+import { Worker } from "node:worker_threads";
+import { setImmediate as yieldToEventLoop, setTimeout as sleep } from "node:timers/promises";
+import { STATUS_CODES } from "node:http";
+import { AsyncLocalStorage } from "node:async_hooks";
 
 dotenv.config();
 
+// contesto della richiesta (requestId, operazione) visibile a log, Supabase e Neo4j
+const requestContext = new AsyncLocalStorage();
+
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: "2mb" }));
+app.use(
+  express.json({
+    limit: "2mb",
+    // i webhook firmati (HMAC) vanno verificati sui byte originali
+    verify: (req, _res, buf) => {
+      if (req.url.startsWith("/webhooks/")) req.rawBody = buf;
+    },
+  })
+);
 
 function log(level, event, meta = {}) {
+  const context = requestContext.getStore();
   const payload = {
     ts: new Date().toISOString(),
     level,
     service: "graph-service",
     event,
+    ...(context?.requestId ? { requestId: context.requestId } : {}),
+    ...(context?.jobId ? { jobId: context.jobId } : {}),
     ...meta,
   };
   const line = JSON.stringify(payload);
@@ -26,6 +49,138 @@ function log(level, event, meta = {}) {
 
 log("INFO", "boot");
 
+/* ----------------------------------
+   Request context e metriche
+   -> x-request-id (ricevuto o generato) in AsyncLocalStorage: finisce in ogni riga di log,
+      negli header delle chiamate Supabase e nei metadata delle transazioni Neo4j.
+   -> registro Prometheus minimale (counter/histogram in memoria, per istanza) esposto su /metrics
+---------------------------------- */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const LATENCY_BUCKETS_SEC = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const CHAIN_COUNT_BUCKETS = [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000, 5000];
+
+const metricsRegistry = new Map(); // name -> { type, help, buckets, series: Map(labelKey -> serie) }
+
+function defineMetric(name, type, help, buckets = null) {
+  metricsRegistry.set(name, { type, help, buckets, series: new Map() });
+}
+
+function metricSeries(name, labels) {
+  const metric = metricsRegistry.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  if (!metric.series.has(key)) {
+    metric.series.set(
+      key,
+      metric.type === "histogram"
+        ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 }
+    );
+  }
+  return { metric, series: metric.series.get(key) };
+}
+
+function incrementCounter(name, labels = {}, by = 1) {
+  metricSeries(name, labels).series.value += by;
+}
+
+function observeHistogram(name, labels, value) {
+  const { metric, series } = metricSeries(name, labels);
+  metric.buckets.forEach((le, i) => {
+    if (value <= le) series.counts[i] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+}
+
+function formatMetricLabels(labels, extra = {}) {
+  const entries = Object.entries({ ...labels, ...extra });
+  if (!entries.length) return "";
+  const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const [name, metric] of metricsRegistry) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${name}${formatMetricLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((le, i) => {
+        lines.push(`${name}_bucket${formatMetricLabels(series.labels, { le })} ${series.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatMetricLabels(series.labels, { le: "+Inf" })} ${series.count}`);
+      lines.push(`${name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+      lines.push(`${name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+defineMetric("http_request_duration_seconds", "histogram", "HTTP request latency by route", LATENCY_BUCKETS_SEC);
+defineMetric("neo4j_query_duration_seconds", "histogram", "Neo4j query/transaction duration by operation", LATENCY_BUCKETS_SEC);
+defineMetric("neo4j_sleeping_waits_total", "counter", "Requests answered with NEO4J_SLEEPING");
+defineMetric("auth_failures_total", "counter", "Rejected authentication/authorization attempts");
+defineMetric("graph_chains_found", "histogram", "Chains found per request", CHAIN_COUNT_BUCKETS);
+
+function secondsSince(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+// Operazione corrente per log e metriche Neo4j: quella dichiarata dalla route, altrimenti il path della route
+function currentOperation() {
+  const store = requestContext.getStore();
+  return store?.operation ?? store?.req?.route?.path ?? "background";
+}
+
+function setCurrentOperation(operation) {
+  const store = requestContext.getStore();
+  if (store) store.operation = operation;
+}
+
+function recordAuthFailure(reason) {
+  incrementCounter("auth_failures_total", { reason });
+}
+
+app.use((req, res, next) => {
+  const incoming = req.header("x-request-id");
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  res.setHeader("x-request-id", requestId);
+  res.on("finish", () => {
+    observeHistogram(
+      "http_request_duration_seconds",
+      { method: req.method, route: req.route?.path ?? "unmatched", status_code: res.statusCode },
+      secondsSince(startedAt)
+    );
+  });
+  requestContext.run({ requestId, operation: null, req }, next);
+});
+
+// fetch di supabase-js: propaga l'x-request-id della richiesta corrente
+function fetchWithRequestId(input, init = {}) {
+  const requestId = currentRequestId();
+  if (!requestId) return fetch(input, init);
+  const headers = new Headers(init.headers);
+  headers.set("x-request-id", requestId);
+  return fetch(input, { ...init, headers });
+}
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && req.header("authorization") !== `Bearer ${METRICS_TOKEN}`) {
+    recordAuthFailure("metrics_token");
+    return res.status(401).json({ status: "ERROR", message: "Unauthorized" });
+  }
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+});
+
 const PORT = process.env.PORT || 8787;
 const APP_ENV = (process.env.APP_ENV ?? (process.env.NODE_ENV === "production" ? "production" : "development"))
   .toLowerCase();
@@ -49,14 +204,25 @@ const NEO4J_URI = process.env.NEO4J_URI;
 const NEO4J_USER = process.env.NEO4J_USER;
 const NEO4J_PASSWORD = process.env.NEO4J_PASSWORD;
 
+// Graph store: "neo4j" (default) oppure "memory" per sviluppo locale e CI senza Neo4j (vedi sezione Graph store)
+const GRAPH_STORE = (process.env.GRAPH_STORE || "neo4j").toLowerCase();
+
 // Token “legacy” per chiamate dal frontend (x-graph-token)
 const GRAPH_SERVICE_TOKEN = process.env.GRAPH_SERVICE_TOKEN;
 
-// Supabase admin (per validare Bearer token + controllo admin in tabella app_admins)
+// Supabase admin (per validare Bearer token + ruoli in tabella app_role_assignments)
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!NEO4J_URI || !NEO4J_USER || !NEO4J_PASSWORD) {
+// Segreto condiviso per la firma HMAC dei database webhooks (x-webhook-signature)
+const SUPABASE_WEBHOOK_SECRET = process.env.SUPABASE_WEBHOOK_SECRET;
+
+if (!["neo4j", "memory"].includes(GRAPH_STORE)) {
+  log("ERROR", "invalid_env_graph_store", { value: GRAPH_STORE });
+  process.exit(1);
+}
+
+if (GRAPH_STORE === "neo4j" && (!NEO4J_URI || !NEO4J_USER || !NEO4J_PASSWORD)) {
   log("ERROR", "missing_env_neo4j");
   process.exit(1);
 }
@@ -68,12 +234,530 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
 
 const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
   auth: { persistSession: false, autoRefreshToken: false },
+  global: { fetch: fetchWithRequestId },
 });
 
-const driver = neo4j.driver(
-  NEO4J_URI,
-  neo4j.auth.basic(NEO4J_USER, NEO4J_PASSWORD)
-);
+const driver = GRAPH_STORE === "neo4j"
+  ? neo4j.driver(NEO4J_URI, neo4j.auth.basic(NEO4J_USER, NEO4J_PASSWORD))
+  : null;
+
+function withTransactionMetadata(txConfig = {}) {
+  const requestId = currentRequestId();
+  return {
+    ...txConfig,
+    metadata: { ...txConfig?.metadata, ...(requestId ? { requestId } : {}), operation: currentOperation() },
+  };
+}
+
+function observeNeo4jDuration(operation, startedAt, outcome) {
+  observeHistogram("neo4j_query_duration_seconds", { operation, outcome }, secondsSince(startedAt));
+}
+
+/**
+ * Le Result di session.run restano lazy (l'export le consuma in streaming): la durata
+ * si registra quando vengono attese oppure quando l'iterazione arriva in fondo.
+ */
+function instrumentNeo4jResult(result, operation) {
+  const startedAt = process.hrtime.bigint();
+  let observed = false;
+  const settle = (outcome) => {
+    if (observed) return;
+    observed = true;
+    observeNeo4jDuration(operation, startedAt, outcome);
+  };
+
+  const then = result.then.bind(result);
+  result.then = (onFulfilled, onRejected) =>
+    then(
+      (value) => {
+        settle("ok");
+        return onFulfilled ? onFulfilled(value) : value;
+      },
+      (err) => {
+        settle("error");
+        if (onRejected) return onRejected(err);
+        throw err;
+      }
+    );
+
+  const iterate = result[Symbol.asyncIterator].bind(result);
+  result[Symbol.asyncIterator] = () => {
+    const iterator = iterate();
+    const next = iterator.next.bind(iterator);
+    iterator.next = () =>
+      next().then(
+        (step) => {
+          if (step.done) settle("ok");
+          return step;
+        },
+        (err) => {
+          settle("error");
+          throw err;
+        }
+      );
+    return iterator;
+  };
+  return result;
+}
+
+// Sessione Neo4j con request id e operazione nei metadata di transazione, durate nelle metriche.
+// Sul database del tenant se namespace.dbName è valorizzato (database-per-tenant), altrimenti su quello di default.
+// Le transazioni di scrittura registrano la sessione tra le scritture del tenant (vedi createTenantWrite).
+function openGraphSession(namespace = null) {
+  if (!driver) throw new Error(`Neo4j is not configured (GRAPH_STORE=${GRAPH_STORE})`);
+  const session = driver.session(namespace?.dbName ? { database: namespace.dbName } : {});
+  const run = session.run.bind(session);
+  session.run = (query, parameters, txConfig) =>
+    instrumentNeo4jResult(run(query, parameters, withTransactionMetadata(txConfig)), currentOperation());
+
+  const tenantWrite = tracksTenantWrites(namespace) ? createTenantWrite(namespace) : null;
+  for (const method of ["readTransaction", "writeTransaction", "executeRead", "executeWrite"]) {
+    const original = session[method].bind(session);
+    const writes = method === "writeTransaction" || method === "executeWrite";
+    session[method] = async (work, txConfig) => {
+      if (writes) await tenantWrite?.begin();
+      const operation = currentOperation();
+      const startedAt = process.hrtime.bigint();
+      try {
+        const out = await original(work, withTransactionMetadata(txConfig));
+        observeNeo4jDuration(operation, startedAt, "ok");
+        return out;
+      } catch (err) {
+        observeNeo4jDuration(operation, startedAt, "error");
+        throw err;
+      }
+    };
+  }
+  if (tenantWrite) {
+    const close = session.close.bind(session);
+    session.close = async () => {
+      try {
+        await close();
+      } finally {
+        await tenantWrite.end();
+      }
+    };
+  }
+  return session;
+}
+
+/* ----------------------------------
+   Graph store
+   -> le operazioni su grafo di build, chains, summary, counts e warmup passano da graphStore
+   -> GRAPH_STORE=neo4j (default): le funzioni Cypher delle rispettive sezioni
+   -> GRAPH_STORE=memory: grafo in processo (per istanza, perso al riavvio) per sviluppo locale e CI.
+      Solo person model, stessi filtri tenant/campagna e stessa de-duplicazione delle query Cypher;
+      le operazioni non coperte rispondono 501 GRAPH_STORE_UNSUPPORTED.
+---------------------------------- */
+const MEMORY_GRAPH_OPERATIONS = new Set([
+  "neo4j_warmup",
+  "build_graph",
+  "graph_chains",
+  "graph_summary",
+  "graph_summary_counts",
+  "graph_analytics",
+  "user_opportunities",
+  "user_deactivation_dry_run",
+]);
+
+const neo4jGraphStore = {
+  name: "neo4j",
+  supportsOperation: () => true,
+  supportsModel: () => true,
+  verifyConnectivity: () => driver.verifyConnectivity(),
+  openSession: (namespace) => openGraphSession(namespace),
+  ensureConstraints: ensureGraphConstraints,
+  clearCampaign: clearCampaignGraph,
+  loadPerimeterNodes,
+  loadCampaignEdges,
+  applyGraphDelta,
+  countPerimeterGraph,
+  recordGraphBuild,
+  listRelationships: listPersonRelationships,
+  listChains,
+  fetchDegreeStats,
+  fetchCampaignAdjacency,
+  loadEdgeAttributeIndex,
+};
+
+function memoryEdgeKey(edge) {
+  return `${edge.campaign_id}|${applicationKey(edge)}`;
+}
+
+function memoryPersonName(tenant, userId) {
+  return tenant.persons.get(userId)?.full_name ?? userId;
+}
+
+function createMemoryGraphStore() {
+  // tenantKey -> { persons, vacancies, edges, builds }; sostituito per intero al commit di una write
+  let committed = new Map();
+  let writeQueue = Promise.resolve();
+
+  const emptyTenant = () => ({ persons: new Map(), vacancies: new Map(), edges: new Map(), builds: [] });
+  const tenantOf = (runner, namespace) => runner.graph.get(namespace.tenantKey) ?? emptyTenant();
+  const writableTenantOf = (tx, namespace) => {
+    if (!tx.graph.has(namespace.tenantKey)) tx.graph.set(namespace.tenantKey, emptyTenant());
+    return tx.graph.get(namespace.tenantKey);
+  };
+  const campaignEdges = (tenant, campaignId) =>
+    [...tenant.edges.values()].filter((e) => e.campaign_id === campaignId);
+  const isLeaving = (tenant, userId) => !!tenant.persons.get(userId)?.leaving;
+  const rejectCypher = () => {
+    throw new Error("Cypher queries are not available with GRAPH_STORE=memory");
+  };
+
+  function cycleChains(tenant, campaignId, maxLen) {
+    const graph = memoryAdjacency(tenant, campaignId);
+    const seen = new Set();
+    const chains = [];
+    const path = [];
+    const onPath = new Set();
+    const visit = (start, v) => {
+      for (const edge of graph.out[v]) {
+        if (edge.toIndex === start) {
+          if (path.length < 1) continue;
+          const chain = cycleToChain(graph, [...path, edge]);
+          const key = chain.users.slice().sort().join("|");
+          if (!seen.has(key)) {
+            seen.add(key);
+            chains.push(chain);
+          }
+        } else if (path.length + 1 < maxLen && !onPath.has(edge.toIndex)) {
+          path.push(edge);
+          onPath.add(edge.toIndex);
+          visit(start, edge.toIndex);
+          onPath.delete(edge.toIndex);
+          path.pop();
+        }
+      }
+    };
+    graph.vertices.forEach((_, start) => {
+      onPath.add(start);
+      visit(start, start);
+      onPath.delete(start);
+    });
+    return chains;
+  }
+
+  function dominoChains(tenant, campaignId, maxLen) {
+    const incoming = new Map();
+    for (const edge of campaignEdges(tenant, campaignId)) {
+      const target = edge.target_user_id ?? `vacancy:${edge.target_position_id}`;
+      if (!incoming.has(target)) incoming.set(target, []);
+      incoming.get(target).push(edge);
+    }
+    const origins = [
+      ...[...tenant.vacancies.values()].map((v) => ({
+        target: `vacancy:${v.position_id}`,
+        origin: { type: "vacancy", positionId: v.position_id, title: v.title ?? null },
+      })),
+      ...[...tenant.persons.values()]
+        .filter((p) => p.leaving)
+        .map((p) => ({
+          target: p.user_id,
+          origin: { type: "leaver", userId: p.user_id, name: p.full_name ?? p.user_id },
+        })),
+    ];
+    const names = { names: new Map([...tenant.persons.keys()].map((id) => [id, memoryPersonName(tenant, id)])) };
+    const seen = new Set();
+    const chains = [];
+
+    for (const { target, origin } of origins) {
+      const moves = [];
+      const movers = new Set(origin.type === "leaver" ? [origin.userId] : []);
+      const visit = (currentTarget) => {
+        for (const edge of incoming.get(currentTarget) ?? []) {
+          const mover = edge.user_id;
+          if (movers.has(mover) || isLeaving(tenant, mover)) continue;
+          moves.push({ from: mover, priority: toNumberOrNull(edge.priority) });
+          movers.add(mover);
+          if (tenant.persons.get(mover)?.backfillable ?? true) {
+            const chain = { ...cycleToChain(names, moves), origin };
+            const key = `${origin.type}:${origin.positionId ?? origin.userId}>${chain.users.join(">")}`;
+            if (!seen.has(key)) {
+              seen.add(key);
+              chains.push(chain);
+            }
+          }
+          if (moves.length < maxLen) visit(mover);
+          movers.delete(mover);
+          moves.pop();
+        }
+      };
+      visit(target);
+    }
+    return chains;
+  }
+
+  // archi persona->persona della campagna senza persone in uscita, come fetchCampaignAdjacency
+  function memoryAdjacency(tenant, campaignId) {
+    const names = new Map();
+    const edges = [];
+    for (const edge of campaignEdges(tenant, campaignId)) {
+      if (!edge.target_user_id) continue;
+      if (isLeaving(tenant, edge.user_id) || isLeaving(tenant, edge.target_user_id)) continue;
+      names.set(edge.user_id, memoryPersonName(tenant, edge.user_id));
+      names.set(edge.target_user_id, memoryPersonName(tenant, edge.target_user_id));
+      edges.push({ from: edge.user_id, to: edge.target_user_id, priority: toNumberOrNull(edge.priority) });
+    }
+    return createAdjacency(names, edges);
+  }
+
+  function campaignSnapshot(tenant, campaignId, model) {
+    const people = {};
+    const titles = {};
+    const applications = campaignEdges(tenant, campaignId).map((edge) => {
+      people[edge.user_id] = memoryPersonName(tenant, edge.user_id);
+      let target = edge.target_user_id;
+      if (target) people[target] = memoryPersonName(tenant, target);
+      else {
+        target = `vacancy:${edge.target_position_id}`;
+        titles[target] = tenant.vacancies.get(edge.target_position_id)?.title ?? null;
+      }
+      return [edge.user_id, target, toNumberOrNull(edge.priority)];
+    });
+    return { model, people, applications, titles, occupancy: {} };
+  }
+
+  return {
+    name: "memory",
+    supportsOperation: (operation) => MEMORY_GRAPH_OPERATIONS.has(operation),
+    supportsModel: (model) => model === "person",
+    verifyConnectivity: async () => {},
+
+    openSession() {
+      return {
+        get graph() {
+          return committed;
+        },
+        run: rejectCypher,
+        async readTransaction(work) {
+          return work({ graph: committed, run: rejectCypher });
+        },
+        // write serializzate: lavorano su una copia, che diventa lo stato solo se work() va a buon fine
+        writeTransaction(work) {
+          const run = writeQueue.then(async () => {
+            const tx = { graph: structuredClone(committed), run: rejectCypher };
+            const out = await work(tx);
+            committed = tx.graph;
+            return out;
+          });
+          writeQueue = run.catch(() => {});
+          return run;
+        },
+        async close() {},
+      };
+    },
+
+    async ensureConstraints() {},
+
+    async clearCampaign(tx, namespace, campaignId) {
+      const tenant = writableTenantOf(tx, namespace);
+      for (const [key, edge] of tenant.edges) if (edge.campaign_id === campaignId) tenant.edges.delete(key);
+      const linked = new Set([...tenant.edges.values()].flatMap((e) => [e.user_id, e.target_user_id]));
+      const linkedVacancies = new Set([...tenant.edges.values()].map((e) => e.target_position_id));
+      for (const userId of [...tenant.persons.keys()]) if (!linked.has(userId)) tenant.persons.delete(userId);
+      for (const positionId of [...tenant.vacancies.keys()]) {
+        if (!linkedVacancies.has(positionId)) tenant.vacancies.delete(positionId);
+      }
+    },
+
+    async loadPerimeterNodes(tx, namespace) {
+      const tenant = tenantOf(tx, namespace);
+      return {
+        persons: new Map(
+          [...tenant.persons.values()].map((p) => [
+            p.user_id,
+            { full_name: p.full_name ?? null, leaving: p.leaving ?? false, backfillable: p.backfillable ?? null },
+          ])
+        ),
+        vacancies: new Map([...tenant.vacancies.values()].map((v) => [v.position_id, { title: v.title ?? null }])),
+      };
+    },
+
+    async loadCampaignEdges(tx, namespace, campaignId) {
+      const edges = new Map();
+      for (const e of campaignEdges(tenantOf(tx, namespace), campaignId)) {
+        const edge = {
+          user_id: e.user_id,
+          target_user_id: e.target_user_id,
+          target_position_id: e.target_position_id,
+          priority: e.priority,
+          campaign_id: campaignId,
+          attributes: { ...e.attributes },
+        };
+        edges.set(applicationKey(edge), edge);
+      }
+      return edges;
+    },
+
+    async applyGraphDelta(tx, namespace, delta) {
+      const {
+        persons = [],
+        vacancies = [],
+        edges = [],
+        removedEdges = [],
+        prunePersonIds = [],
+        prunePositionIds = [],
+      } = delta;
+      const tenant = writableTenantOf(tx, namespace);
+
+      for (const person of persons) {
+        const current = tenant.persons.get(person.user_id);
+        tenant.persons.set(person.user_id, {
+          user_id: person.user_id,
+          full_name: person.full_name ?? current?.full_name ?? null,
+          leaving: person.leaving ?? current?.leaving ?? null,
+          backfillable: person.backfillable ?? current?.backfillable ?? null,
+        });
+      }
+      for (const vac of vacancies) {
+        const current = tenant.vacancies.get(vac.position_id);
+        tenant.vacancies.set(vac.position_id, { position_id: vac.position_id, title: vac.title ?? current?.title ?? null });
+      }
+      for (const app of edges) {
+        // come i MATCH della versione Cypher: senza entrambi i nodi l'arco non viene creato
+        const hasTarget = app.target_user_id
+          ? tenant.persons.has(app.target_user_id)
+          : tenant.vacancies.has(app.target_position_id);
+        if (!tenant.persons.has(app.user_id) || !hasTarget) continue;
+        const key = memoryEdgeKey(app);
+        const current = tenant.edges.get(key);
+        tenant.edges.set(key, {
+          user_id: app.user_id,
+          target_user_id: app.target_user_id ?? null,
+          target_position_id: app.target_user_id ? null : app.target_position_id,
+          campaign_id: app.campaign_id,
+          priority: app.priority ?? null,
+          application_id: app.application_id ?? null,
+          position_id: app.position_id ?? null,
+          // sostituiti, non fusi: un attributo tolto dalla candidatura sparisce dall'arco
+          attributes: { ...app.attributes },
+        });
+      }
+      for (const app of removedEdges) tenant.edges.delete(memoryEdgeKey(app));
+
+      const allEdges = [...tenant.edges.values()];
+      let removed = 0;
+      for (const userId of new Set(prunePersonIds)) {
+        const person = tenant.persons.get(userId);
+        if (!person || person.leaving) continue;
+        if (allEdges.some((e) => e.user_id === userId || e.target_user_id === userId)) continue;
+        tenant.persons.delete(userId);
+        removed++;
+      }
+      for (const positionId of new Set(prunePositionIds)) {
+        if (!tenant.vacancies.has(positionId)) continue;
+        if (allEdges.some((e) => e.target_position_id === positionId)) continue;
+        tenant.vacancies.delete(positionId);
+        removed++;
+      }
+      return removed;
+    },
+
+    async countPerimeterGraph(runner, namespace) {
+      const tenant = tenantOf(runner, namespace);
+      return {
+        nodes: tenant.persons.size,
+        relationships: [...tenant.edges.values()].filter((e) => e.target_user_id).length,
+        vacancies: tenant.vacancies.size,
+      };
+    },
+
+    async recordGraphBuild(tx, namespace, { campaignId, model, mode, source, inputHash, counts }) {
+      const tenant = writableTenantOf(tx, namespace);
+      const build = {
+        buildId: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        inputHash,
+      };
+      tenant.builds.push({
+        build_id: build.buildId,
+        campaign_id: campaignId,
+        created_at: build.createdAt,
+        input_hash: inputHash,
+        model,
+        mode,
+        source,
+        nodes: counts.nodes,
+        relationships: counts.relationships,
+        snapshot: JSON.stringify(campaignSnapshot(tenant, campaignId, model)),
+      });
+      const expired = new Set(
+        tenant.builds
+          .filter((b) => b.campaign_id === campaignId)
+          .sort((a, b) => b.created_at.localeCompare(a.created_at))
+          .slice(GRAPH_BUILD_HISTORY_LIMIT)
+      );
+      tenant.builds = tenant.builds.filter((b) => !expired.has(b));
+      return build;
+    },
+
+    async listRelationships(session, namespace) {
+      const tenant = tenantOf(session, namespace);
+      return [...tenant.edges.values()]
+        .filter((e) => e.target_user_id)
+        .map((e) => ({
+          from_name: memoryPersonName(tenant, e.user_id),
+          to_name: memoryPersonName(tenant, e.target_user_id),
+          priority: e.priority,
+        }))
+        .sort((a, b) => compareStrings(a.from_name, b.from_name) || compareStrings(a.to_name, b.to_name));
+    },
+
+    async listChains(session, namespace, campaignId, { mode = "cycles", maxLen }) {
+      const tenant = tenantOf(session, namespace);
+      return mode === "domino"
+        ? dominoChains(tenant, campaignId, maxLen)
+        : cycleChains(tenant, campaignId, maxLen);
+    },
+
+    async fetchDegreeStats(session, namespace, campaignId) {
+      const tenant = tenantOf(session, namespace);
+      const edges = campaignEdges(tenant, campaignId);
+      const stats = { nodes: 0, edges: 0, inOut: 0, maxOutDegree: 0 };
+      for (const person of tenant.persons.values()) {
+        if (person.leaving) continue;
+        const outDeg = edges.filter((e) => e.user_id === person.user_id).length;
+        const inDeg = edges.filter((e) => e.target_user_id === person.user_id).length;
+        stats.nodes += 1;
+        stats.edges += outDeg;
+        stats.inOut += outDeg * inDeg;
+        stats.maxOutDegree = Math.max(stats.maxOutDegree, outDeg);
+      }
+      return stats;
+    },
+
+    async fetchCampaignAdjacency(session, namespace, campaignId) {
+      return memoryAdjacency(tenantOf(session, namespace), campaignId);
+    },
+
+    async loadEdgeAttributeIndex(session, namespace, campaignId) {
+      return new Map(
+        campaignEdges(tenantOf(session, namespace), campaignId).map((e) => [
+          `${e.user_id}>${e.target_user_id ?? `vacancy:${e.target_position_id}`}`,
+          { ...e.attributes },
+        ])
+      );
+    },
+  };
+}
+
+// ordinamento per code point, come ORDER BY sulle stringhe in Cypher
+function compareStrings(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+const graphStore = GRAPH_STORE === "memory" ? createMemoryGraphStore() : neo4jGraphStore;
+
+function rejectGraphStoreUnsupported(res, what) {
+  return res.status(501).json({
+    status: "ERROR",
+    code: "GRAPH_STORE_UNSUPPORTED",
+    message: `${what} is not available with GRAPH_STORE=${graphStore.name}`,
+  });
+}
 
 function rejectFeatureDisabled(res, code, message) {
   return res.status(403).json({
@@ -105,7 +789,7 @@ function requireHarnessEnabled(res) {
 
 async function ensureNeo4jReady(retries = 20) {
   try {
-    await driver.verifyConnectivity();
+    await graphStore.verifyConnectivity();
     return;
   } catch {
     if (retries <= 0) throw new Error("Neo4j not ready");
@@ -116,10 +800,15 @@ async function ensureNeo4jReady(retries = 20) {
 }
 
 async function ensureNeo4jOrWaitResponse(res, operation, scope = null) {
+  setCurrentOperation(operation);
+  if (!graphStore.supportsOperation(operation)) {
+    rejectGraphStoreUnsupported(res, operation);
+    return false;
+  }
   try {
     await ensureNeo4jReady(20);
-    return true;
   } catch (e) {
+    incrementCounter("neo4j_sleeping_waits_total", { operation });
     log("WARN", "neo4j_wait", {
       operation,
       companyId: scope?.companyId ?? null,
@@ -134,101 +823,1744 @@ async function ensureNeo4jOrWaitResponse(res, operation, scope = null) {
     });
     return false;
   }
+  return ensureTenantDatabaseOrRespond(res, operation, scope);
 }
 
-/**
- * Ritorna:
- * - { mode: "token" } se header x-graph-token valido (richiede GRAPH_SERVICE_TOKEN settato)
- * - { mode: "supabase", userId } se Authorization Bearer valido
- * - null se non autenticato
- */
-async function resolveAuth(req) {
-  // 1) legacy token mode (x-graph-token)
-  const token = req.header("x-graph-token");
-  if (token && GRAPH_SERVICE_TOKEN && token === GRAPH_SERVICE_TOKEN) {
-    return { mode: "token" };
+// La mappa database-per-tenant va letta prima di resolveGraphNamespace
+async function ensureTenantDatabaseOrRespond(res, operation, scope) {
+  try {
+    await refreshTenantDatabases();
+  } catch (err) {
+    log("ERROR", "tenant_databases_unavailable", { operation, message: err.message });
+    res.status(503).set("Retry-After", "10").json({
+      status: "ERROR",
+      code: "TENANT_DATABASES_UNAVAILABLE",
+      message: "Tenant database mapping is unavailable, retry in a few seconds",
+    });
+    return false;
+  }
+  let fenced = false;
+  try {
+    fenced = !!scope && (await isTenantFenced(scope.companyId, scope.perimeterId));
+  } catch (err) {
+    log("ERROR", "tenant_fences_unavailable", { operation, message: err.message });
+    res.status(503).set("Retry-After", "10").json({
+      status: "ERROR",
+      code: "TENANT_DATABASES_UNAVAILABLE",
+      message: "Tenant database mapping is unavailable, retry in a few seconds",
+    });
+    return false;
+  }
+  if (fenced) {
+    rejectTenantFenced(res, scope);
+    return false;
   }
+  return true;
+}
 
-  // 2) Bearer token mode (Supabase)
-  const auth = req.header("authorization") || "";
-  const m = auth.match(/^Bearer\s+(.+)$/i);
-  if (!m) return null;
+/* ----------------------------------
+   JWT verification
+   -> "local" (default): firma, exp, aud e iss verificati in-process, senza chiamate a Supabase.
+      HS256 con SUPABASE_JWT_SECRET, le chiavi asimmetriche dal JWKS del progetto (in cache).
+   -> "remote": supabase.auth.getUser per ogni richiesta (rifiuta anche le sessioni revocate).
+---------------------------------- */
+const AUTH_JWT_VERIFICATION = (process.env.AUTH_JWT_VERIFICATION || "local").toLowerCase();
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+const SUPABASE_JWT_AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || "authenticated";
+const SUPABASE_JWT_ISSUER = process.env.SUPABASE_JWT_ISSUER || `${SUPABASE_URL}/auth/v1`;
+const SUPABASE_JWKS_URL = process.env.SUPABASE_JWKS_URL || `${SUPABASE_URL}/auth/v1/.well-known/jwks.json`;
+const JWT_CLOCK_TOLERANCE_SEC = 30;
+const JWKS_CACHE_MAX_AGE_MS = 10 * 60 * 1000;
+
+if (!["local", "remote"].includes(AUTH_JWT_VERIFICATION)) {
+  log("ERROR", "invalid_env_auth_jwt_verification", { value: AUTH_JWT_VERIFICATION });
+  process.exit(1);
+}
 
-  const jwt = m[1];
-  const { data, error } = await supabaseAdmin.auth.getUser(jwt);
-  if (error || !data?.user) return null;
+const jwtSecretKey = SUPABASE_JWT_SECRET ? new TextEncoder().encode(SUPABASE_JWT_SECRET) : null;
+// jose rilegge il JWKS solo a cache scaduta o per un kid sconosciuto (con cooldown)
+const projectJwks = createRemoteJWKSet(new URL(SUPABASE_JWKS_URL), { cacheMaxAge: JWKS_CACHE_MAX_AGE_MS });
 
-  return { mode: "supabase", userId: data.user.id };
+async function verifyJwtLocally(jwt) {
+  let alg;
+  try {
+    ({ alg } = decodeProtectedHeader(jwt));
+  } catch {
+    // decodeProtectedHeader segnala i token malformati con un TypeError
+    throw new joseErrors.JWTInvalid("Malformed JWT");
+  }
+  const hmac = typeof alg === "string" && alg.startsWith("HS");
+  if (hmac && !jwtSecretKey) {
+    throw new joseErrors.JOSENotSupported("HS256 token but SUPABASE_JWT_SECRET is not configured");
+  }
+  const { payload } = await jwtVerify(jwt, hmac ? jwtSecretKey : projectJwks, {
+    algorithms: hmac ? ["HS256"] : ["RS256", "ES256"],
+    audience: SUPABASE_JWT_AUDIENCE,
+    issuer: SUPABASE_JWT_ISSUER,
+    clockTolerance: JWT_CLOCK_TOLERANCE_SEC,
+    requiredClaims: ["exp", "sub"],
+  });
+  return payload;
 }
 
-async function requireAdmin(req, res, next) {
+/**
+ * userId del Bearer token, null se il token non è valido.
+ * JWKS irraggiungibile non è un token invalido: l'errore risale (500, non 401).
+ */
+async function verifyBearerToken(jwt) {
+  if (AUTH_JWT_VERIFICATION === "remote") {
+    const { data, error } = await supabaseAdmin.auth.getUser(jwt);
+    return error || !data?.user ? null : data.user.id;
+  }
   try {
-    const auth = await resolveAuth(req);
-    if (!auth) return res.status(401).json({ status: "ERROR", message: "Unauthorized" });
+    return (await verifyJwtLocally(jwt)).sub;
+  } catch (err) {
+    if (!(err instanceof joseErrors.JOSEError) || err instanceof joseErrors.JWKSTimeout) throw err;
+    log("WARN", "jwt_rejected", { reason: err.code || err.message });
+    return null;
+  }
+}
 
-    // se arriva con x-graph-token, lo consideriamo admin (legacy)
-    if (auth.mode === "token") return next();
+/* ----------------------------------
+   Scoped roles
+   -> assegnazioni in Supabase (app_role_assignments: id, user_id, role, company_id, perimeter_id,
+      created_by, created_at; supabase/migrations/*_app_role_assignments.sql). Le righe di app_admins vanno migrate a super_admin
+      (supabase/migrations/*_migrate_app_admins_to_role_assignments.sql); nella transizione
+      chi è ancora solo in app_admins vale super_admin (AUTH_LEGACY_APP_ADMINS=false lo spegne).
+   - super_admin: tutto (company_id/perimeter_id null)
+   - company_admin: una company intera (perimeter_id null)
+   - perimeter_admin: un perimetro di una company
+   - analyst: sola lettura su una company o un perimetro
+---------------------------------- */
+const ROLE_RANK = { analyst: 1, perimeter_admin: 2, company_admin: 3, super_admin: 4 };
+const ROLES = Object.keys(ROLE_RANK);
+
+// GRAPH_SERVICE_TOKEN_TENANTS: "company:perimeter", "company:*" o "*", separati da virgola.
+// Ogni voce diventa un'assegnazione sintetica, così il token passa dagli stessi controlli dei ruoli.
+function parseTenantPatterns(value) {
+  return String(value ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((pattern) => {
+      if (pattern === "*") return { role: "super_admin", companyId: null, perimeterId: null };
+      const [companyId, perimeterId = "*"] = pattern.split(":").map((s) => s.trim());
+      return {
+        role: perimeterId === "*" ? "company_admin" : "perimeter_admin",
+        companyId: companyId || null,
+        perimeterId: perimeterId === "*" ? null : perimeterId,
+      };
+    })
+    .filter((a) => a.role === "super_admin" || a.companyId);
+}
 
-    // altrimenti check su tabella app_admins
-    const { data, error } = await supabaseAdmin
-      .from("app_admins")
-      .select("user_id")
-      .eq("user_id", auth.userId)
-      .maybeSingle();
+const GRAPH_SERVICE_TOKEN_ROLES = parseTenantPatterns(process.env.GRAPH_SERVICE_TOKEN_TENANTS);
+const AUTH_CACHE_TTL_MS = clampInt(process.env.AUTH_CACHE_TTL_MS, 60000, 0, 3600000);
+const AUTH_CACHE_MAX = 10000;
+const AUTH_LEGACY_APP_ADMINS = process.env.AUTH_LEGACY_APP_ADMINS !== "false";
+const roleAssignmentCache = new Map(); // userId -> { roles, expiresAt }
 
-    if (error) return res.status(500).json({ status: "ERROR", message: error.message });
-    if (!data) return res.status(403).json({ status: "ERROR", message: "Admin only" });
+function roleAssignmentFromRow(row) {
+  return {
+    id: row.id ?? null,
+    userId: row.user_id ?? null,
+    role: row.role,
+    companyId: row.company_id === null || row.company_id === undefined ? null : String(row.company_id),
+    perimeterId: row.perimeter_id === null || row.perimeter_id === undefined ? null : String(row.perimeter_id),
+    createdBy: row.created_by ?? null,
+    createdAt: row.created_at ?? null,
+  };
+}
 
-    return next();
-  } catch (err) {
-    return res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
-  }
+async function fetchRoleAssignments(userId) {
+  const { data, error } = await supabaseAdmin
+    .from("app_role_assignments")
+    .select("id, user_id, role, company_id, perimeter_id, created_by, created_at")
+    .eq("user_id", userId);
+  if (error) throw new Error(error.message);
+  const roles = (data ?? []).filter((row) => ROLE_RANK[row.role]).map(roleAssignmentFromRow);
+  if (!AUTH_LEGACY_APP_ADMINS || roles.some((a) => a.role === "super_admin")) return roles;
+  return [...roles, ...(await fetchLegacyAdminRoles(userId))];
 }
 
-async function isAdminUserId(userId) {
+// Transizione: un utente ancora solo in app_admins (non migrato) resta super_admin
+async function fetchLegacyAdminRoles(userId) {
   const { data, error } = await supabaseAdmin
     .from("app_admins")
     .select("user_id")
     .eq("user_id", userId)
     .maybeSingle();
   if (error) throw new Error(error.message);
-  return !!data;
+  if (!data) return [];
+  log("WARN", "legacy_app_admin_role", { userId });
+  return [roleAssignmentFromRow({ user_id: userId, role: "super_admin", company_id: null, perimeter_id: null })];
 }
 
-/**
- * Require authentication and (optionally) ownership of a resource.
- * - legacy token mode (x-graph-token) is treated as admin
- * - bearer mode validates via Supabase and can be constrained to the same userId
- */
-function requireAuth({ allowLegacyTokenAsAdmin = true } = {}) {
-  return async (req, res, next) => {
-    try {
-      const auth = await resolveAuth(req);
-      if (!auth) return res.status(401).json({ status: "ERROR", message: "Unauthorized" });
+// Cache per istanza: grant/revoke dal service e webhook su app_role_assignments la invalidano,
+// le modifiche fatte altrove si vedono al più dopo AUTH_CACHE_TTL_MS
+async function loadRoleAssignments(userId) {
+  const cached = roleAssignmentCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.roles;
+  const roles = await fetchRoleAssignments(userId);
+  if (AUTH_CACHE_TTL_MS > 0) {
+    roleAssignmentCache.delete(userId);
+    roleAssignmentCache.set(userId, { roles, expiresAt: Date.now() + AUTH_CACHE_TTL_MS });
+    if (roleAssignmentCache.size > AUTH_CACHE_MAX) roleAssignmentCache.delete(roleAssignmentCache.keys().next().value);
+  }
+  return roles;
+}
 
-      // legacy token mode
-      if (auth.mode === "token") {
-        req.auth = { mode: "token", isAdmin: !!allowLegacyTokenAsAdmin };
-        return next();
-      }
+// senza userId svuota tutta la cache
+function invalidateRoleCache(userId = null) {
+  if (userId) roleAssignmentCache.delete(userId);
+  else roleAssignmentCache.clear();
+}
 
-      // bearer mode
-      const admin = await isAdminUserId(auth.userId);
-      req.auth = { mode: "supabase", userId: auth.userId, isAdmin: admin };
-      return next();
-    } catch (err) {
-      return res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
-    }
-  };
+// scope.perimeterId null = l'intera company; scope.companyId null = globale (solo super_admin)
+function roleCoversScope(assignment, scope) {
+  if (assignment.role === "super_admin") return true;
+  if (!scope.companyId || assignment.companyId !== scope.companyId) return false;
+  return !assignment.perimeterId || assignment.perimeterId === scope.perimeterId;
 }
 
-/* ----------------------------------
-   Health check
----------------------------------- */
-app.get("/health", async (_req, res) => {
-  try {
-    await ensureNeo4jReady(0);
-    res.json({ status: "OK", neo4j: "ready" });
+function canAccessScope(auth, scope, access = "read") {
+  return (auth?.roles ?? []).some(
+    (a) => (access === "read" || a.role !== "analyst") && roleCoversScope(a, scope)
+  );
+}
+
+function isSuperAdmin(auth) {
+  return (auth?.roles ?? []).some((a) => a.role === "super_admin");
+}
+
+// GET in lettura, il resto in scrittura; le POST di sola lettura lo dichiarano con readOnlyAccess
+function requestedAccess(req) {
+  return req.scopeAccess ?? (req.method === "GET" ? "read" : "write");
+}
+
+function readOnlyAccess(req, _res, next) {
+  req.scopeAccess = "read";
+  next();
+}
+
+function rejectScopeForbidden(res, message = "Not allowed in this company/perimeter") {
+  recordAuthFailure("scope_forbidden");
+  return res.status(403).json({ status: "ERROR", code: "SCOPE_FORBIDDEN", message });
+}
+
+function requireSuperAdmin(req, res) {
+  if (isSuperAdmin(req.auth)) return true;
+  recordAuthFailure("super_admin_only");
+  res.status(403).json({ status: "ERROR", code: "SUPER_ADMIN_ONLY", message: "Super admin only" });
+  return false;
+}
+
+/**
+ * Ritorna:
+ * - { mode: "token" } se header x-graph-token valido (richiede GRAPH_SERVICE_TOKEN settato)
+ * - { mode: "supabase", userId } se Authorization Bearer valido
+ * - null se non autenticato
+ */
+async function resolveAuth(req) {
+  // 1) legacy token mode (x-graph-token)
+  const token = req.header("x-graph-token");
+  if (token && GRAPH_SERVICE_TOKEN && token === GRAPH_SERVICE_TOKEN) {
+    return { mode: "token" };
+  }
+
+  // 2) Bearer token mode (Supabase)
+  const auth = req.header("authorization") || "";
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  if (!m) return null;
+
+  const userId = await verifyBearerToken(m[1]);
+  if (!userId) return null;
+
+  return { mode: "supabase", userId };
+}
+
+// Una sola verifica per richiesta: la fanno sia il controllo del contratto sia requireAdmin/requireAuth
+function resolveRequestAuth(req) {
+  req.resolvedAuth ??= resolveAuth(req);
+  return req.resolvedAuth;
+}
+
+// Ruoli del chiamante: per il token legacy sono i tenant di GRAPH_SERVICE_TOKEN_TENANTS
+async function resolveRoles(auth) {
+  if (auth.mode === "token") return GRAPH_SERVICE_TOKEN_ROLES;
+  return loadRoleAssignments(auth.userId);
+}
+
+/**
+ * Serve almeno un ruolo (anche solo analyst): lo scope richiesto
+ * viene poi verificato da getTenantScopeOrRespond.
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    const auth = await resolveRequestAuth(req);
+    if (!auth) {
+      recordAuthFailure("unauthenticated");
+      return res.status(401).json({ status: "ERROR", message: "Unauthorized" });
+    }
+
+    const roles = await resolveRoles(auth);
+    if (!roles.length) {
+      // token legacy senza tenant configurati: default deny
+      recordAuthFailure("no_role");
+      return res.status(403).json({
+        status: "ERROR",
+        message: auth.mode === "token" ? "x-graph-token is not enabled for any tenant" : "Admin only",
+      });
+    }
+
+    req.auth = { ...auth, roles, isAdmin: roles.some((a) => a.role !== "analyst") };
+    if (!consumeRateLimitOrRespond(req, res)) return;
+    return next();
+  } catch (err) {
+    return res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  }
+}
+
+/**
+ * Require authentication and (optionally) ownership of a resource.
+ * - legacy token mode (x-graph-token) gets the roles of GRAPH_SERVICE_TOKEN_TENANTS
+ * - bearer mode validates via Supabase and can be constrained to the same userId
+ */
+function requireAuth({ allowLegacyTokenAsAdmin = true } = {}) {
+  return async (req, res, next) => {
+    try {
+      const auth = await resolveRequestAuth(req);
+      if (!auth) {
+        recordAuthFailure("unauthenticated");
+        return res.status(401).json({ status: "ERROR", message: "Unauthorized" });
+      }
+
+      const roles = auth.mode === "token" && !allowLegacyTokenAsAdmin ? [] : await resolveRoles(auth);
+      req.auth = { ...auth, roles, isAdmin: roles.some((a) => a.role !== "analyst") };
+      if (!consumeRateLimitOrRespond(req, res)) return;
+      return next();
+    } catch (err) {
+      return res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+    }
+  };
+}
+
+/* ----------------------------------
+   Rate limits (per tenant e per utente)
+   -> token bucket sulle richieste autenticate (consumato una volta per richiesta da requireAdmin/requireAuth)
+      e tetto alle richieste pesanti in corso sulle route che interrogano il grafo.
+   NB: stato in memoria, per istanza
+---------------------------------- */
+const RATE_LIMIT_TENANT_PER_MIN = clampInt(process.env.RATE_LIMIT_TENANT_PER_MIN, 120, 1, 100000);
+const RATE_LIMIT_USER_PER_MIN = clampInt(process.env.RATE_LIMIT_USER_PER_MIN, 60, 1, 100000);
+const GRAPH_CONCURRENCY_PER_TENANT = clampInt(process.env.GRAPH_CONCURRENCY_PER_TENANT, 2, 1, 64);
+const GRAPH_CONCURRENCY_PER_USER = clampInt(process.env.GRAPH_CONCURRENCY_PER_USER, 1, 1, 64);
+const RATE_LIMIT_BUCKETS_MAX = 10000;
+
+const rateLimitBuckets = new Map(); // key -> { tokens, updatedAt }
+const graphRequestsInFlight = new Map(); // key -> richieste in corso
+
+// Il tenant conta solo se il chiamante vi ha accesso: niente bucket altrui svuotati con un companyId a caso
+function rateLimitSubjects(req) {
+  const scope = resolveTenantScope(req);
+  const actor = req.auth?.userId ?? req.auth?.mode ?? "anonymous";
+  return [
+    ...(scope && canAccessScope(req.auth, scope, "read")
+      ? [{ limit: "tenant", key: `tenant:${scope.companyId}::${scope.perimeterId}` }]
+      : []),
+    { limit: "user", key: `user:${actor}` },
+  ];
+}
+
+function refillRateLimitBucket(key, perMinute) {
+  const now = Date.now();
+  const bucket = rateLimitBuckets.get(key) ?? { tokens: perMinute, updatedAt: now };
+  bucket.tokens = Math.min(perMinute, bucket.tokens + ((now - bucket.updatedAt) * perMinute) / 60000);
+  bucket.updatedAt = now;
+  rateLimitBuckets.delete(key);
+  rateLimitBuckets.set(key, bucket);
+  if (rateLimitBuckets.size > RATE_LIMIT_BUCKETS_MAX) rateLimitBuckets.delete(rateLimitBuckets.keys().next().value);
+  return bucket;
+}
+
+function rejectRateLimited(res, message, reason, retryAfterMs) {
+  return res
+    .status(429)
+    .set("Retry-After", String(Math.max(1, Math.ceil(retryAfterMs / 1000))))
+    .json({ status: "ERROR", code: "RATE_LIMITED", message, reason });
+}
+
+function consumeRateLimitOrRespond(req, res) {
+  if (req.rateLimitConsumed) return true;
+  req.rateLimitConsumed = true;
+
+  const subjects = rateLimitSubjects(req).map((s) => {
+    const perMinute = s.limit === "tenant" ? RATE_LIMIT_TENANT_PER_MIN : RATE_LIMIT_USER_PER_MIN;
+    return { ...s, perMinute, bucket: refillRateLimitBucket(s.key, perMinute) };
+  });
+  // si scala da tutti i bucket solo se nessuno è vuoto
+  const blocked = subjects.find((s) => s.bucket.tokens < 1);
+  if (blocked) {
+    rejectRateLimited(
+      res,
+      `Too many requests for this ${blocked.limit}`,
+      { type: `${blocked.limit}_rate`, limitPerMinute: blocked.perMinute },
+      ((1 - blocked.bucket.tokens) * 60000) / blocked.perMinute
+    );
+    return false;
+  }
+  subjects.forEach((s) => (s.bucket.tokens -= 1));
+  return true;
+}
+
+// Middleware delle route pesanti: il posto si libera a risposta chiusa (completata o interrotta),
+// oppure, se la richiesta diventa un job (withAsyncJob), quando il job termina
+function limitGraphConcurrency(req, res, next) {
+  const subjects = rateLimitSubjects(req).map((s) => ({
+    ...s,
+    max: s.limit === "tenant" ? GRAPH_CONCURRENCY_PER_TENANT : GRAPH_CONCURRENCY_PER_USER,
+  }));
+  const blocked = subjects.find((s) => (graphRequestsInFlight.get(s.key) ?? 0) >= s.max);
+  if (blocked) {
+    return rejectRateLimited(
+      res,
+      `Too many graph queries in progress for this ${blocked.limit}`,
+      { type: `${blocked.limit}_concurrency`, maxConcurrent: blocked.max },
+      1000
+    );
+  }
+
+  subjects.forEach((s) => graphRequestsInFlight.set(s.key, (graphRequestsInFlight.get(s.key) ?? 0) + 1));
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    for (const s of subjects) {
+      const left = (graphRequestsInFlight.get(s.key) ?? 1) - 1;
+      if (left > 0) graphRequestsInFlight.set(s.key, left);
+      else graphRequestsInFlight.delete(s.key);
+    }
+  };
+  res.on("finish", release);
+  res.on("close", release);
+  // il 202 chiude la risposta ma il lavoro continua: chi prende il posto lo deve rilasciare
+  req.takeGraphSlot = () => {
+    res.off("finish", release);
+    res.off("close", release);
+    return release;
+  };
+  next();
+}
+
+/* ----------------------------------
+   OpenAPI contract
+   -> documento OpenAPI 3.1 su GET /openapi.json (da qui il frontend genera il client tipizzato)
+   -> gli stessi schemi validano (Ajv) le richieste di /api, /graph, /build-graph e /neo4j
+      prima degli handler, e le risposte prima dell'invio
+   -> envelope d'errore unico: { status, code, message, details? }
+---------------------------------- */
+const OPENAPI_DOCUMENT_ID = "openapi.json";
+// in sviluppo/CI conviene "true": una risposta fuori contratto diventa un 500 invece di un warning
+const OPENAPI_STRICT_RESPONSES = process.env.OPENAPI_STRICT_RESPONSES === "true";
+const HTTP_ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE_ENTITY",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  502: "BAD_GATEWAY",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+defineMetric("openapi_response_violations_total", "counter", "Responses not matching the OpenAPI contract");
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nonEmptyString = { type: "string", minLength: 1 };
+const okStatus = { type: "string", const: "OK" };
+
+function okResponse(required = [], properties = {}) {
+  return {
+    type: "object",
+    required: ["status", ...required],
+    properties: { status: okStatus, ...properties },
+  };
+}
+
+const tenantResponse = (required = [], properties = {}) =>
+  okResponse(["companyId", "perimeterId", ...required], {
+    companyId: { type: "string" },
+    perimeterId: { type: "string" },
+    ...properties,
+  });
+
+const campaignResponse = (required = [], properties = {}) =>
+  tenantResponse(["campaignId", ...required], { campaignId: { type: "string" }, ...properties });
+
+function contractSchemas() {
+  return {
+    ErrorDetail: {
+      type: "object",
+      required: ["message"],
+      properties: {
+        in: { type: "string", enum: ["body", "query", "path", "response"] },
+        field: { type: ["string", "null"] },
+        message: { type: "string" },
+        keyword: { type: "string" },
+        allowed: { type: "array" },
+        rule: { type: "string" },
+        campaignId: { type: "string" },
+        applicationIds: { type: "array", items: schemaRef("Id") },
+      },
+    },
+    ErrorEnvelope: {
+      type: "object",
+      required: ["status", "code", "message"],
+      properties: {
+        // WAIT: Neo4j in risveglio (503 + Retry-After), va ritentata
+        status: { type: "string", enum: ["ERROR", "WAIT"] },
+        code: nonEmptyString,
+        message: { type: "string" },
+        details: { type: "array", items: schemaRef("ErrorDetail") },
+      },
+    },
+    Id: { type: ["string", "integer"], minLength: 1 },
+    EdgeAttributes: {
+      type: "object",
+      additionalProperties: { type: ["string", "number", "boolean"] },
+    },
+    Application: {
+      type: "object",
+      description: "Candidatura verso una persona (target_user_id) o una posizione (target_position_id/position_id)",
+      required: ["user_id"],
+      properties: {
+        id: schemaRef("Id"),
+        user_id: schemaRef("Id"),
+        target_user_id: { anyOf: [schemaRef("Id"), { type: "null" }] },
+        target_position_id: { anyOf: [schemaRef("Id"), { type: "null" }] },
+        position_id: { anyOf: [schemaRef("Id"), { type: "null" }] },
+        priority: { type: ["number", "null"] },
+        campaign_id: schemaRef("Id"),
+        company_id: schemaRef("Id"),
+        perimeter_id: schemaRef("Id"),
+        attributes: schemaRef("EdgeAttributes"),
+      },
+      anyOf: ["target_user_id", "target_position_id", "position_id"].map((key) => ({
+        required: [key],
+        properties: { [key]: schemaRef("Id") },
+      })),
+    },
+    Vacancy: {
+      type: "object",
+      properties: {
+        position_id: schemaRef("Id"),
+        positionId: schemaRef("Id"),
+        id: schemaRef("Id"),
+        title: { type: ["string", "null"] },
+      },
+      anyOf: [{ required: ["position_id"] }, { required: ["positionId"] }, { required: ["id"] }],
+    },
+    Position: {
+      type: "object",
+      properties: {
+        position_id: schemaRef("Id"),
+        positionId: schemaRef("Id"),
+        id: schemaRef("Id"),
+        title: { type: ["string", "null"] },
+        occupant_ids: { type: "array", items: schemaRef("Id") },
+        occupied_by: { anyOf: [schemaRef("Id"), { type: "null" }] },
+        occupiedBy: { anyOf: [schemaRef("Id"), { type: "null" }] },
+      },
+      anyOf: [{ required: ["position_id"] }, { required: ["positionId"] }, { required: ["id"] }],
+    },
+    Person: {
+      type: "object",
+      properties: {
+        user_id: nonEmptyString,
+        userId: nonEmptyString,
+        full_name: { type: ["string", "null"] },
+        fullName: { type: ["string", "null"] },
+        leaving: { type: "boolean" },
+        backfillable: { type: "boolean" },
+      },
+      anyOf: [{ required: ["user_id"] }, { required: ["userId"] }],
+    },
+    UserIdList: { type: "array", items: nonEmptyString },
+    Chain: {
+      type: "object",
+      description: "users[i] takes the place of users[i+1] (cycles) or of users[i-1] (domino, users[0] takes the origin)",
+      required: ["users", "peopleNames", "length", "avgPriority"],
+      properties: {
+        users: { type: "array", items: { type: "string" } },
+        peopleNames: { type: "array", items: { type: ["string", "null"] } },
+        // position model: positions[i] è la posizione presa da users[i]
+        positions: { type: "array", items: schemaRef("ChainPosition") },
+        length: { type: "integer" },
+        avgPriority: { type: ["number", "null"] },
+        origin: schemaRef("ChainOrigin"),
+        score: { type: "number" },
+      },
+    },
+    ChainPosition: {
+      type: "object",
+      required: ["id"],
+      properties: {
+        id: { anyOf: [schemaRef("Id"), { type: "null" }] },
+        title: { type: ["string", "null"] },
+      },
+    },
+    ChainOrigin: {
+      type: "object",
+      description: "Start of a domino chain: a vacant position or the place of a leaver",
+      required: ["type"],
+      properties: {
+        type: { type: "string", enum: ["vacancy", "leaver"] },
+        positionId: { anyOf: [schemaRef("Id"), { type: "null" }] },
+        title: { type: ["string", "null"] },
+        userId: { type: ["string", "null"] },
+        name: { type: ["string", "null"] },
+      },
+    },
+    ChainRuleViolation: {
+      type: "object",
+      required: ["rule", "kind", "message"],
+      properties: {
+        rule: { type: "string" },
+        kind: { type: "string", enum: ["edge", "chain"] },
+        step: { type: "integer" },
+        userId: { type: "string" },
+        message: { type: "string" },
+      },
+    },
+    ChainRulesOutcome: {
+      type: "object",
+      description: "How the company chain rules filtered the chains; reason is set when they were not applied",
+      required: ["applied", "excluded"],
+      properties: {
+        applied: { type: "boolean" },
+        excluded: { type: "integer", minimum: 0 },
+        reason: { type: "string", enum: ["not_configured", "rules_unavailable"] },
+        updatedAt: { type: ["string", "null"] },
+        explain: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["chain", "violations"],
+            properties: {
+              chain: schemaRef("Chain"),
+              violations: { type: "array", items: schemaRef("ChainRuleViolation") },
+            },
+          },
+        },
+      },
+    },
+    ChainRules: {
+      type: "object",
+      required: ["edgeRules", "chainRules"],
+      properties: {
+        edgeRules: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["id", "attribute", "op", "onMissing"],
+            properties: {
+              id: { type: "string" },
+              attribute: { type: "string" },
+              op: { type: "string", enum: [...EDGE_RULE_OPS] },
+              value: {},
+              unless: {
+                type: "object",
+                required: ["attribute"],
+                properties: { attribute: { type: "string" }, equals: {} },
+              },
+              onMissing: { type: "string", enum: ["allow", "deny"] },
+              description: { type: "string" },
+            },
+          },
+        },
+        chainRules: {
+          type: "object",
+          properties: {
+            maxLength: { type: "integer", minimum: 2 },
+            maxCrossDepartmentMoves: { type: "integer", minimum: 0 },
+            crossDepartmentAttribute: { type: "string" },
+            minPriority: { type: "number" },
+          },
+        },
+        updatedAt: { type: ["string", "null"] },
+      },
+    },
+    CycleParticipant: {
+      type: "object",
+      description: "The caller (you=true) or another participant, anonymous (label) unless the caller has a role on the tenant (userId)",
+      required: ["you"],
+      properties: { you: { type: "boolean" }, label: { type: "string" }, userId: { type: "string" } },
+    },
+    GraphBuild: {
+      type: "object",
+      required: ["buildId", "campaignId", "createdAt", "model", "mode", "source"],
+      properties: {
+        buildId: { type: "string" },
+        campaignId: { type: "string" },
+        createdAt: { type: "string" },
+        inputHash: { type: ["string", "null"] },
+        model: { type: "string", enum: [...GRAPH_MODELS] },
+        mode: { type: "string", enum: [...BUILD_MODES] },
+        source: { type: "string", enum: [...BUILD_SOURCES] },
+        nodes: { type: ["integer", "null"] },
+        relationships: { type: ["integer", "null"] },
+      },
+    },
+    BuildApplicationChange: {
+      type: "object",
+      required: ["from", "target"],
+      properties: {
+        from: { type: "string" },
+        fromName: { type: ["string", "null"] },
+        // user id, "vacancy:<id>" o "position:<id>"
+        target: { type: "string" },
+        targetName: { type: ["string", "null"] },
+        priority: { type: ["number", "null"] },
+        before: { type: ["number", "null"] },
+        after: { type: ["number", "null"] },
+      },
+    },
+    AnalyticsPerson: {
+      type: "object",
+      required: ["userId", "inDegree", "outDegree", "scc", "cycles", "betweenness"],
+      properties: {
+        userId: { type: "string" },
+        name: { type: ["string", "null"] },
+        inDegree: { type: "integer" },
+        outDegree: { type: "integer" },
+        scc: { type: "integer" },
+        cycles: { type: "integer" },
+        // null se il calcolo ha superato il budget (betweennessTruncated)
+        betweenness: { type: ["number", "null"] },
+      },
+    },
+    NamedUser: {
+      type: "object",
+      required: ["userId"],
+      properties: { userId: { type: "string" }, name: { type: ["string", "null"] } },
+    },
+    Job: {
+      type: "object",
+      required: ["id", "type", "status", "statusUrl"],
+      properties: {
+        id: { type: "string" },
+        type: { type: "string" },
+        status: { type: "string", enum: [...JOB_STATUSES] },
+        companyId: { type: ["string", "null"] },
+        perimeterId: { type: ["string", "null"] },
+        requestId: { type: ["string", "null"] },
+        statusUrl: { type: "string" },
+      },
+    },
+    JobAccepted: {
+      type: "object",
+      required: ["status", "job"],
+      properties: { status: { type: "string", const: "ACCEPTED" }, job: schemaRef("Job") },
+    },
+    Delta: {
+      type: "object",
+      required: ["nodes", "edges"],
+      properties: {
+        nodes: schemaRef("DeltaCounts"),
+        edges: schemaRef("DeltaCounts"),
+      },
+    },
+    DeltaCounts: {
+      type: "object",
+      required: ["added", "updated", "removed"],
+      properties: {
+        added: { type: "integer" },
+        updated: { type: "integer" },
+        removed: { type: "integer" },
+      },
+    },
+    Proposal: {
+      type: "object",
+      required: ["id", "status"],
+      properties: { id: schemaRef("Id"), status: { type: "string" } },
+    },
+    ApplicationRules: {
+      type: "object",
+      properties: {
+        maxApplicationsPerUser: { type: ["integer", "null"], minimum: 1 },
+        priorityRange: {
+          type: ["object", "null"],
+          required: ["min", "max"],
+          properties: { min: { type: "integer" }, max: { type: "integer" } },
+        },
+        uniquePriorities: { type: ["boolean", "null"] },
+        contiguousPriorities: { type: ["boolean", "null"] },
+        forbidOwnPosition: { type: ["boolean", "null"] },
+        editDeadline: { type: ["string", "null"] },
+      },
+    },
+    Health: {
+      type: "object",
+      required: ["status", "neo4j"],
+      properties: { status: { type: "string", enum: ["OK", "ERROR"] }, neo4j: { type: "string" } },
+    },
+  };
+}
+
+/**
+ * Le operazioni pubblicate. I campi tenant/campagna possono arrivare anche dagli header
+ * (x-company-id, x-perimeter-id, x-campaign-id), per questo non sono mai "required" negli schemi:
+ * la loro assenza resta un TENANT_SCOPE_REQUIRED / CAMPAIGN_ID_REQUIRED dell'handler.
+ * closed: query e body non ammettono campi fuori contratto (route distruttive, dove un flag
+ * scritto male non deve diventare una scrittura).
+ * Le route /api/_debug/* (temporanee, spente in produzione) restano fuori dal contratto.
+ */
+function apiOperations() {
+  const chainMaxLen = { type: "integer", minimum: CHAIN_MIN_LEN, maximum: CHAIN_MAX_LEN };
+  const graphModel = { type: "string", enum: [...GRAPH_MODELS] };
+  const chainEngine = { type: "string", enum: [...CHAIN_ENGINES] };
+  const timeBudgetMs = { type: "integer", minimum: 100, maximum: NATIVE_MAX_TIME_BUDGET_MS };
+  const flag = { type: "boolean" };
+
+  return [
+    {
+      method: "get",
+      path: "/api/health",
+      operationId: "getHealth",
+      tags: ["health"],
+      summary: "Neo4j readiness (same shape as /health)",
+      security: [],
+      responses: { 200: schemaRef("Health"), 503: schemaRef("Health") },
+    },
+    {
+      method: "post",
+      path: "/api/admin/reset-active-users",
+      operationId: "resetActiveUsers",
+      tags: ["harness"],
+      summary: "Reset active users and applications of one campaign",
+      tenant: true,
+      campaign: true,
+      query: { dryRun: flag },
+      body: { properties: { dryRun: flag } },
+      responses: { 200: campaignResponse() },
+    },
+    {
+      method: "post",
+      path: "/api/users/:userId/deactivate",
+      operationId: "deactivateUser",
+      tags: ["users"],
+      summary: "Deactivate a user, cascading to applications, positions, proposals and graph",
+      closed: true,
+      query: { preview: flag, dryRun: flag, model: graphModel },
+      body: {
+        properties: {
+          policy: { type: "string", enum: [...DEACTIVATION_POLICIES] },
+          preview: flag,
+          dryRun: flag,
+          model: graphModel,
+        },
+      },
+      responses: {
+        200: okResponse(["userId", "policy", "applications", "positionsVacated"], {
+          userId: { type: "string" },
+          policy: { type: "string", enum: [...DEACTIVATION_POLICIES] },
+          preview: flag,
+          dryRun: flag,
+          applications: {
+            type: "object",
+            required: ["outgoing", "incoming", "deleted", "redirectedToVacancy"],
+            properties: {
+              outgoing: { type: "array", items: { type: "string" } },
+              incoming: { type: "array", items: { type: "string" } },
+              deleted: { type: "array", items: { type: "string" } },
+              redirectedToVacancy: { type: "array", items: { type: "string" } },
+            },
+          },
+          positionsVacated: { type: "array", items: schemaRef("ChainPosition") },
+          campaignId: { type: ["string", "null"] },
+          model: graphModel,
+          proposalsToInvalidate: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["id", "status"],
+              properties: {
+                id: { type: "string" },
+                campaignId: { type: ["string", "null"] },
+                status: { type: "string", enum: [...PROPOSAL_STATUSES] },
+              },
+            },
+          },
+          cyclesBroken: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["length", "participants"],
+              properties: {
+                length: { type: "integer" },
+                participants: { type: "array", items: schemaRef("CycleParticipant") },
+              },
+            },
+          },
+          truncated: flag,
+          truncatedReason: { type: "string" },
+          proposalsInvalidated: { type: "array", items: { type: "string" } },
+          graph: {
+            type: "object",
+            required: ["updated"],
+            properties: { updated: flag, reason: { type: "string" } },
+          },
+        }),
+      },
+    },
+    {
+      method: "post",
+      path: "/api/users/:userId/reorder-applications",
+      operationId: "reorderApplications",
+      tags: ["users"],
+      summary: "Change the priority of the user's applications",
+      body: {
+        required: ["updates"],
+        properties: {
+          updates: {
+            type: "array",
+            minItems: 1,
+            items: {
+              type: "object",
+              required: ["app_ids", "priority"],
+              properties: {
+                app_ids: { type: "array", minItems: 1, items: schemaRef("Id") },
+                priority: { type: "number" },
+              },
+            },
+          },
+        },
+      },
+      responses: { 200: okResponse(["applicationsUpdated"], { applicationsUpdated: { type: "integer" } }) },
+    },
+    {
+      method: "get",
+      path: "/api/application-rules",
+      operationId: "getApplicationRules",
+      tags: ["users"],
+      summary: "Application rules of a campaign",
+      tenant: true,
+      campaign: true,
+      responses: {
+        200: campaignResponse(["rules", "configured"], {
+          rules: schemaRef("ApplicationRules"),
+          configured: { type: "boolean" },
+        }),
+      },
+    },
+    {
+      method: "put",
+      path: "/api/application-rules",
+      operationId: "putApplicationRules",
+      tags: ["users"],
+      summary: "Replace the application rules of a campaign",
+      tenant: true,
+      campaign: true,
+      body: { required: ["rules"], properties: { rules: schemaRef("ApplicationRules") } },
+      responses: {
+        200: campaignResponse(["rules", "configured"], {
+          rules: schemaRef("ApplicationRules"),
+          configured: { type: "boolean" },
+        }),
+      },
+    },
+    {
+      method: "get",
+      path: "/api/users/:userId/proposals",
+      operationId: "listUserProposals",
+      tags: ["proposals"],
+      summary: "Proposals the user participates in",
+      responses: { 200: okResponse(["proposals"], { proposals: { type: "array", items: schemaRef("Proposal") } }) },
+    },
+    {
+      method: "post",
+      path: "/api/users/:userId/proposals/:proposalId/respond",
+      operationId: "respondToProposal",
+      tags: ["proposals"],
+      summary: "Accept or decline the user's move in a proposal",
+      body: {
+        required: ["response"],
+        properties: { response: { type: "string", enum: Object.keys(PROPOSAL_RESPONSES) } },
+      },
+      responses: { 200: okResponse() },
+    },
+    {
+      method: "get",
+      path: "/api/users/:userId/opportunities",
+      operationId: "getUserOpportunities",
+      tags: ["users"],
+      summary: "Cycles the user can join and near misses",
+      campaign: true,
+      query: {
+        model: graphModel,
+        maxLen: { type: "integer", minimum: CHAIN_MIN_LEN, maximum: OPPORTUNITIES_MAX_MAX_LEN },
+        limit: { type: "integer", minimum: 1, maximum: OPPORTUNITIES_MAX_LIMIT },
+      },
+      responses: {
+        200: okResponse(["userId", "campaignId", "cycles", "nearMisses", "truncated"], {
+          userId: { type: "string" },
+          campaignId: { type: "string" },
+          model: graphModel,
+          maxLen: { type: "integer" },
+          cycles: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["length", "yourStep", "participants", "yourMove"],
+              properties: {
+                length: { type: "integer" },
+                yourStep: { type: "integer" },
+                participants: { type: "array", items: schemaRef("CycleParticipant") },
+                yourMove: {
+                  type: "object",
+                  required: ["positionId", "title", "priority"],
+                  properties: {
+                    positionId: { anyOf: [schemaRef("Id"), { type: "null" }] },
+                    title: { type: ["string", "null"] },
+                    priority: { type: ["number", "null"] },
+                  },
+                },
+              },
+            },
+          },
+          // una candidatura in più verso positionId chiuderebbe un ciclo di cycleLength persone
+          nearMisses: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["positionId", "cycleLength"],
+              properties: {
+                positionId: { type: "string" },
+                title: { type: ["string", "null"] },
+                cycleLength: { type: "integer" },
+              },
+            },
+          },
+          truncated: { type: "boolean" },
+          truncatedReason: { type: "string" },
+        }),
+      },
+    },
+    {
+      method: "post",
+      path: "/api/proposals",
+      operationId: "createProposal",
+      tags: ["proposals"],
+      summary: "Create a swap proposal from a chain",
+      tenant: true,
+      campaign: true,
+      body: {
+        required: ["chain"],
+        properties: {
+          chain: {
+            type: "object",
+            required: ["users"],
+            properties: {
+              users: { type: "array", minItems: 2, uniqueItems: true, items: nonEmptyString },
+              positions: {
+                type: "array",
+                items: { anyOf: [schemaRef("Id"), { type: "object", properties: { id: schemaRef("Id") } }] },
+              },
+            },
+          },
+          note: { type: "string" },
+        },
+      },
+      responses: { 201: okResponse(["proposal"], { proposal: schemaRef("Proposal") }) },
+    },
+    {
+      method: "get",
+      path: "/api/proposals",
+      operationId: "listProposals",
+      tags: ["proposals"],
+      summary: "Proposals of one company/perimeter",
+      tenant: true,
+      campaign: true,
+      query: { status: { type: "string", enum: [...PROPOSAL_STATUSES] } },
+      responses: { 200: tenantResponse(["proposals"], { proposals: { type: "array", items: schemaRef("Proposal") } }) },
+    },
+    {
+      method: "get",
+      path: "/api/proposals/:proposalId",
+      operationId: "getProposal",
+      tags: ["proposals"],
+      summary: "One proposal with its participants",
+      tenant: true,
+      responses: { 200: okResponse(["proposal"], { proposal: schemaRef("Proposal") }) },
+    },
+    {
+      method: "post",
+      path: "/api/proposals/:proposalId/cancel",
+      operationId: "cancelProposal",
+      tags: ["proposals"],
+      summary: "Cancel an open or confirmed proposal",
+      tenant: true,
+      body: { properties: { reason: { type: "string" } } },
+      responses: { 200: okResponse(["proposal"], { proposal: schemaRef("Proposal") }) },
+    },
+    {
+      method: "post",
+      path: "/api/test-scenarios/:id/initialize",
+      operationId: "initializeTestScenario",
+      tags: ["harness"],
+      summary: "Load a test scenario into its campaign (background job)",
+      query: { dryRun: flag },
+      body: { properties: { dryRun: flag } },
+      responses: { 200: okResponse(), 202: schemaRef("JobAccepted") },
+    },
+    {
+      method: "post",
+      path: "/neo4j/warmup",
+      operationId: "warmupNeo4j",
+      tags: ["neo4j"],
+      summary: "Wake Neo4j up (503 WAIT while it is starting)",
+      tenant: true,
+      responses: { 200: tenantResponse(["neo4j"], { neo4j: { type: "string", const: "ready" } }) },
+    },
+    {
+      method: "post",
+      path: "/build-graph",
+      operationId: "buildGraph",
+      tags: ["graph"],
+      summary: "Build (replace) or update (incremental) the campaign graph",
+      tenant: true,
+      campaign: true,
+      query: { async: flag },
+      body: {
+        properties: {
+          mode: { type: "string", enum: [...BUILD_MODES] },
+          source: { type: "string", enum: [...BUILD_SOURCES] },
+          model: graphModel,
+          applications: { type: "array", items: schemaRef("Application") },
+          usersById: { type: "object", additionalProperties: { type: ["string", "null"] } },
+          vacancies: { type: "array", items: schemaRef("Vacancy") },
+          positions: { type: "array", items: schemaRef("Position") },
+          leavers: schemaRef("UserIdList"),
+          backfillableUserIds: schemaRef("UserIdList"),
+          async: flag,
+        },
+      },
+      responses: { 200: campaignResponse(), 202: schemaRef("JobAccepted") },
+    },
+    {
+      method: "get",
+      path: "/graph/builds",
+      operationId: "listGraphBuilds",
+      tags: ["graph"],
+      summary: "Build history of a campaign",
+      tenant: true,
+      campaign: true,
+      responses: { 200: campaignResponse(["builds"], { builds: { type: "array", items: schemaRef("GraphBuild") } }) },
+    },
+    {
+      method: "get",
+      path: "/graph/builds/diff",
+      operationId: "diffGraphBuilds",
+      tags: ["graph"],
+      summary: "Nodes, edges and chains changed between two builds",
+      tenant: true,
+      campaign: true,
+      query: { from: nonEmptyString, to: nonEmptyString, maxLen: chainMaxLen },
+      responses: {
+        200: campaignResponse(["from", "to", "sameInput", "people", "applications", "cycles"], {
+          from: schemaRef("GraphBuild"),
+          to: schemaRef("GraphBuild"),
+          sameInput: { type: "boolean" },
+          people: {
+            type: "object",
+            required: ["added", "removed"],
+            properties: {
+              added: { type: "array", items: schemaRef("NamedUser") },
+              removed: { type: "array", items: schemaRef("NamedUser") },
+            },
+          },
+          applications: {
+            type: "object",
+            required: ["added", "removed", "priorityChanges"],
+            properties: {
+              added: { type: "array", items: schemaRef("BuildApplicationChange") },
+              removed: { type: "array", items: schemaRef("BuildApplicationChange") },
+              priorityChanges: { type: "array", items: schemaRef("BuildApplicationChange") },
+            },
+          },
+          cycles: {
+            type: "object",
+            required: ["maxLen", "truncated", "appeared", "disappeared"],
+            properties: {
+              maxLen: { type: "integer" },
+              truncated: { type: "boolean" },
+              appeared: { type: "array", items: schemaRef("Chain") },
+              disappeared: { type: "array", items: schemaRef("Chain") },
+            },
+          },
+        }),
+      },
+    },
+    ...[
+      ["/graph/applications/upsert", "upsertGraphApplications", "Upsert application edges", {
+        applications: { type: "array", items: schemaRef("Application") },
+        usersById: { type: "object", additionalProperties: { type: ["string", "null"] } },
+        vacancies: { type: "array", items: schemaRef("Vacancy") },
+      }],
+      ["/graph/applications/delete", "deleteGraphApplications", "Delete application edges", {
+        applications: { type: "array", items: schemaRef("Application") },
+      }],
+      ["/graph/persons/upsert", "upsertGraphPersons", "Upsert person nodes", {
+        persons: { type: "array", items: schemaRef("Person") },
+      }],
+      ["/graph/persons/delete", "deleteGraphPersons", "Remove the campaign edges of some persons", {
+        userIds: schemaRef("UserIdList"),
+        user_ids: schemaRef("UserIdList"),
+      }],
+    ].map(([path, operationId, summary, properties]) => ({
+      method: "post",
+      path,
+      operationId,
+      tags: ["graph"],
+      summary,
+      tenant: true,
+      campaign: path !== "/graph/persons/upsert",
+      body: { properties },
+      responses: { 200: tenantResponse(["delta"], { delta: schemaRef("Delta") }) },
+    })),
+    {
+      method: "get",
+      path: "/graph/chain-rules",
+      operationId: "getChainRules",
+      tags: ["chains"],
+      summary: "Chain rules of the company",
+      tenant: true,
+      responses: {
+        200: okResponse(["companyId", "rules", "configured"], {
+          companyId: { type: "string" },
+          rules: schemaRef("ChainRules"),
+          configured: { type: "boolean" },
+        }),
+      },
+    },
+    {
+      method: "put",
+      path: "/graph/chain-rules",
+      operationId: "putChainRules",
+      tags: ["chains"],
+      summary: "Replace the chain rules of the company",
+      tenant: true,
+      body: {
+        required: ["rules"],
+        properties: {
+          rules: {
+            type: "object",
+            properties: { edgeRules: { type: "array" }, chainRules: { type: "object" } },
+          },
+        },
+      },
+      responses: {
+        200: okResponse(["companyId", "rules", "configured"], {
+          companyId: { type: "string" },
+          rules: schemaRef("ChainRules"),
+          configured: { type: "boolean" },
+        }),
+      },
+    },
+    {
+      method: "post",
+      path: "/graph/chains",
+      operationId: "findChains",
+      tags: ["chains"],
+      summary: "Swap cycles or domino chains of a campaign",
+      tenant: true,
+      campaign: true,
+      query: { async: flag, explain: flag },
+      body: {
+        properties: {
+          mode: { type: "string", enum: [...CHAIN_MODES] },
+          model: graphModel,
+          engine: chainEngine,
+          maxLen: chainMaxLen,
+          explain: flag,
+          cursor: nonEmptyString,
+          limit: { type: "integer", minimum: 1, maximum: NATIVE_MAX_LIMIT },
+          timeBudgetMs,
+          async: flag,
+        },
+      },
+      responses: {
+        200: campaignResponse(["chains", "truncated", "rules"], {
+          mode: { type: "string", enum: [...CHAIN_MODES] },
+          model: graphModel,
+          engine: chainEngine,
+          chains: { type: "array", items: schemaRef("Chain") },
+          truncated: { type: "boolean" },
+          truncatedReason: { type: ["string", "null"] },
+          nextCursor: { type: ["string", "null"] },
+          stats: {
+            type: "object",
+            required: ["vertices", "edges", "elapsedMs"],
+            properties: {
+              vertices: { type: "integer" },
+              edges: { type: "integer" },
+              elapsedMs: { type: "integer" },
+            },
+          },
+          rules: schemaRef("ChainRulesOutcome"),
+        }),
+        202: schemaRef("JobAccepted"),
+      },
+    },
+    {
+      method: "post",
+      path: "/graph/chains/optimal",
+      operationId: "findOptimalChains",
+      tags: ["chains"],
+      summary: "Best set of disjoint chains for an objective",
+      tenant: true,
+      campaign: true,
+      body: {
+        properties: {
+          objective: { type: "string", enum: [...OPTIMAL_OBJECTIVES] },
+          weights: {
+            type: "object",
+            properties: { people: { type: "number", minimum: 0 }, priority: { type: "number", minimum: 0 } },
+          },
+          model: graphModel,
+          engine: chainEngine,
+          maxLen: chainMaxLen,
+          timeBudgetMs,
+        },
+      },
+      responses: {
+        200: campaignResponse(["objective", "optimal", "candidates", "rules", "totalScore", "peopleMoved", "chains", "leftOut"], {
+          objective: { type: "string", enum: [...OPTIMAL_OBJECTIVES] },
+          weights: {
+            type: "object",
+            required: ["people", "priority"],
+            properties: { people: { type: "number" }, priority: { type: "number" } },
+          },
+          optimal: { type: "boolean" },
+          engine: chainEngine,
+          truncated: { type: "boolean" },
+          candidates: { type: "integer" },
+          rules: schemaRef("ChainRulesOutcome"),
+          totalScore: { type: "number" },
+          peopleMoved: { type: "integer" },
+          chains: { type: "array", items: { allOf: [schemaRef("Chain"), { required: ["score"] }] } },
+          // chi ha candidature nella campagna ma non si sposta in nessuna chain scelta
+          leftOut: { type: "array", items: schemaRef("NamedUser") },
+        }),
+      },
+    },
+    {
+      method: "post",
+      path: "/graph/summary",
+      operationId: "postGraphSummary",
+      tags: ["graph"],
+      summary: "Applications of the tenant graph as from/to/priority rows",
+      tenant: true,
+      body: { properties: { model: graphModel } },
+      responses: {
+        200: tenantResponse(["relationships"], {
+          model: graphModel,
+          relationships: {
+            type: "array",
+            items: {
+              type: "object",
+              // position model: to_name sono gli occupanti della posizione (null se vacante)
+              required: ["from_name", "to_name"],
+              properties: {
+                from_name: { type: ["string", "null"] },
+                to_name: { type: ["string", "null"] },
+                priority: { type: ["number", "null"] },
+                campaign_id: { type: ["string", "null"] },
+                position_id: { anyOf: [schemaRef("Id"), { type: "null" }] },
+                position_title: { type: ["string", "null"] },
+              },
+            },
+          },
+        }),
+      },
+    },
+    {
+      method: "get",
+      path: "/graph/summary",
+      operationId: "getGraphSummary",
+      tags: ["graph"],
+      summary: "Node and edge counts of the tenant graph",
+      tenant: true,
+      query: { model: graphModel },
+      responses: {
+        // vacancies sul person model; positions, vacantPositions e occupies sul position model
+        200: tenantResponse(["nodes", "relationships"], {
+          model: graphModel,
+          nodes: { type: "integer" },
+          relationships: { type: "integer" },
+          vacancies: { type: "integer" },
+          positions: { type: "integer" },
+          vacantPositions: { type: "integer" },
+          occupies: { type: "integer" },
+        }),
+      },
+    },
+    {
+      method: "post",
+      path: "/graph/export",
+      operationId: "exportGraph",
+      tags: ["graph"],
+      summary: "Stream the campaign graph as GraphML, GEXF, DOT or CSV",
+      tenant: true,
+      campaign: true,
+      query: {
+        format: { type: "string", enum: Object.keys(GRAPH_EXPORT_FORMATS) },
+        part: { type: "string", enum: [...EXPORT_CSV_PARTS] },
+      },
+      body: {
+        properties: {
+          format: { type: "string", enum: Object.keys(GRAPH_EXPORT_FORMATS) },
+          part: { type: "string", enum: [...EXPORT_CSV_PARTS] },
+          chains: {
+            type: "array",
+            items: {
+              anyOf: [
+                schemaRef("UserIdList"),
+                { type: "object", required: ["users"], properties: { users: schemaRef("UserIdList") } },
+              ],
+            },
+          },
+        },
+      },
+      responses: {
+        200: Object.fromEntries(
+          Object.values(GRAPH_EXPORT_FORMATS).map((f) => [f.contentType.split(";")[0], { type: "string" }])
+        ),
+      },
+    },
+    {
+      method: "get",
+      path: "/graph/analytics",
+      operationId: "getGraphAnalytics",
+      tags: ["graph"],
+      summary: "Per-person cycle counts, strongly connected components and key connectors",
+      tenant: true,
+      campaign: true,
+      query: { model: graphModel, maxLen: chainMaxLen },
+      responses: {
+        200: campaignResponse(["people", "components", "noWayOut", "keyConnectors", "cycles"], {
+          tenantKey: { type: "string" },
+          model: graphModel,
+          people: { type: "array", items: schemaRef("AnalyticsPerson") },
+          // solo le SCC con più di una persona
+          components: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["id", "size", "users"],
+              properties: {
+                id: { type: "integer" },
+                size: { type: "integer" },
+                users: { type: "array", items: { type: "string" } },
+              },
+            },
+          },
+          noWayOut: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["userId", "inDegree", "outDegree"],
+              properties: {
+                userId: { type: "string" },
+                name: { type: ["string", "null"] },
+                inDegree: { type: "integer" },
+                outDegree: { type: "integer" },
+              },
+            },
+          },
+          keyConnectors: { type: "array", items: schemaRef("AnalyticsPerson") },
+          betweennessTruncated: { type: "boolean" },
+          cycles: {
+            type: "object",
+            required: ["maxLen", "total", "truncated"],
+            properties: {
+              maxLen: { type: "integer" },
+              total: { type: "integer" },
+              truncated: { type: "boolean" },
+              truncatedReason: { type: "string" },
+            },
+          },
+        }),
+      },
+    },
+  ];
+}
+
+const tenantFields = {
+  companyId: nonEmptyString,
+  company_id: nonEmptyString,
+  perimeterId: nonEmptyString,
+  perimeter_id: nonEmptyString,
+};
+const campaignFields = { campaignId: nonEmptyString, campaign_id: nonEmptyString };
+
+function operationQuerySchema(op) {
+  const properties = {
+    ...(op.method === "get" && op.tenant ? tenantFields : {}),
+    ...(op.method === "get" && op.campaign ? campaignFields : {}),
+    ...op.query,
+  };
+  if (!Object.keys(properties).length) return null;
+  return { type: "object", properties, ...(op.closed ? { additionalProperties: false } : {}) };
+}
+
+function operationBodySchema(op) {
+  if (op.method === "get" || !(op.body || op.tenant || op.campaign)) return null;
+  return {
+    type: "object",
+    ...(op.body?.required ? { required: op.body.required } : {}),
+    ...(op.closed ? { additionalProperties: false } : {}),
+    properties: {
+      ...(op.tenant ? tenantFields : {}),
+      ...(op.campaign ? campaignFields : {}),
+      ...op.body?.properties,
+    },
+  };
+}
+
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z_]\w*)/g, "{$1}");
+const jsonPointerPart = (part) => String(part).replace(/~/g, "~0").replace(/\//g, "~1");
+
+function responseObject(status, schema) {
+  const description = status === "default" ? "Error envelope" : STATUS_CODES[status] ?? "Response";
+  // export: più content type (schema indicizzato per media type), tutto il resto è JSON
+  const content = schema.type || schema.$ref
+    ? { "application/json": { schema } }
+    : Object.fromEntries(Object.entries(schema).map(([mediaType, s]) => [mediaType, { schema: s }]));
+  return { description, content };
+}
+
+function buildOpenApiDocument(operations) {
+  const paths = {};
+  for (const op of operations) {
+    const pathParams = [...op.path.matchAll(/:([A-Za-z_]\w*)/g)].map(([, name]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: { type: "string" },
+    }));
+    const query = operationQuerySchema(op);
+    const queryParams = Object.entries(query?.properties ?? {}).map(([name, schema]) => ({
+      name,
+      in: "query",
+      required: false,
+      schema,
+    }));
+    const headerParams = [
+      ...(op.tenant ? [{ $ref: "#/components/parameters/CompanyIdHeader" }, { $ref: "#/components/parameters/PerimeterIdHeader" }] : []),
+      ...(op.campaign ? [{ $ref: "#/components/parameters/CampaignIdHeader" }] : []),
+      { $ref: "#/components/parameters/RequestIdHeader" },
+    ];
+    const body = operationBodySchema(op);
+    paths[toOpenApiPath(op.path)] ??= {};
+    paths[toOpenApiPath(op.path)][op.method] = {
+      operationId: op.operationId,
+      summary: op.summary,
+      tags: op.tags,
+      ...(op.security ? { security: op.security } : {}),
+      parameters: [...pathParams, ...queryParams, ...headerParams],
+      ...(body ? { requestBody: { required: false, content: { "application/json": { schema: body } } } } : {}),
+      responses: {
+        ...Object.fromEntries(Object.entries(op.responses).map(([status, schema]) => [status, responseObject(status, schema)])),
+        default: responseObject("default", schemaRef("ErrorEnvelope")),
+      },
+    };
+  }
+
+  const header = (name, description) => ({ name, in: "header", required: false, description, schema: { type: "string" } });
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Graph service API",
+      version: process.env.npm_package_version ?? "1.0.0",
+      description: "Errors share the envelope { status, code, message, details? }; details lists field-level violations.",
+    },
+    servers: [{ url: "/" }],
+    security: [{ bearerAuth: [] }, { graphToken: [] }],
+    tags: [...new Set(operations.flatMap((op) => op.tags))].map((name) => ({ name })),
+    paths,
+    components: {
+      schemas: contractSchemas(),
+      parameters: {
+        CompanyIdHeader: header("x-company-id", "Alternative to companyId/company_id"),
+        PerimeterIdHeader: header("x-perimeter-id", "Alternative to perimeterId/perimeter_id"),
+        CampaignIdHeader: header("x-campaign-id", "Alternative to campaignId/campaign_id"),
+        RequestIdHeader: header("x-request-id", "Correlation id, echoed in the response"),
+      },
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT", description: "Supabase access token" },
+        graphToken: { type: "apiKey", in: "header", name: "x-graph-token", description: "Legacy service token" },
+      },
+    },
+  };
+}
+
+/**
+ * Compila documento e validatori alla prima richiesta: gli enum vengono dalle costanti
+ * delle rispettive sezioni, definite più avanti nel file.
+ */
+let apiContract = null;
+
+function getApiContract() {
+  if (apiContract) return apiContract;
+  const operations = apiOperations();
+  const document = buildOpenApiDocument(operations);
+  const ajv = new Ajv2020({ allErrors: true, strict: false });
+  // la query arriva come stringhe: validata su una copia con coercizione, gli handler leggono l'originale
+  const queryAjv = new Ajv2020({ allErrors: true, strict: false, coerceTypes: true });
+  ajv.addSchema(document, OPENAPI_DOCUMENT_ID, undefined, false);
+  const compileAt = (...parts) =>
+    ajv.compile({ $ref: `${OPENAPI_DOCUMENT_ID}#/${parts.map(jsonPointerPart).join("/")}` });
+
+  apiContract = {
+    document,
+    errorValidator: compileAt("components", "schemas", "ErrorEnvelope"),
+    operations: operations.map((op) => {
+      const base = ["paths", toOpenApiPath(op.path), op.method];
+      const query = operationQuerySchema(op);
+      const responseValidators = {};
+      for (const [status, schema] of Object.entries(op.responses)) {
+        if (schema.type || schema.$ref) {
+          responseValidators[status] = compileAt(...base, "responses", status, "content", "application/json", "schema");
+        }
+      }
+      return {
+        ...op,
+        pattern: new RegExp(`^${op.path.replace(/:[A-Za-z_]\w*/g, "[^/]+")}/?$`, "i"),
+        validateQuery: query ? queryAjv.compile(query) : null,
+        validateBody: operationBodySchema(op)
+          ? compileAt(...base, "requestBody", "content", "application/json", "schema")
+          : null,
+        responseValidators,
+      };
+    }),
+  };
+  return apiContract;
+}
+
+function matchApiOperation(req) {
+  const method = req.method.toLowerCase();
+  return getApiContract().operations.find((op) => op.method === method && op.pattern.test(req.path)) ?? null;
+}
+
+function contractErrorDetails(location, errors) {
+  // i rami di un anyOf fallito sono rumore: resta l'errore anyOf sul campo
+  const relevant = (errors ?? []).filter((err) => !/\/anyOf\/\d+\//.test(err.schemaPath));
+  return relevant.map((err) => {
+    const segments = err.instancePath
+      .split("/")
+      .slice(1)
+      .map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"));
+    if (err.keyword === "required") segments.push(err.params.missingProperty);
+    if (err.keyword === "additionalProperties") segments.push(err.params.additionalProperty);
+    return {
+      in: location,
+      field: segments.join(".") || null,
+      message: err.message,
+      keyword: err.keyword,
+      ...(err.params?.allowedValues ? { allowed: err.params.allowedValues } : {}),
+    };
+  });
+}
+
+function validateRequestContract(op, req) {
+  const details = [];
+  if (op.validateQuery && !op.validateQuery({ ...req.query })) {
+    details.push(...contractErrorDetails("query", op.validateQuery.errors));
+  }
+  if (op.validateBody && !op.validateBody(req.body ?? {})) {
+    details.push(...contractErrorDetails("body", op.validateBody.errors));
+  }
+  return details;
+}
+
+// ogni errore JSON esce con code e message, anche dagli handler che non li impostano
+function normalizeErrorEnvelope(statusCode, body) {
+  if (statusCode < 400 || !body || typeof body !== "object" || Array.isArray(body)) return body;
+  if (body.status !== "ERROR" && body.status !== "WAIT") return body;
+  return {
+    ...body,
+    code: body.code ?? HTTP_ERROR_CODES[statusCode] ?? `HTTP_${statusCode}`,
+    message: body.message ?? STATUS_CODES[statusCode] ?? "Error",
+  };
+}
+
+function checkResponseContract(op, res, body) {
+  const validate = op.responseValidators[res.statusCode]
+    ?? (res.statusCode >= 400 ? getApiContract().errorValidator : null);
+  if (!validate || validate(body)) return body;
+  const details = contractErrorDetails("response", validate.errors);
+  incrementCounter("openapi_response_violations_total", { operation: op.operationId });
+  log("WARN", "response_contract_violation", { operationId: op.operationId, statusCode: res.statusCode, details });
+  if (!OPENAPI_STRICT_RESPONSES) return body;
+  res.status(500);
+  return {
+    status: "ERROR",
+    code: "RESPONSE_CONTRACT_VIOLATION",
+    message: `Response of ${op.operationId} does not match the OpenAPI contract`,
+    details,
+  };
+}
+
+// Sulle operazioni protette l'autenticazione viene prima della validazione: chi non è autenticato
+// riceve 401 e non i dettagli del contratto. Ruoli e scope restano a requireAdmin/requireAuth.
+app.use(async (req, res, next) => {
+  const op = matchApiOperation(req);
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const normalized = normalizeErrorEnvelope(res.statusCode, body);
+    return sendJson(op ? checkResponseContract(op, res, normalized) : normalized);
+  };
+  if (!op) return next();
+
+  if (op.security?.length !== 0) {
+    try {
+      if (!(await resolveRequestAuth(req))) {
+        recordAuthFailure("unauthenticated");
+        return res.status(401).json({ status: "ERROR", message: "Unauthorized" });
+      }
+    } catch (err) {
+      return res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+    }
+  }
+
+  const details = validateRequestContract(op, req);
+  if (details.length) {
+    log("INFO", "request_contract_violation", { operationId: op.operationId, details });
+    return res.status(400).json({
+      status: "ERROR",
+      code: "VALIDATION_FAILED",
+      message: `Request does not match the ${op.operationId} contract`,
+      details,
+    });
+  }
+  next();
+});
+
+app.get("/openapi.json", (_req, res) => {
+  res.json(getApiContract().document);
+});
+
+/* ----------------------------------
+   Health check
+---------------------------------- */
+app.get("/health", async (_req, res) => {
+  try {
+    await ensureNeo4jReady(0);
+    res.json({ status: "OK", neo4j: "ready" });
   } catch {
     res.status(503).json({ status: "ERROR", neo4j: "sleeping" });
   }
@@ -306,18 +2638,29 @@ function requireSelfOrAdmin(paramName = "userId") {
       const auth = req.auth;
       if (!auth) return res.status(401).json({ status: "ERROR", message: "Unauthorized" });
 
-      // legacy token => treat as admin
-      if (auth.mode === "token") return next();
-
       const requestedUserId = req.params?.[paramName];
       if (!requestedUserId) {
         return res.status(400).json({ status: "ERROR", message: `Missing param ${paramName}` });
       }
 
-      if (auth.userId === requestedUserId) return next();
+      if (auth.mode === "supabase" && auth.userId === requestedUserId) return next();
 
-      const admin = await isAdminUserId(auth.userId);
-      if (!admin) return res.status(403).json({ status: "ERROR", message: "Forbidden" });
+      // per conto di altri: serve un ruolo sul company/perimeter dell'utente
+      const { data: user, error } = await supabaseAdmin
+        .from("users")
+        .select("id, company_id, perimeter_id")
+        .eq("id", requestedUserId)
+        .maybeSingle();
+      if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+
+      const scope = user
+        ? { companyId: asIdString(user.company_id), perimeterId: asIdString(user.perimeter_id) }
+        : null;
+      const allowed = scope ? canAccessScope(auth, scope, requestedAccess(req)) : isSuperAdmin(auth);
+      if (!allowed) {
+        recordAuthFailure("forbidden");
+        return res.status(403).json({ status: "ERROR", message: "Forbidden" });
+      }
 
       return next();
     } catch (err) {
@@ -362,21 +2705,288 @@ function getTenantScopeOrRespond(req, res) {
     });
     return null;
   }
+  if (!canAccessScope(req.auth, scope, requestedAccess(req))) {
+    rejectScopeForbidden(res);
+    return null;
+  }
   return scope;
 }
 
-function resolveGraphNamespace(scope) {
-  return {
-    companyId: scope.companyId,
-    perimeterId: scope.perimeterId,
-    tenantKey: `${scope.companyId}::${scope.perimeterId}`,
-    // futura evoluzione: dbName dinamico per database-per-tenant
-    dbName: null,
-  };
+/* ----------------------------------
+   Database-per-tenant
+   -> GRAPH_TENANT_DATABASES=off (default): tutti i tenant nel database di default (condiviso)
+   -> "supabase": mappa in graph_tenant_databases (company_id, perimeter_id, database_name,
+      migrated_at, created_by, created_at), scritta da POST /admin/tenant-databases
+   -> "file": JSON { "company:perimeter": "database" } in GRAPH_TENANT_DATABASES_FILE, letto all'avvio
+   I tenant non mappati restano nel database condiviso. La mappa Supabase è in cache per istanza:
+   un provisioning fatto da un'altra istanza si vede al più dopo GRAPH_TENANT_DATABASES_TTL_MS.
+   Durante il provisioning il tenant è recintato (graph_tenant_fences, letto da ogni istanza a ogni
+   operazione sul grafo). Ogni sessione che scrive sul grafo di un tenant si registra prima in
+   graph_tenant_writes, controllando il fence nella stessa transazione: il provisioning copia solo
+   quando le scritture registrate su qualsiasi istanza sono finite.
+---------------------------------- */
+const GRAPH_TENANT_DATABASES = (process.env.GRAPH_TENANT_DATABASES || "off").toLowerCase();
+const GRAPH_TENANT_DATABASES_FILE = process.env.GRAPH_TENANT_DATABASES_FILE;
+const GRAPH_TENANT_DATABASES_TTL_MS = clampInt(process.env.GRAPH_TENANT_DATABASES_TTL_MS, 60000, 0, 3600000);
+// nomi database Neo4j: 3-63 caratteri, iniziale alfabetica, minuscole, cifre, "." e "-"
+const GRAPH_DATABASE_NAME_RE = /^[a-z][a-z0-9.-]{2,62}$/;
+const TENANT_FENCE_TTL_MS = 10 * 60000;
+// una scrittura registrata si rinnova finché la sessione è aperta: se l'istanza muore scade presto
+const TENANT_WRITE_TTL_MS = 60000;
+const TENANT_FENCE_JOB_WAIT_MS = clampInt(process.env.TENANT_FENCE_JOB_WAIT_MS, 60000, 0, 3600000);
+
+if (!["off", "supabase", "file"].includes(GRAPH_TENANT_DATABASES)) {
+  log("ERROR", "invalid_env_graph_tenant_databases", { value: GRAPH_TENANT_DATABASES });
+  process.exit(1);
+}
+if (GRAPH_TENANT_DATABASES === "file" && !GRAPH_TENANT_DATABASES_FILE) {
+  log("ERROR", "missing_env_graph_tenant_databases_file");
+  process.exit(1);
 }
 
-function resolveCampaignId(req) {
-  return (
+function isValidGraphDatabaseName(name) {
+  return typeof name === "string" && GRAPH_DATABASE_NAME_RE.test(name) && name !== "system";
+}
+
+function parseTenantDatabaseFile(path) {
+  const raw = JSON.parse(readFileSync(path, "utf8"));
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("expected an object");
+  const entries = new Map();
+  for (const [tenant, database] of Object.entries(raw)) {
+    const [companyId, perimeterId] = tenant.split(":").map((s) => s.trim());
+    if (!companyId || !perimeterId || perimeterId === "*" || !isValidGraphDatabaseName(database)) {
+      throw new Error(`invalid entry "${tenant}"`);
+    }
+    entries.set(`${companyId}::${perimeterId}`, { companyId, perimeterId, database, migratedAt: null });
+  }
+  return entries;
+}
+
+function loadTenantDatabaseFileOrExit() {
+  try {
+    return parseTenantDatabaseFile(GRAPH_TENANT_DATABASES_FILE);
+  } catch (err) {
+    log("ERROR", "invalid_graph_tenant_databases_file", { path: GRAPH_TENANT_DATABASES_FILE, message: err.message });
+    process.exit(1);
+  }
+}
+
+// tenantKey -> { companyId, perimeterId, database, migratedAt }
+let tenantDatabases = GRAPH_TENANT_DATABASES === "file" ? loadTenantDatabaseFileOrExit() : new Map();
+let tenantDatabasesLoadedAt = 0;
+let tenantDatabasesRefresh = null;
+// tenant in provisioning su questa istanza (tenantKey -> companyId): grafo e webhook attendono
+const provisioningTenants = new Map();
+
+function tenantDatabaseFromRow(row) {
+  return {
+    companyId: String(row.company_id),
+    perimeterId: String(row.perimeter_id),
+    database: row.database_name,
+    migratedAt: row.migrated_at ?? null,
+    createdBy: row.created_by ?? null,
+    createdAt: row.created_at ?? null,
+  };
+}
+
+async function fetchTenantDatabases() {
+  const { data, error } = await supabaseAdmin
+    .from("graph_tenant_databases")
+    .select("company_id, perimeter_id, database_name, migrated_at, created_by, created_at");
+  if (error) throw new Error(`graph_tenant_databases: ${error.message}`);
+  const entries = new Map();
+  for (const row of data ?? []) {
+    // una riga toccata a mano con un nome non valido si ignora: il tenant resta sul condiviso
+    if (!isValidGraphDatabaseName(row.database_name)) {
+      log("WARN", "tenant_database_invalid", { companyId: row.company_id, perimeterId: row.perimeter_id });
+      continue;
+    }
+    const entry = tenantDatabaseFromRow(row);
+    entries.set(`${entry.companyId}::${entry.perimeterId}`, entry);
+  }
+  return entries;
+}
+
+// Con Supabase irraggiungibile si resta sull'ultima mappa letta; senza nessuna mappa si fallisce,
+// perché instradare un tenant mappato sul database condiviso scriverebbe nel posto sbagliato
+async function refreshTenantDatabases() {
+  if (GRAPH_TENANT_DATABASES !== "supabase") return;
+  if (tenantDatabasesLoadedAt && Date.now() - tenantDatabasesLoadedAt < GRAPH_TENANT_DATABASES_TTL_MS) return;
+  tenantDatabasesRefresh ??= fetchTenantDatabases()
+    .then((entries) => {
+      // durante un provisioning vale la voce locale: la lettura può essere partita prima dell'upsert
+      for (const key of provisioningTenants.keys()) {
+        if (tenantDatabases.has(key)) entries.set(key, tenantDatabases.get(key));
+      }
+      tenantDatabases = entries;
+      tenantDatabasesLoadedAt = Date.now();
+    })
+    .finally(() => {
+      tenantDatabasesRefresh = null;
+    });
+  try {
+    await tenantDatabasesRefresh;
+  } catch (err) {
+    if (!tenantDatabasesLoadedAt) throw err;
+    log("WARN", "tenant_databases_stale", {
+      message: err.message,
+      loadedAt: new Date(tenantDatabasesLoadedAt).toISOString(),
+    });
+  }
+}
+
+// database che possono contenere nodi della company (di tutte se null): il condiviso (null) e i mappati
+function companyGraphDatabases(companyId) {
+  const mapped = [...tenantDatabases.values()]
+    .filter((entry) => !companyId || entry.companyId === companyId)
+    .map((entry) => entry.database);
+  return [null, ...new Set(mapped)];
+}
+
+function isCompanyProvisioning(companyId) {
+  return [...provisioningTenants.values()].some((c) => !companyId || c === companyId);
+}
+
+// Fence locale o preso da un'altra istanza (perimeterId null = qualsiasi perimetro della company)
+async function isTenantFenced(companyId, perimeterId = null) {
+  const local = perimeterId
+    ? provisioningTenants.has(`${companyId}::${perimeterId}`)
+    : isCompanyProvisioning(companyId);
+  if (local || GRAPH_TENANT_DATABASES !== "supabase") return local;
+  let query = supabaseAdmin
+    .from("graph_tenant_fences")
+    .select("company_id")
+    .gt("expires_at", new Date().toISOString())
+    .limit(1);
+  if (companyId) query = query.eq("company_id", companyId);
+  if (perimeterId) query = query.eq("perimeter_id", perimeterId);
+  const { data, error } = await query;
+  if (error) throw new Error(`graph_tenant_fences: ${error.message}`);
+  return (data ?? []).length > 0;
+}
+
+// true se preso (o rinnovato dallo stesso holder), false se lo tiene un altro provisioning
+async function acquireTenantFence(namespace, holder, reason) {
+  const { data, error } = await supabaseAdmin.rpc("acquire_graph_tenant_fence", {
+    p_company_id: namespace.companyId,
+    p_perimeter_id: namespace.perimeterId,
+    p_holder: holder,
+    p_reason: reason,
+    p_ttl_seconds: Math.ceil(TENANT_FENCE_TTL_MS / 1000),
+  });
+  if (error) throw new Error(`graph_tenant_fences: ${error.message}`);
+  return data === true;
+}
+
+// Rinnova il fence finché dura il provisioning; la funzione ritornata lo rilascia
+function holdTenantFence(namespace, holder, reason) {
+  const timer = setInterval(() => {
+    acquireTenantFence(namespace, holder, reason)
+      .then((held) => {
+        if (!held) log("ERROR", "tenant_fence_lost", { tenantKey: namespace.tenantKey, holder });
+      })
+      .catch((err) => log("WARN", "tenant_fence_renew_failed", { tenantKey: namespace.tenantKey, message: err?.message }));
+  }, TENANT_FENCE_TTL_MS / 3);
+  timer.unref();
+  return async () => {
+    clearInterval(timer);
+    const { error } = await supabaseAdmin
+      .from("graph_tenant_fences")
+      .delete()
+      .eq("company_id", namespace.companyId)
+      .eq("perimeter_id", namespace.perimeterId)
+      .eq("holder", holder);
+    // resta fino a expires_at: il tenant torna disponibile più tardi, ma non si perde nulla
+    if (error) log("WARN", "tenant_fence_release_failed", { tenantKey: namespace.tenantKey, message: error.message });
+  };
+}
+
+class TenantFencedError extends Error {
+  constructor() {
+    super("Tenant graph database provisioning in progress");
+    this.name = "TenantFencedError";
+  }
+}
+
+function rejectTenantFenced(res, scope) {
+  return res.status(503).set("Retry-After", "30").json({
+    status: "WAIT",
+    code: "TENANT_DATABASE_PROVISIONING",
+    message: "The tenant graph database is being provisioned, retry later",
+    companyId: scope.companyId,
+    perimeterId: scope.perimeterId,
+  });
+}
+
+// Le sessioni del provisioning (fenceHolder) e quelle sul database system non si registrano
+function tracksTenantWrites(namespace) {
+  return GRAPH_TENANT_DATABASES === "supabase" && !!namespace && !namespace.fenceHolder && namespace.dbName !== "system";
+}
+
+/**
+ * Registrazione in graph_tenant_writes di una sessione che scrive sul grafo del tenant:
+ * begin() prima di ogni transazione di scrittura (la prima registra, le altre non chiamano
+ * Supabase), end() alla chiusura della sessione. Con il tenant recintato begin() lancia TenantFencedError.
+ */
+function createTenantWrite(namespace) {
+  const id = crypto.randomUUID();
+  let renewTimer = null;
+  const register = async () => {
+    const { data, error } = await supabaseAdmin.rpc("begin_graph_tenant_write", {
+      p_id: id,
+      p_company_id: namespace.companyId ?? null,
+      p_perimeter_id: namespace.perimeterId ?? null,
+      p_ttl_seconds: Math.ceil(TENANT_WRITE_TTL_MS / 1000),
+    });
+    if (error) throw new Error(`graph_tenant_writes: ${error.message}`);
+    return data === true;
+  };
+  return {
+    async begin() {
+      if (renewTimer) return;
+      if (!(await register())) throw new TenantFencedError();
+      renewTimer = setInterval(() => {
+        register().catch((err) =>
+          log("WARN", "tenant_write_renew_failed", { tenantKey: namespace.tenantKey ?? null, message: err?.message })
+        );
+      }, TENANT_WRITE_TTL_MS / 3);
+      renewTimer.unref();
+    },
+    async end() {
+      if (!renewTimer) return;
+      clearInterval(renewTimer);
+      renewTimer = null;
+      const { error } = await supabaseAdmin.from("graph_tenant_writes").delete().eq("id", id);
+      // resta fino a expires_at: un provisioning la aspetta più del necessario, ma non copia a metà
+      if (error) log("WARN", "tenant_write_release_failed", { tenantKey: namespace.tenantKey ?? null, message: error.message });
+    },
+  };
+}
+
+// Scritture registrate e ancora valide che toccano il tenant (comprese quelle su tutta la company o su tutte)
+async function countTenantWrites(namespace) {
+  const { data, error } = await supabaseAdmin
+    .from("graph_tenant_writes")
+    .select("id, perimeter_id")
+    .gt("expires_at", new Date().toISOString())
+    .or(`company_id.is.null,company_id.eq.${namespace.companyId}`);
+  if (error) throw new Error(`graph_tenant_writes: ${error.message}`);
+  return (data ?? []).filter((row) => row.perimeter_id === null || row.perimeter_id === namespace.perimeterId).length;
+}
+
+function resolveGraphNamespace(scope) {
+  const tenantKey = `${scope.companyId}::${scope.perimeterId}`;
+  return {
+    companyId: scope.companyId,
+    perimeterId: scope.perimeterId,
+    tenantKey,
+    // null = database di default (condiviso)
+    dbName: tenantDatabases.get(tenantKey)?.database ?? null,
+  };
+}
+
+function resolveCampaignId(req) {
+  return (
     asNonEmptyString(req.body?.campaignId) ||
     asNonEmptyString(req.body?.campaign_id) ||
     asNonEmptyString(req.query?.campaignId) ||
@@ -385,81 +2995,6217 @@ function resolveCampaignId(req) {
   );
 }
 
+function getCampaignIdOrRespond(req, res) {
+  const campaignId = resolveCampaignId(req);
+  if (!campaignId) {
+    res.status(400).json({
+      status: "ERROR",
+      code: "CAMPAIGN_ID_REQUIRED",
+      message: "campaignId/campaign_id is required",
+    });
+    return null;
+  }
+  return campaignId;
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined) return null;
+  if (neo4j.isInt(value)) return value.toNumber();
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/* ----------------------------------
+   Audit trail
+   -> ogni route che modifica dati scrive un evento in Supabase (audit_events, append-only:
+      supabase/migrations/*_audit_events.sql revoca UPDATE/DELETE e un trigger li rifiuta,
+      anche con la service role key). La scrittura non blocca la risposta.
+---------------------------------- */
+const AUDIT_QUERY_DEFAULT_LIMIT = 100;
+const AUDIT_QUERY_MAX_LIMIT = 1000;
+const AUDIT_CSV_MAX_ROWS = 50000;
+const AUDIT_REDACTED_KEYS = /token|secret|password|authorization|jwt/i;
+const AUDIT_CSV_COLUMNS = [
+  "created_at",
+  "action",
+  "result",
+  "status_code",
+  "actor_user_id",
+  "auth_mode",
+  "company_id",
+  "perimeter_id",
+  "campaign_id",
+  "method",
+  "route",
+  "affected",
+  "payload_summary",
+];
+
+// Riassunto del body: mai i dati completi, solo forma e scalari brevi
+function summarizeAuditPayload(value, depth = 0) {
+  if (Array.isArray(value)) return { count: value.length };
+  if (value && typeof value === "object") {
+    if (depth >= 1) return { keys: Object.keys(value).slice(0, 20) };
+    return Object.fromEntries(
+      Object.entries(value)
+        .slice(0, 30)
+        .map(([k, v]) => [k, AUDIT_REDACTED_KEYS.test(k) ? "[redacted]" : summarizeAuditPayload(v, depth + 1)])
+    );
+  }
+  if (typeof value === "string") return value.length > 200 ? `${value.slice(0, 200)}…` : value;
+  return value ?? null;
+}
+
+// Contatori di righe/nodi toccati: quelli dichiarati dalla route o i numeri top-level della risposta
+function auditAffectedCounts(res, body) {
+  if (res.locals.audit?.affected) return res.locals.audit.affected;
+  if (!body || typeof body !== "object") return null;
+  const counts = Object.fromEntries(
+    Object.entries(body).filter(([, v]) => typeof v === "number" && Number.isFinite(v))
+  );
+  if (body.delta && typeof body.delta === "object") counts.delta = body.delta;
+  if (body.job?.id) counts.jobId = body.job.id;
+  return Object.keys(counts).length ? counts : null;
+}
+
+function auditTrail(action) {
+  return (req, res, next) => {
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+    res.on("finish", () => {
+      const scope = resolveTenantScope(req);
+      const event = {
+        action,
+        actor_user_id: req.auth?.userId ?? null,
+        auth_mode: req.auth?.mode ?? res.locals.audit?.authMode ?? "anonymous",
+        company_id: scope?.companyId ?? res.locals.audit?.companyId ?? asIdString(responseBody?.companyId),
+        perimeter_id: scope?.perimeterId ?? res.locals.audit?.perimeterId ?? asIdString(responseBody?.perimeterId),
+        campaign_id: resolveCampaignId(req) ?? res.locals.audit?.campaignId ?? asIdString(responseBody?.campaignId),
+        method: req.method,
+        route: req.route?.path ?? req.path,
+        params: Object.keys(req.params ?? {}).length ? req.params : null,
+        payload_summary: summarizeAuditPayload(req.body ?? {}),
+        result: res.statusCode >= 400 ? "error" : res.statusCode === 202 ? "accepted" : "success",
+        status_code: res.statusCode,
+        error_code: res.statusCode >= 400 ? responseBody?.code ?? null : null,
+        affected: auditAffectedCounts(res, responseBody),
+        dry_run: wantsDryRun(req),
+        created_at: new Date().toISOString(),
+      };
+      supabaseAdmin
+        .from("audit_events")
+        .insert(event)
+        .then(({ error }) => {
+          if (error) throw new Error(error.message);
+        })
+        .catch((err) => {
+          // l'evento finisce comunque nei log, così non si perde del tutto
+          log("ERROR", "audit_write_failed", { ...event, message: err?.message || "Unknown error" });
+        });
+    });
+    next();
+  };
+}
+
+// Filtro company/perimeter (entrambi facoltativi: senza perimeterId vale l'intera company)
+function resolveAuditScope(req) {
+  return {
+    companyId: asNonEmptyString(req.query?.companyId) || asNonEmptyString(req.query?.company_id),
+    perimeterId: asNonEmptyString(req.query?.perimeterId) || asNonEmptyString(req.query?.perimeter_id),
+  };
+}
+
+function buildAuditQuery(req) {
+  let query = supabaseAdmin.from("audit_events").select("*");
+  const actor = asNonEmptyString(req.query?.actor);
+  const action = asNonEmptyString(req.query?.action);
+  const { companyId, perimeterId } = resolveAuditScope(req);
+  const from = asNonEmptyString(req.query?.from);
+  const to = asNonEmptyString(req.query?.to);
+  if (actor) query = query.eq("actor_user_id", actor);
+  if (action) query = query.eq("action", action);
+  if (companyId) query = query.eq("company_id", companyId);
+  if (perimeterId) query = query.eq("perimeter_id", perimeterId);
+  if (from) query = query.gte("created_at", from);
+  if (to) query = query.lte("created_at", to);
+  return query.order("created_at", { ascending: false });
+}
+
+function invalidAuditRange(req) {
+  return ["from", "to"].find((key) => {
+    const value = asNonEmptyString(req.query?.[key]);
+    return value && Number.isNaN(Date.parse(value));
+  });
+}
+
+// Admin: consultazione (JSON paginato) ed export CSV (format=csv) degli eventi di audit
+app.get("/audit/events", requireAdmin, async (req, res) => {
+  const badKey = invalidAuditRange(req);
+  if (badKey) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_TIME_RANGE",
+      message: `${badKey} must be an ISO date/time`,
+    });
+  }
+  // solo il super admin vede gli eventi di tutti i tenant
+  if (!isSuperAdmin(req.auth)) {
+    const scope = resolveAuditScope(req);
+    if (!scope.companyId) {
+      return res.status(400).json({
+        status: "ERROR",
+        code: "TENANT_SCOPE_REQUIRED",
+        message: "companyId is required",
+      });
+    }
+    if (!canAccessScope(req.auth, scope, "read")) return rejectScopeForbidden(res);
+  }
+
+  try {
+    if (req.query?.format === "csv") {
+      // una riga oltre il limite basta a sapere che l'export è troncato
+      const rows = await fetchAllRows(() => buildAuditQuery(req), "audit_events", { maxRows: AUDIT_CSV_MAX_ROWS + 1 });
+      const truncated = rows.length > AUDIT_CSV_MAX_ROWS;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="audit-events.csv"`);
+      if (truncated) res.setHeader("X-Truncated", "true");
+      res.write(`${AUDIT_CSV_COLUMNS.join(",")}\n`);
+      for (const row of rows.slice(0, AUDIT_CSV_MAX_ROWS)) {
+        const values = AUDIT_CSV_COLUMNS.map((col) =>
+          row[col] !== null && typeof row[col] === "object" ? JSON.stringify(row[col]) : row[col]
+        );
+        await writeChunk(res, `${values.map(escapeCsv).join(",")}\n`);
+      }
+      return res.end();
+    }
+
+    const limit = clampInt(req.query?.limit, AUDIT_QUERY_DEFAULT_LIMIT, 1, AUDIT_QUERY_MAX_LIMIT);
+    const offset = clampInt(req.query?.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+    const { data, error } = await buildAuditQuery(req).range(offset, offset + limit - 1);
+    if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+
+    res.json({
+      status: "OK",
+      events: data ?? [],
+      limit,
+      offset,
+      nextOffset: (data ?? []).length === limit ? offset + limit : null,
+    });
+  } catch (err) {
+    if (err instanceof ClientGoneError) {
+      log("WARN", "audit_export_aborted", { actor: req.auth?.userId ?? null });
+      return;
+    }
+    log("ERROR", "audit_query_failed", { message: err?.message || "Unknown error" });
+    if (res.headersSent) res.destroy(err);
+    else res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  }
+});
+
+/* ----------------------------------
+   Role assignments (Admin)
+   -> si assegna/revoca solo dentro il proprio scope e fino al proprio ruolo
+      (un company_admin non crea super_admin, un perimeter_admin resta nel suo perimetro)
+---------------------------------- */
+function validateRoleAssignment(body) {
+  const userId = asNonEmptyString(body?.userId) || asNonEmptyString(body?.user_id);
+  const role = asNonEmptyString(body?.role);
+  const companyId = asNonEmptyString(body?.companyId) || asNonEmptyString(body?.company_id);
+  const perimeterId = asNonEmptyString(body?.perimeterId) || asNonEmptyString(body?.perimeter_id);
+
+  if (!userId) return { error: "userId is required" };
+  if (!ROLE_RANK[role]) return { error: `role must be one of: ${ROLES.join(", ")}` };
+  if (role === "super_admin" && (companyId || perimeterId)) {
+    return { error: "super_admin is global: companyId/perimeterId must be omitted" };
+  }
+  if (role !== "super_admin" && !companyId) return { error: `${role} requires companyId` };
+  if (role === "company_admin" && perimeterId) return { error: "company_admin covers the whole company: omit perimeterId" };
+  if (role === "perimeter_admin" && !perimeterId) return { error: "perimeter_admin requires perimeterId" };
+
+  return { assignment: { userId, role, companyId: companyId ?? null, perimeterId: perimeterId ?? null } };
+}
+
+function roleAssignmentScope(assignment) {
+  return { companyId: assignment.companyId, perimeterId: assignment.perimeterId };
+}
+
+function canManageRoleAssignment(auth, assignment) {
+  return (auth?.roles ?? []).some(
+    (a) =>
+      a.role !== "analyst" &&
+      ROLE_RANK[a.role] >= ROLE_RANK[assignment.role] &&
+      roleCoversScope(a, roleAssignmentScope(assignment))
+  );
+}
+
+function canSeeRoleAssignment(auth, assignment) {
+  return canAccessScope(auth, roleAssignmentScope(assignment), "read");
+}
+
+function roleAssignmentQuery(query, column, value) {
+  return value === null ? query.is(column, null) : query.eq(column, value);
+}
+
+// Admin: assegnazioni visibili al chiamante (filtri facoltativi userId, companyId, perimeterId, role)
+app.get("/admin/roles", requireAdmin, async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from("app_role_assignments")
+      .select("id, user_id, role, company_id, perimeter_id, created_by, created_at");
+    const userId = asNonEmptyString(req.query?.userId) || asNonEmptyString(req.query?.user_id);
+    const companyId = asNonEmptyString(req.query?.companyId) || asNonEmptyString(req.query?.company_id);
+    const perimeterId = asNonEmptyString(req.query?.perimeterId) || asNonEmptyString(req.query?.perimeter_id);
+    const role = asNonEmptyString(req.query?.role);
+    if (userId) query = query.eq("user_id", userId);
+    if (companyId) query = query.eq("company_id", companyId);
+    if (perimeterId) query = query.eq("perimeter_id", perimeterId);
+    if (role) query = query.eq("role", role);
+
+    const { data, error } = await query.order("created_at", { ascending: true });
+    if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+
+    const assignments = (data ?? [])
+      .filter((row) => ROLE_RANK[row.role])
+      .map(roleAssignmentFromRow)
+      .filter((a) => canSeeRoleAssignment(req.auth, a));
+    res.json({ status: "OK", count: assignments.length, assignments });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err?.message || "Unknown error" });
+  }
+});
+
+// Admin: assegna un ruolo (idempotente: la stessa assegnazione non viene duplicata)
+app.post("/admin/roles", requireAdmin, auditTrail("role_grant"), async (req, res) => {
+  const { assignment, error: invalid } = validateRoleAssignment(req.body);
+  if (invalid) {
+    return res.status(400).json({ status: "ERROR", code: "INVALID_ROLE_ASSIGNMENT", message: invalid });
+  }
+  if (!canManageRoleAssignment(req.auth, assignment)) {
+    return rejectScopeForbidden(res, `Not allowed to grant ${assignment.role} in this scope`);
+  }
+
+  try {
+    let existingQuery = supabaseAdmin
+      .from("app_role_assignments")
+      .select("id, user_id, role, company_id, perimeter_id, created_by, created_at")
+      .eq("user_id", assignment.userId)
+      .eq("role", assignment.role);
+    existingQuery = roleAssignmentQuery(existingQuery, "company_id", assignment.companyId);
+    existingQuery = roleAssignmentQuery(existingQuery, "perimeter_id", assignment.perimeterId);
+    const { data: existing, error: existingErr } = await existingQuery.limit(1);
+    if (existingErr) return res.status(500).json({ status: "ERROR", message: existingErr.message });
+    if (existing?.length) {
+      return res.json({ status: "OK", created: false, assignment: roleAssignmentFromRow(existing[0]) });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("app_role_assignments")
+      .insert({
+        user_id: assignment.userId,
+        role: assignment.role,
+        company_id: assignment.companyId,
+        perimeter_id: assignment.perimeterId,
+        created_by: req.auth.userId ?? null,
+        created_at: new Date().toISOString(),
+      })
+      .select("id, user_id, role, company_id, perimeter_id, created_by, created_at")
+      .single();
+    if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+
+    invalidateRoleCache(assignment.userId);
+    log("INFO", "role_granted", { ...assignment, by: req.auth.userId ?? req.auth.mode });
+    res.status(201).json({
+      status: "OK",
+      created: true,
+      companyId: assignment.companyId,
+      perimeterId: assignment.perimeterId,
+      assignment: roleAssignmentFromRow(data),
+    });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err?.message || "Unknown error" });
+  }
+});
+
+// Super admin: svuota la cache ruoli (di un utente o tutta) dopo modifiche fatte fuori dal service
+app.post("/admin/roles/cache/invalidate", requireAdmin, auditTrail("role_cache_invalidate"), (req, res) => {
+  if (!requireSuperAdmin(req, res)) return;
+  const userId = asNonEmptyString(req.body?.userId) || asNonEmptyString(req.body?.user_id);
+  invalidateRoleCache(userId);
+  res.json({ status: "OK", invalidated: userId ? "user" : "all", userId });
+});
+
+// Admin: revoca un'assegnazione
+app.delete("/admin/roles/:assignmentId", requireAdmin, auditTrail("role_revoke"), async (req, res) => {
+  try {
+    const { data: row, error } = await supabaseAdmin
+      .from("app_role_assignments")
+      .select("id, user_id, role, company_id, perimeter_id, created_by, created_at")
+      .eq("id", req.params.assignmentId)
+      .maybeSingle();
+    if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+
+    const assignment = row && ROLE_RANK[row.role] ? roleAssignmentFromRow(row) : null;
+    if (!assignment || !canSeeRoleAssignment(req.auth, assignment)) {
+      return res.status(404).json({
+        status: "ERROR",
+        code: "ROLE_ASSIGNMENT_NOT_FOUND",
+        message: "Role assignment not found",
+      });
+    }
+    if (!canManageRoleAssignment(req.auth, assignment)) {
+      return rejectScopeForbidden(res, `Not allowed to revoke ${assignment.role} in this scope`);
+    }
+
+    const { error: delErr } = await supabaseAdmin
+      .from("app_role_assignments")
+      .delete()
+      .eq("id", assignment.id);
+    if (delErr) return res.status(500).json({ status: "ERROR", message: delErr.message });
+
+    invalidateRoleCache(assignment.userId);
+    log("INFO", "role_revoked", { ...assignment, by: req.auth.userId ?? req.auth.mode });
+    res.json({
+      status: "OK",
+      companyId: assignment.companyId,
+      perimeterId: assignment.perimeterId,
+      assignment,
+    });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err?.message || "Unknown error" });
+  }
+});
+
+/* ----------------------------------
+   Tenant-scoped reset (harness)
+   -> reset e inizializzazione scenario toccano solo company/perimeter/campagna;
+      ogni passo registra la sua compensazione, applicata a ritroso se un passo successivo fallisce
+---------------------------------- */
+// preview è il nome della disattivazione (impact preview): vale come dryRun ovunque, audit compreso
+function wantsDryRun(req) {
+  return [req.body?.dryRun, req.body?.preview].includes(true)
+    || [req.query?.dryRun, req.query?.preview].includes("true");
+}
+
+async function updateRowsByIds(table, values, ids) {
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  for (let i = 0; i < unique.length; i += SUPABASE_IN_CHUNK) {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .update(values)
+      .in("id", unique.slice(i, i + SUPABASE_IN_CHUNK));
+    if (error) throw new Error(`${table} update: ${error.message}`);
+  }
+}
+
+async function deleteRowsByIds(table, ids) {
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  for (let i = 0; i < unique.length; i += SUPABASE_IN_CHUNK) {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .delete()
+      .in("id", unique.slice(i, i + SUPABASE_IN_CHUNK));
+    if (error) throw new Error(`${table} delete: ${error.message}`);
+  }
+}
+
+function createCompensations() {
+  const steps = [];
+  return {
+    push(step, undo) {
+      steps.push({ step, undo });
+    },
+    // best effort: si prova ogni compensazione anche se una precedente fallisce
+    async rollback() {
+      const report = [];
+      for (const { step, undo } of steps.reverse()) {
+        try {
+          await undo();
+          report.push({ step, ok: true });
+        } catch (err) {
+          report.push({ step, ok: false, message: err?.message || "Unknown error" });
+        }
+      }
+      return report;
+    },
+  };
+}
+
+// Riporta ogni utente allo stato di disponibilità che aveva prima
+async function restoreAvailability(users) {
+  const byStatus = new Map();
+  for (const u of users) {
+    const status = u.availability_status ?? null;
+    if (!byStatus.has(status)) byStatus.set(status, []);
+    byStatus.get(status).push(u.id);
+  }
+  for (const [status, ids] of byStatus) {
+    await updateRowsByIds("users", { availability_status: status }, ids);
+  }
+}
+
+/**
+ * Cosa tocca un reset del tenant: candidature della campagna (righe intere, servono per
+ * il rollback) e utenti non inactive coinvolti nella campagna, cioè candidati e occupanti
+ * delle posizioni candidate. Gli altri utenti del perimetro non si toccano.
+ */
+async function loadTenantResetPlan(namespace, campaignId) {
+  const applicationsToDelete = await fetchAllRows(
+    () =>
+      supabaseAdmin
+        .from("applications")
+        .select("*")
+        .eq("campaign_id", campaignId)
+        .order("id", { ascending: true }),
+    "applications"
+  );
+  const posRows = await fetchRowsByIds("positions", "id, occupied_by", applicationsToDelete.map((a) => a.position_id));
+  const campaignUserIds = [
+    ...applicationsToDelete.map((a) => a.user_id),
+    ...posRows.map((p) => p.occupied_by),
+  ].filter(Boolean).map(String);
+  const userRows = await fetchRowsByIds("users", "id, company_id, perimeter_id, availability_status", campaignUserIds);
+  const usersToDeactivate = userRows
+    .filter((u) => isUserInScope(u, namespace) && u.availability_status !== "inactive")
+    .map(({ id, availability_status }) => ({ id, availability_status }))
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  return { usersToDeactivate, applicationsToDelete };
+}
+
+async function applyTenantReset(plan, compensations) {
+  await updateRowsByIds("users", { availability_status: "inactive" }, plan.usersToDeactivate.map((u) => u.id));
+  compensations.push("deactivate_users", () => restoreAvailability(plan.usersToDeactivate));
+
+  await deleteRowsByIds("applications", plan.applicationsToDelete.map((a) => a.id));
+  compensations.push("delete_applications", async () => {
+    for (let i = 0; i < plan.applicationsToDelete.length; i += SUPABASE_IN_CHUNK) {
+      const { error } = await supabaseAdmin
+        .from("applications")
+        .insert(plan.applicationsToDelete.slice(i, i + SUPABASE_IN_CHUNK));
+      if (error) throw new Error(`applications restore: ${error.message}`);
+    }
+  });
+}
+
+function summarizeResetPlan(plan) {
+  return {
+    usersToDeactivate: plan.usersToDeactivate.length,
+    applicationsToDelete: plan.applicationsToDelete.length,
+    userIds: plan.usersToDeactivate.map((u) => String(u.id)),
+    applicationIds: plan.applicationsToDelete.map((a) => String(a.id)),
+  };
+}
+
+/**
+ * Piano di inizializzazione scenario: reset del tenant + candidature scenario da inserire
+ * nella campagna + utenti da attivare (candidati e occupanti delle posizioni target).
+ * `outOfScopeUserIds`: utenti sconosciuti o di un altro company/perimeter, lo scenario
+ * va rifiutato (non si inseriscono candidature fuori tenant).
+ */
+async function loadScenarioPlan(namespace, campaignId, scenApps) {
+  const reset = await loadTenantResetPlan(namespace, campaignId);
+  const applicationsToInsert = scenApps.map((a) => ({
+    user_id: a.user_id,
+    position_id: a.position_id,
+    priority: a.priority,
+    company_id: a.company_id,
+    perimeter_id: a.perimeter_id,
+    campaign_id: campaignId,
+  }));
+
+  const positionIds = [...new Set(applicationsToInsert.map((r) => r.position_id).filter(Boolean))];
+  const posRows = await fetchRowsByIds("positions", "id, occupied_by", positionIds);
+  const candidateIds = [
+    ...new Set(
+      [...applicationsToInsert.map((r) => r.user_id), ...posRows.map((p) => p.occupied_by)].filter(Boolean).map(String)
+    ),
+  ];
+  const userRows = await fetchRowsByIds("users", "id, company_id, perimeter_id, availability_status", candidateIds);
+  const usersToActivate = userRows.filter((u) => isUserInScope(u, namespace));
+  const inScope = new Set(usersToActivate.map((u) => String(u.id)));
+
+  return {
+    ...reset,
+    applicationsToInsert,
+    usersToActivate,
+    outOfScopeUserIds: candidateIds.filter((id) => !inScope.has(id)),
+    ruleViolations: await checkScenarioCreationRules(campaignId, applicationsToInsert, posRows),
+  };
+}
+
+// Dopo il reset la campagna contiene solo le candidature dello scenario: le regole di creazione
+// si controllano per utente su quelle (la scadenza una volta sola)
+async function checkScenarioCreationRules(campaignId, applications, posRows) {
+  const rules = await loadApplicationRules(campaignId);
+  if (!rules) return [];
+  const occupantOf = new Map(posRows.map((p) => [String(p.id), asIdString(p.occupied_by)]));
+  const byUser = new Map();
+  for (const app of applications) {
+    const userId = String(app.user_id);
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push({ id: app.position_id, position_id: app.position_id, priority: app.priority });
+  }
+  const violations = checkCreationRules(rules, []).map((v) => ({ ...v, campaignId }));
+  for (const [userId, apps] of byUser) {
+    const ownPositionIds = new Set(
+      apps.map((a) => String(a.position_id)).filter((positionId) => occupantOf.get(positionId) === userId)
+    );
+    violations.push(
+      ...checkCreationRules(rules, apps, { ownPositionIds })
+        .filter((v) => v.rule !== "edit_deadline")
+        // senza id ancora: applicationIds qui sarebbero posizioni, basta l'utente
+        .map(({ applicationIds, ...v }) => ({ ...v, campaignId, userId }))
+    );
+  }
+  return violations;
+}
+
+function summarizeScenarioPlan(plan) {
+  return {
+    ...summarizeResetPlan(plan),
+    applicationsToInsert: plan.applicationsToInsert.length,
+    usersToActivate: plan.usersToActivate.length,
+    activateUserIds: plan.usersToActivate.map((u) => String(u.id)),
+  };
+}
+
+function scenarioOutOfScopeError(userIds) {
+  const err = new Error("test scenario references users outside its company/perimeter");
+  err.body = { code: "SCENARIO_USERS_OUT_OF_SCOPE", message: err.message, userIds };
+  return err;
+}
+
+/* ----------------------------------
+   APP API (used by the frontend)
+   - keeps Supabase as source of truth
+   - avoids writing business logic in Supabase
+---------------------------------- */
+
+// Admin: deactivate the users involved in one campaign + clear its applications (dashboard reset)
+app.post(
+  "/api/admin/reset-active-users",
+  requireAuth(),
+  requireAdmin,
+  auditTrail("reset_active_users"),
+  async (req, res) => {
+    if (!requireHarnessEnabled(res)) return;
+    const scope = getTenantScopeOrRespond(req, res);
+    if (!scope) return;
+    const namespace = resolveGraphNamespace(scope);
+    const dryRun = wantsDryRun(req);
+
+    try {
+      const requestedCampaignId = resolveCampaignId(req);
+      const campaignId = requestedCampaignId
+        ? await findCampaignInScope(namespace, requestedCampaignId)
+        : await findActiveCampaignId(namespace);
+      if (!campaignId) {
+        return res.status(404).json({
+          status: "ERROR",
+          code: "CAMPAIGN_NOT_FOUND",
+          message: "Campaign not found in this company/perimeter",
+        });
+      }
+
+      const plan = await loadTenantResetPlan(namespace, campaignId);
+      const summary = summarizeResetPlan(plan);
+      const base = { companyId: scope.companyId, perimeterId: scope.perimeterId, campaignId };
+      if (dryRun) return res.json({ status: "OK", dryRun: true, ...base, ...summary });
+
+      const compensations = createCompensations();
+      try {
+        await applyTenantReset(plan, compensations);
+      } catch (err) {
+        const rollback = await compensations.rollback();
+        log("ERROR", "tenant_reset_failed", { ...base, message: err?.message || "Unknown error", rollback });
+        return res.status(500).json({
+          status: "ERROR",
+          code: "RESET_FAILED",
+          message: err?.message || "Unknown error",
+          rollback,
+        });
+      }
+
+      log("INFO", "tenant_reset", {
+        ...base,
+        usersDeactivated: summary.usersToDeactivate,
+        applicationsDeleted: summary.applicationsToDelete,
+      });
+      return res.json({
+        status: "OK",
+        ...base,
+        usersDeactivated: summary.usersToDeactivate,
+        applicationsDeleted: summary.applicationsToDelete,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        status: "ERROR",
+        message: err?.message || "Unknown error",
+      });
+    }
+  }
+);
+
+/* ----------------------------------
+   User deactivation (a cascata)
+   -> policy per le candidature verso le posizioni dell'utente:
+      remove  = si cancellano insieme alle sue
+      vacancy = restano e puntano alla posizione, che si libera (occupied_by = null)
+   -> in self-service (nessun ruolo sul tenant dell'utente) vale solo vacancy, il default:
+      remove cancellerebbe candidature altrui e invaliderebbe le loro proposte
+   -> preview (o dryRun): nessuna scrittura, elenca candidature, posizioni, proposte e cicli che si romperebbero
+   -> la scrittura è una sola transazione in Supabase (deactivate_user), proposte comprese;
+      il grafo si aggiorna dopo il commit e se fallisce lo si dice nella risposta
+---------------------------------- */
+const DEACTIVATION_POLICIES = new Set(["remove", "vacancy"]);
+const DEACTIVATION_DRY_RUN_CYCLE_LIMIT = 200;
+
+function buildDeactivationPlan(user, policy, { outgoing, incoming, ownPositions }) {
+  return {
+    user,
+    policy,
+    outgoing,
+    incoming,
+    ownPositions,
+    applicationsToDelete: policy === "remove" ? [...outgoing, ...incoming] : outgoing,
+    positionsToVacate: policy === "vacancy" ? ownPositions : [],
+  };
+}
+
+/**
+ * Cosa toccherebbe la disattivazione (dry run): candidature dell'utente, candidature altrui
+ * verso le posizioni che occupa e posizioni da liberare.
+ */
+async function loadDeactivationPlan(user, policy) {
+  const userId = String(user.id);
+  const outgoing = await fetchAllRows(
+    () =>
+      supabaseAdmin
+        .from("applications")
+        .select("id")
+        .eq("user_id", userId)
+        .order("id", { ascending: true }),
+    "applications"
+  );
+  const ownPositions = await fetchRowsByIds("positions", "id, title, occupied_by", [userId], "occupied_by");
+  const incoming = (await fetchRowsByIds("applications", "id, user_id", ownPositions.map((p) => p.id), "position_id"))
+    .filter((a) => String(a.user_id) !== userId);
+
+  return buildDeactivationPlan(user, policy, { outgoing, incoming, ownPositions });
+}
+
+// Proposte open/confirmed con l'utente tra i partecipanti o su una delle candidature da cancellare
+async function findLiveProposalsForDeactivation(plan) {
+  const participants = [
+    ...(await fetchRowsByIds("swap_proposal_participants", "proposal_id", [String(plan.user.id)], "user_id")),
+    ...(await fetchRowsByIds(
+      "swap_proposal_participants",
+      "proposal_id",
+      plan.applicationsToDelete.map((a) => String(a.id)),
+      "application_id"
+    )),
+  ];
+  const proposalIds = [...new Set(participants.map((r) => String(r.proposal_id)))];
+  if (!proposalIds.length) return [];
+  const { data, error } = await supabaseAdmin
+    .from("swap_proposals")
+    .select("id, campaign_id, status")
+    .in("id", proposalIds)
+    .in("status", PROPOSAL_LOCKING_STATUSES)
+    .order("id", { ascending: true });
+  if (error) throw new Error(`swap_proposals: ${error.message}`);
+  return (data ?? []).map((p) => ({ id: String(p.id), campaignId: asIdString(p.campaign_id), status: p.status }));
+}
+
+// Tutto o niente: il piano restituito è quello applicato davvero, righe arrivate dopo la lettura comprese
+async function applyDeactivation(user, policy) {
+  const { data, error } = await supabaseAdmin.rpc("deactivate_user", {
+    p_user_id: String(user.id),
+    p_policy: policy,
+    p_reason: "user_deactivated",
+  });
+  if (error) throw new Error(`deactivate_user: ${error.message}`);
+  const asRows = (ids) => (ids ?? []).map((id) => ({ id: String(id) }));
+  return {
+    plan: buildDeactivationPlan(user, policy, {
+      outgoing: asRows(data?.outgoing),
+      incoming: asRows(data?.incoming),
+      ownPositions: (data?.ownPositions ?? []).map((p) => ({ id: String(p.id), title: p.title ?? null })),
+    }),
+    proposalsInvalidated: (data?.proposalsInvalidated ?? []).map(String),
+  };
+}
+
+function summarizeDeactivationPlan(plan) {
+  const incomingIds = plan.incoming.map((a) => String(a.id));
+  return {
+    userId: String(plan.user.id),
+    policy: plan.policy,
+    applications: {
+      outgoing: plan.outgoing.map((a) => String(a.id)),
+      incoming: incomingIds,
+      deleted: plan.applicationsToDelete.map((a) => String(a.id)),
+      redirectedToVacancy: plan.policy === "vacancy" ? incomingIds : [],
+    },
+    positionsVacated: plan.positionsToVacate.map((p) => ({ id: String(p.id), title: p.title ?? null })),
+  };
+}
+
+/**
+ * Cicli della campagna attiva che passano per l'utente: con la disattivazione si rompono tutti.
+ * Gli altri partecipanti si vedono solo con un ruolo sul tenant, altrimenti restano anonimi come in opportunities.
+ */
+async function findBrokenCycles(namespace, campaignId, userId, { model, reveal }) {
+  const session = graphStore.openSession(namespace);
+  try {
+    const graph = await graphStore.fetchCampaignAdjacency(session, namespace, campaignId, model);
+    const start = graph.index.get(userId);
+    if (start === undefined) return { items: [], truncated: false };
+    const { cycles, truncatedReason } = await cyclesThrough(graph, start, {
+      maxLen: OPPORTUNITIES_MAX_MAX_LEN,
+      limit: DEACTIVATION_DRY_RUN_CYCLE_LIMIT,
+      deadline: Date.now() + OPPORTUNITIES_TIME_BUDGET_MS,
+    });
+    const items = cycles
+      .map((edges) => {
+        const first = edges.reduce((best, e, i) => (e.toIndex < edges[best].toIndex ? i : best), 0);
+        const steps = [...edges.slice(first), ...edges.slice(0, first)].map((e) => graph.vertices[e.toIndex]);
+        return {
+          length: edges.length,
+          participants: steps.map((id, i) =>
+            id === userId ? { you: true } : { you: false, ...(reveal ? { userId: id } : { label: `participant_${i + 1}` }) }
+          ),
+        };
+      })
+      .sort((a, b) => a.length - b.length);
+    return { items, truncated: !!truncatedReason, ...(truncatedReason ? { truncatedReason } : {}) };
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Proiezione sul grafo del tenant, nella stessa transazione:
+ * vacancy -> gli archi verso l'utente passano alla Vacancy della posizione (person model);
+ * remove  -> gli APPLIES_TO verso le sue posizioni spariscono (position model);
+ * poi via il Person con i suoi archi e i vicini rimasti isolati, come il webhook DELETE su users.
+ */
+async function projectUserDeactivation(namespace, plan) {
+  const userId = String(plan.user.id);
+  const ownPositionIds = plan.ownPositions.map((p) => String(p.id));
+  await withGraphSession(namespace, (session) =>
+    session.writeTransaction(async (tx) => {
+      await ensureGraphConstraints(tx);
+      for (const position of plan.positionsToVacate) {
+        const positionId = String(position.id);
+        const detached = await detachApplicationEdges(tx, { positionId, companyId: namespace.companyId });
+        const edges = detached
+          .filter((r) => r.perimeterId === namespace.perimeterId && r.user_id !== userId)
+          .map((r) => ({
+            user_id: r.user_id,
+            target_user_id: null,
+            target_position_id: positionId,
+            priority: r.priority,
+            campaign_id: r.campaign_id,
+            application_id: r.application_id,
+            position_id: positionId,
+            attributes: r.attributes,
+          }));
+        await applyGraphDelta(tx, namespace, {
+          vacancies: edges.length ? [{ position_id: positionId, title: position.title ?? null }] : [],
+          edges,
+        });
+      }
+
+      const applicants = plan.policy === "remove" && ownPositionIds.length
+        ? await tx.run(
+          `
+          MATCH (a:Person)-[r:APPLIES_TO {company_id: $companyId, perimeter_id: $perimeterId}]->
+                (pos:Position {company_id: $companyId, perimeter_id: $perimeterId})
+          WHERE pos.position_id IN $positionIds
+          DELETE r
+          RETURN DISTINCT a.user_id AS userId
+          `,
+          { ...namespace, positionIds: ownPositionIds }
+        )
+        : { records: [] };
+
+      await tx.run(
+        `
+        MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: $userId})
+        OPTIONAL MATCH (p)--(n)
+        WITH collect(DISTINCT p) AS persons, collect(DISTINCT n) AS neighbours
+        FOREACH (p IN persons | DETACH DELETE p)
+        WITH neighbours
+        UNWIND neighbours AS n
+        WITH n
+        WHERE NOT (n)--() AND NOT coalesce(n.leaving, false)
+        DELETE n
+        `,
+        { ...namespace, userId }
+      );
+      await tx.run(
+        `
+        MATCH (pos:Position {company_id: $companyId, perimeter_id: $perimeterId})
+        WHERE pos.position_id IN $positionIds AND NOT (pos)--()
+        DELETE pos
+        `,
+        { ...namespace, positionIds: ownPositionIds }
+      );
+      await applyGraphDelta(tx, namespace, {
+        prunePersonIds: applicants.records.map((rec) => rec.get("userId")).filter(Boolean),
+      });
+    })
+  );
+}
+
+// Il grafo segue Supabase: se non si può aggiornare ora lo si dice, il prossimo build lo riallinea
+async function syncDeactivationGraph(namespace, plan) {
+  if (!graphStore.supportsOperation("webhook_projection")) {
+    return { updated: false, reason: "graph_store_unsupported" };
+  }
+  try {
+    await ensureNeo4jReady(2);
+    await refreshTenantDatabases();
+    if (await isTenantFenced(namespace.companyId)) return { updated: false, reason: "tenant_database_provisioning" };
+    await projectUserDeactivation(resolveGraphNamespace(namespace), plan);
+    return { updated: true };
+  } catch (err) {
+    if (err instanceof TenantFencedError) return { updated: false, reason: "tenant_database_provisioning" };
+    log("WARN", "user_deactivation_graph_failed", {
+      userId: String(plan.user.id),
+      companyId: namespace.companyId,
+      perimeterId: namespace.perimeterId,
+      message: err?.message || "Unknown error",
+    });
+    return { updated: false, reason: "graph_unavailable" };
+  }
+}
+
+// Deactivate a user and cascade to applications, positions, proposals and graph
+app.post(
+  "/api/users/:userId/deactivate",
+  requireAuth(),
+  requireSelfOrAdmin("userId"),
+  auditTrail("user_deactivate"),
+  async (req, res) => {
+    const userId = req.params.userId;
+    const requestedPolicy = asNonEmptyString(req.body?.policy);
+    if (requestedPolicy && !DEACTIVATION_POLICIES.has(requestedPolicy)) {
+      return res.status(400).json({
+        status: "ERROR",
+        code: "INVALID_DEACTIVATION_POLICY",
+        message: `policy must be one of: ${[...DEACTIVATION_POLICIES].join(", ")}`,
+      });
+    }
+    const dryRun = wantsDryRun(req);
+
+    let user;
+    let namespace;
+    try {
+      const { data, error: userErr } = await supabaseAdmin
+        .from("users")
+        .select("id, company_id, perimeter_id, availability_status")
+        .eq("id", userId)
+        .maybeSingle();
+      if (userErr) return res.status(500).json({ status: "ERROR", message: userErr.message });
+      if (!data) return res.status(404).json({ status: "ERROR", code: "USER_NOT_FOUND", message: "User not found" });
+      user = data;
+      namespace = user.company_id && user.perimeter_id
+        ? resolveGraphNamespace({ companyId: String(user.company_id), perimeterId: String(user.perimeter_id) })
+        : null;
+    } catch (err) {
+      return res.status(500).json({ status: "ERROR", message: err?.message || "Unknown error" });
+    }
+
+    const scope = { companyId: asIdString(user.company_id), perimeterId: asIdString(user.perimeter_id) };
+    const asAdmin = scope.companyId ? canAccessScope(req.auth, scope, "write") : isSuperAdmin(req.auth);
+    if (!asAdmin && requestedPolicy && requestedPolicy !== "vacancy") {
+      recordAuthFailure("deactivation_policy");
+      return res.status(403).json({
+        status: "ERROR",
+        code: "DEACTIVATION_POLICY_ADMIN_ONLY",
+        message: "Only an admin of the user's company/perimeter can choose the remove policy",
+      });
+    }
+    const policy = requestedPolicy ?? (asAdmin ? "remove" : "vacancy");
+
+    if (dryRun) {
+      const model = getGraphModelOrRespond(req, res);
+      if (!model) return;
+      let plan;
+      let proposals;
+      let campaignId = null;
+      let cycles = { items: [], truncated: false };
+      try {
+        plan = await loadDeactivationPlan(user, policy);
+        proposals = await findLiveProposalsForDeactivation(plan);
+        if (namespace) campaignId = await findActiveCampaignId(namespace);
+      } catch (err) {
+        return res.status(500).json({ status: "ERROR", message: err?.message || "Unknown error" });
+      }
+      if (campaignId) {
+        const warm = await ensureNeo4jOrWaitResponse(res, "user_deactivation_dry_run", namespace);
+        if (!warm) return;
+        try {
+          cycles = await findBrokenCycles(resolveGraphNamespace(namespace), campaignId, userId, {
+            model,
+            reveal: canAccessScope(req.auth, namespace, "read"),
+          });
+        } catch (err) {
+          log("ERROR", "user_deactivation_dry_run_failed", {
+            userId,
+            companyId: namespace.companyId,
+            perimeterId: namespace.perimeterId,
+            message: err?.message || "Unknown error",
+          });
+          return res.status(500).json({ status: "ERROR", message: err?.message || "Unknown error" });
+        }
+      }
+      return res.json({
+        status: "OK",
+        preview: true,
+        dryRun: true,
+        ...summarizeDeactivationPlan(plan),
+        campaignId,
+        model,
+        proposalsToInvalidate: proposals,
+        cyclesBroken: cycles.items,
+        truncated: cycles.truncated,
+        ...(cycles.truncatedReason ? { truncatedReason: cycles.truncatedReason } : {}),
+      });
+    }
+
+    let applied;
+    try {
+      applied = await applyDeactivation(user, policy);
+    } catch (err) {
+      log("ERROR", "user_deactivation_failed", { userId, policy, message: err?.message || "Unknown error" });
+      return res.status(500).json({
+        status: "ERROR",
+        code: "DEACTIVATION_FAILED",
+        message: err?.message || "Unknown error",
+      });
+    }
+
+    // Da qui Supabase è già committato: il grafo non fa fallire la risposta, syncDeactivationGraph riporta l'esito
+    const { plan, proposalsInvalidated } = applied;
+    const summary = summarizeDeactivationPlan(plan);
+    if (proposalsInvalidated.length) {
+      log("INFO", "proposals_invalidated", { proposalIds: proposalsInvalidated, reason: "user_deactivated" });
+    }
+    const graph = namespace ? await syncDeactivationGraph(namespace, plan) : { updated: false, reason: "unknown_tenant" };
+
+    res.locals.audit = {
+      affected: {
+        users: 1,
+        applicationsDeleted: summary.applications.deleted.length,
+        positionsVacated: summary.positionsVacated.length,
+        proposalsInvalidated: proposalsInvalidated.length,
+      },
+    };
+    log("INFO", "user_deactivated", {
+      userId,
+      policy,
+      applicationsDeleted: summary.applications.deleted.length,
+      positionsVacated: summary.positionsVacated.length,
+      proposalsInvalidated: proposalsInvalidated.length,
+      graphUpdated: graph.updated,
+    });
+    return res.json({ status: "OK", ...summary, proposalsInvalidated, graph });
+  }
+);
+
+/* ----------------------------------
+   Application rules (per campagna)
+   -> vincoli sulle candidature di un utente in una campagna, in Supabase
+      (campaign_application_rules: campaign_id, company_id, perimeter_id, rules, updated_at;
+      supabase/migrations/*_campaign_application_rules.sql)
+   -> senza configurazione non c'è nessun vincolo
+---------------------------------- */
+const DEFAULT_APPLICATION_RULES = {
+  maxApplicationsPerUser: null,
+  priorityRange: null,
+  uniquePriorities: false,
+  contiguousPriorities: false,
+  forbidOwnPosition: false,
+  editDeadline: null,
+};
+
+/**
+ * Valida e normalizza la configurazione. Formato:
+ * {
+ *   maxApplicationsPerUser?: intero >= 1,
+ *   priorityRange?: { min, max } interi, min <= max,
+ *   uniquePriorities?, contiguousPriorities?: contigue da priorityRange.min (o 1), senza buchi,
+ *   forbidOwnPosition?: niente candidature alla posizione che si occupa,
+ *   editDeadline?: data ISO dopo cui le candidature non si modificano più
+ * }
+ * Ritorna { rules } oppure { errors: [...] }.
+ */
+function validateApplicationRules(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { errors: ["rules must be an object"] };
+  }
+  const errors = [];
+  const rules = { ...DEFAULT_APPLICATION_RULES };
+
+  if (raw.maxApplicationsPerUser !== undefined && raw.maxApplicationsPerUser !== null) {
+    if (!Number.isInteger(raw.maxApplicationsPerUser) || raw.maxApplicationsPerUser < 1) {
+      errors.push("maxApplicationsPerUser must be an integer >= 1");
+    } else {
+      rules.maxApplicationsPerUser = raw.maxApplicationsPerUser;
+    }
+  }
+  if (raw.priorityRange !== undefined && raw.priorityRange !== null) {
+    const { min, max } = raw.priorityRange ?? {};
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+      errors.push("priorityRange must be { min, max } with integers and min <= max");
+    } else {
+      rules.priorityRange = { min, max };
+    }
+  }
+  for (const key of ["uniquePriorities", "contiguousPriorities", "forbidOwnPosition"]) {
+    if (raw[key] === undefined || raw[key] === null) continue;
+    if (typeof raw[key] !== "boolean") errors.push(`${key} must be a boolean`);
+    else rules[key] = raw[key];
+  }
+  if (raw.editDeadline !== undefined && raw.editDeadline !== null) {
+    const deadline = typeof raw.editDeadline === "string" ? Date.parse(raw.editDeadline) : NaN;
+    if (Number.isNaN(deadline)) errors.push("editDeadline must be an ISO date-time");
+    else rules.editDeadline = new Date(deadline).toISOString();
+  }
+
+  return errors.length ? { errors } : { rules };
+}
+
+async function loadApplicationRules(campaignId) {
+  const { data, error } = await supabaseAdmin
+    .from("campaign_application_rules")
+    .select("rules, updated_at")
+    .eq("campaign_id", campaignId)
+    .maybeSingle();
+  if (error) throw new Error(`campaign_application_rules: ${error.message}`);
+  if (!data?.rules) return null;
+  // come per le chain rules: una config toccata a mano e non valida si ignora
+  const { rules, errors } = validateApplicationRules(data.rules);
+  if (errors) {
+    log("WARN", "application_rules_invalid", { campaignId, errors });
+    return null;
+  }
+  return { ...rules, updatedAt: data.updated_at ?? null };
+}
+
+/**
+ * Regole violate dalle candidature di un utente in una campagna, a modifica applicata.
+ * apps: tutte le candidature dell'utente nella campagna ({ id, position_id, priority }), non solo quelle toccate.
+ */
+function checkApplicationRules(rules, apps, { ownPositionIds = new Set(), now = Date.now() } = {}) {
+  const violations = [];
+  const ids = (list) => list.map((a) => String(a.id));
+
+  if (rules.editDeadline && now > Date.parse(rules.editDeadline)) {
+    violations.push({ rule: "edit_deadline", message: `Applications are frozen since ${rules.editDeadline}` });
+  }
+  if (rules.maxApplicationsPerUser !== null && apps.length > rules.maxApplicationsPerUser) {
+    violations.push({
+      rule: "max_applications",
+      message: `At most ${rules.maxApplicationsPerUser} applications per user (found ${apps.length})`,
+    });
+  }
+  if (rules.priorityRange) {
+    const { min, max } = rules.priorityRange;
+    const outside = apps.filter((a) => typeof a.priority !== "number" || a.priority < min || a.priority > max);
+    if (outside.length) {
+      violations.push({
+        rule: "priority_range",
+        message: `Priorities must be between ${min} and ${max}`,
+        applicationIds: ids(outside),
+      });
+    }
+  }
+  if (rules.uniquePriorities) {
+    const byPriority = new Map();
+    for (const a of apps) {
+      if (!byPriority.has(a.priority)) byPriority.set(a.priority, []);
+      byPriority.get(a.priority).push(a);
+    }
+    const duplicated = [...byPriority.values()].filter((list) => list.length > 1).flat();
+    if (duplicated.length) {
+      violations.push({
+        rule: "unique_priorities",
+        message: "Each application must have a different priority",
+        applicationIds: ids(duplicated),
+      });
+    }
+  }
+  if (rules.contiguousPriorities) {
+    const start = rules.priorityRange?.min ?? 1;
+    const sorted = apps.map((a) => a.priority).sort((x, y) => x - y);
+    if (sorted.some((p, i) => p !== start + i)) {
+      violations.push({
+        rule: "contiguous_priorities",
+        message: `Priorities must be ${start}..${start + apps.length - 1} without gaps`,
+      });
+    }
+  }
+  if (rules.forbidOwnPosition) {
+    const own = apps.filter((a) => ownPositionIds.has(String(a.position_id)));
+    if (own.length) {
+      violations.push({
+        rule: "own_position",
+        message: "Applying to the position you occupy is not allowed",
+        applicationIds: ids(own),
+      });
+    }
+  }
+  return violations;
+}
+
+// Regole che valgono anche alla creazione (webhook INSERT, scenario): le altre riguardano le priorità
+const CREATION_APPLICATION_RULES = new Set(["edit_deadline", "max_applications", "own_position"]);
+
+function checkCreationRules(rules, apps, options) {
+  return checkApplicationRules(rules, apps, options).filter((v) => CREATION_APPLICATION_RULES.has(v.rule));
+}
+
+// Posizioni (tra quelle candidate) occupate dall'utente stesso: servono solo con forbidOwnPosition
+async function findOwnPositionIds(rules, userId, apps) {
+  if (!rules.forbidOwnPosition) return undefined;
+  const positions = await fetchRowsByIds("positions", "id, occupied_by", apps.map((a) => a.position_id));
+  return new Set(positions.filter((p) => asIdString(p.occupied_by) === userId).map((p) => String(p.id)));
+}
+
+function rejectApplicationRules(res, message, violations, field) {
+  return res.status(422).json({
+    status: "ERROR",
+    code: "APPLICATION_RULES_VIOLATED",
+    message,
+    details: violations.map(({ rule, message: detail, campaignId, userId, applicationIds }) => ({
+      in: "body",
+      field,
+      rule,
+      message: detail,
+      ...(campaignId ? { campaignId } : {}),
+      ...(userId ? { userId } : {}),
+      ...(applicationIds ? { applicationIds } : {}),
+    })),
+  });
+}
+
+app.get("/api/application-rules", requireAdmin, async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const campaignId = getCampaignIdOrRespond(req, res);
+  if (!campaignId) return;
+
+  try {
+    if (!(await findCampaignInScope(resolveGraphNamespace(scope), campaignId))) {
+      return res.status(404).json({
+        status: "ERROR",
+        code: "CAMPAIGN_NOT_FOUND",
+        message: "Campaign not found in this company/perimeter",
+      });
+    }
+    const rules = await loadApplicationRules(campaignId);
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      campaignId,
+      rules: rules ?? DEFAULT_APPLICATION_RULES,
+      configured: !!rules,
+    });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  }
+});
+
+app.put("/api/application-rules", requireAdmin, auditTrail("application_rules_update"), async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const campaignId = getCampaignIdOrRespond(req, res);
+  if (!campaignId) return;
+  const { rules, errors } = validateApplicationRules(req.body?.rules);
+  if (errors) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_APPLICATION_RULES",
+      message: "Invalid application rules",
+      details: errors.map((message) => ({ in: "body", field: "rules", message })),
+    });
+  }
+
+  try {
+    if (!(await findCampaignInScope(resolveGraphNamespace(scope), campaignId))) {
+      return res.status(404).json({
+        status: "ERROR",
+        code: "CAMPAIGN_NOT_FOUND",
+        message: "Campaign not found in this company/perimeter",
+      });
+    }
+    const { error } = await supabaseAdmin
+      .from("campaign_application_rules")
+      .upsert(
+        {
+          campaign_id: campaignId,
+          company_id: scope.companyId,
+          perimeter_id: scope.perimeterId,
+          rules,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "campaign_id" }
+      );
+    if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+
+    log("INFO", "application_rules_updated", { companyId: scope.companyId, perimeterId: scope.perimeterId, campaignId });
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      campaignId,
+      rules,
+      configured: true,
+    });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  }
+});
+
+// Ordine delle candidature dopo il reorder, per campagna: tutte quelle dell'utente, non solo le toccate
+async function loadReorderState(userId, priorities) {
+  const requested = await fetchRowsByIds(
+    "applications",
+    "id, user_id, campaign_id",
+    [...priorities.keys()]
+  );
+  const own = requested.filter((a) => String(a.user_id) === userId);
+  const ownIds = new Set(own.map((a) => String(a.id)));
+  const unknownIds = [...priorities.keys()].filter((id) => !ownIds.has(id));
+
+  const campaigns = [];
+  for (const campaignId of new Set(own.map((a) => asIdString(a.campaign_id)))) {
+    const { data, error } = await supabaseAdmin
+      .from("applications")
+      .select("id, position_id, priority")
+      .eq("user_id", userId)
+      .eq("campaign_id", campaignId);
+    if (error) throw new Error(`applications: ${error.message}`);
+    campaigns.push({
+      campaignId,
+      before: data ?? [],
+      after: (data ?? []).map((a) => ({ ...a, priority: priorities.get(String(a.id)) ?? a.priority })),
+    });
+  }
+  return { unknownIds, campaigns };
+}
+
+const PG_SERIALIZATION_FAILURE = "40001";
+const REORDER_MAX_ATTEMPTS = 3;
+
+// Reorder applications for a user (tutto o niente: regole di campagna, poi un'unica transazione)
+app.post(
+  "/api/users/:userId/reorder-applications",
+  requireAuth(),
+  requireSelfOrAdmin("userId"),
+  auditTrail("applications_reorder"),
+  async (req, res) => {
+    const userId = req.params.userId;
+    const updates = req.body?.updates;
+
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return res.status(400).json({ status: "ERROR", message: "Invalid updates" });
+    }
+    if (updates.some((u) => !u || !Array.isArray(u.app_ids) || typeof u.priority !== "number")) {
+      return res.status(400).json({ status: "ERROR", message: "Invalid updates payload" });
+    }
+
+    const requestViolations = [];
+    const priorities = new Map(); // appId -> nuova priorità
+    const conflicting = new Set();
+    for (const u of updates) {
+      for (const appId of u.app_ids.map(String)) {
+        if (priorities.has(appId) && priorities.get(appId) !== u.priority) conflicting.add(appId);
+        priorities.set(appId, u.priority);
+      }
+    }
+    if (conflicting.size) {
+      requestViolations.push({
+        rule: "conflicting_updates",
+        message: "The same application appears with different priorities",
+        applicationIds: [...conflicting],
+      });
+    }
+
+    try {
+      // le regole si controllano su una lettura; reorder_applications la riverifica sotto lock
+      // e, se nel frattempo le candidature sono cambiate, si rilegge e si ricontrolla
+      for (let attempt = 1; ; attempt += 1) {
+        const violations = [...requestViolations];
+        const { unknownIds, campaigns } = await loadReorderState(userId, priorities);
+        if (unknownIds.length) {
+          violations.push({
+            rule: "unknown_application",
+            message: "Applications not found for this user",
+            applicationIds: unknownIds,
+          });
+        }
+
+        for (const { campaignId, after } of campaigns) {
+          const rules = await loadApplicationRules(campaignId);
+          if (!rules) continue;
+          const ownPositionIds = await findOwnPositionIds(rules, userId, after);
+          violations.push(
+            ...checkApplicationRules(rules, after, { ownPositionIds }).map((v) => ({ ...v, campaignId }))
+          );
+        }
+
+        if (violations.length) {
+          return rejectApplicationRules(
+            res,
+            `Reorder rejected: ${violations.length} rule(s) violated`,
+            violations,
+            "updates"
+          );
+        }
+
+        const { data: updated, error } = await supabaseAdmin.rpc("reorder_applications", {
+          p_user_id: userId,
+          p_campaign_ids: campaigns.map((c) => c.campaignId),
+          p_expected: Object.fromEntries(
+            campaigns.flatMap(({ before }) => before.map((a) => [String(a.id), a.priority ?? null]))
+          ),
+          p_priorities: Object.fromEntries(priorities),
+        });
+        if (error?.code === PG_SERIALIZATION_FAILURE) {
+          if (attempt < REORDER_MAX_ATTEMPTS) continue;
+          log("WARN", "applications_reorder_contended", { userId, attempts: attempt });
+          return res.status(409).json({
+            status: "ERROR",
+            code: "APPLICATIONS_CHANGED",
+            message: "Applications changed while reordering, retry",
+          });
+        }
+        if (error) throw new Error(`reorder_applications: ${error.message}`);
+
+        res.locals.audit = { affected: { applicationsUpdated: updated ?? priorities.size } };
+        return res.json({ status: "OK", applicationsUpdated: updated ?? priorities.size });
+      }
+    } catch (err) {
+      log("ERROR", "applications_reorder_failed", { userId, message: err?.message || "Unknown error" });
+      return res
+        .status(500)
+        .json({ status: "ERROR", message: err?.message || "Unknown error" });
+    }
+  }
+);
+
+/* ----------------------------------
+   Neo4j Warmup (Admin only)
+---------------------------------- */
+app.post("/neo4j/warmup", requireAdmin, readOnlyAccess, async (_req, res) => {
+  const scope = getTenantScopeOrRespond(_req, res);
+  if (!scope) return;
+  const ok = await ensureNeo4jOrWaitResponse(res, "neo4j_warmup", scope);
+  if (!ok) return;
+  res.json({
+    status: "OK",
+    neo4j: "ready",
+    companyId: scope.companyId,
+    perimeterId: scope.perimeterId,
+  });
+});
+
+/* ----------------------------------
+   Database-per-tenant: provisioning (Super admin only)
+   -> POST /admin/tenant-databases { companyId, perimeterId, database, migrate?, async? }
+      1) CREATE DATABASE (serve Neo4j Enterprise o un'istanza che lo consenta, altrimenti 502)
+      2) vincoli di tenant nel nuovo database
+      3) migrate=true: copia nodi e archi del tenant dal database condiviso e confronta i conteggi;
+         solo se tornano si salva la mappa e si svuota il tenant nel condiviso
+   -> senza migrate il database parte vuoto: il grafo si ricostruisce con /build-graph
+   -> durante il provisioning il tenant risponde 503 WAIT e i suoi webhook vanno in dead-letter su
+      ogni istanza; la copia parte quando le scritture già registrate (graph_tenant_writes) sono finite,
+      altrimenti 409 TENANT_JOBS_RUNNING allo scadere di TENANT_FENCE_JOB_WAIT_MS
+---------------------------------- */
+const TENANT_MIGRATION_BATCH_SIZE = 1000;
+// nodi del tenant con la chiave d'identità con cui si ricollegano gli archi nel nuovo database
+const TENANT_MIGRATION_NODES = [
+  { label: "Person", key: "user_id" },
+  { label: "Vacancy", key: "position_id" },
+  { label: "Position", key: "position_id" },
+  { label: "GraphBuild", key: "build_id" },
+];
+const TENANT_MIGRATION_RELATIONSHIPS = [
+  { type: "CANDIDATO_A", to: "Person" },
+  { type: "CANDIDATO_A", to: "Vacancy" },
+  { type: "OCCUPIES", to: "Position" },
+  { type: "APPLIES_TO", to: "Position" },
+];
+
+function migrationKeyOf(label) {
+  return TENANT_MIGRATION_NODES.find((n) => n.label === label).key;
+}
+
+function superAdminOnly(req, res, next) {
+  if (requireSuperAdmin(req, res)) next();
+}
+
+async function fetchDefaultGraphDatabase() {
+  return withGraphSession({ dbName: "system" }, async (session) => {
+    const result = await session.run("SHOW DEFAULT DATABASE YIELD name");
+    return result.records[0]?.get("name") ?? null;
+  });
+}
+
+async function createGraphDatabase(database) {
+  // il nome è già validato (GRAPH_DATABASE_NAME_RE): i backtick bastano
+  await withGraphSession({ dbName: "system" }, (session) =>
+    session.run(`CREATE DATABASE \`${database}\` IF NOT EXISTS WAIT`)
+  );
+}
+
+async function countTenantGraph(session, namespace) {
+  const counts = {};
+  for (const { label } of TENANT_MIGRATION_NODES) {
+    const result = await session.run(
+      `MATCH (n:${label} {company_id: $companyId, perimeter_id: $perimeterId}) RETURN count(n) AS c`,
+      namespace
+    );
+    counts[label] = result.records[0].get("c").toNumber();
+  }
+  for (const { type, to } of TENANT_MIGRATION_RELATIONSHIPS) {
+    const result = await session.run(
+      `
+      MATCH (:Person {company_id: $companyId, perimeter_id: $perimeterId})
+            -[r:${type}]->
+            (:${to} {company_id: $companyId, perimeter_id: $perimeterId})
+      RETURN count(r) AS c
+      `,
+      namespace
+    );
+    counts[`${type}:${to}`] = result.records[0].get("c").toNumber();
+  }
+  return counts;
+}
+
+// a lotti, così un tenant grande non finisce in un'unica transazione
+async function deleteTenantGraph(session, namespace) {
+  let deleted = 0;
+  for (;;) {
+    const result = await session.writeTransaction((tx) =>
+      tx.run(
+        `
+        MATCH (n {company_id: $companyId, perimeter_id: $perimeterId})
+        WHERE n:Person OR n:Vacancy OR n:Position OR n:GraphBuild
+        WITH n LIMIT $limit
+        DETACH DELETE n
+        RETURN count(*) AS c
+        `,
+        { ...namespace, limit: neo4j.int(TENANT_MIGRATION_BATCH_SIZE) }
+      )
+    );
+    const batch = result.records[0].get("c").toNumber();
+    deleted += batch;
+    if (batch < TENANT_MIGRATION_BATCH_SIZE) return deleted;
+  }
+}
+
+// Legge in streaming dal database di origine e scrive a lotti nel nuovo
+async function copyTenantRows(from, to, namespace, readQuery, writeQuery, job) {
+  let rows = [];
+  const flush = async () => {
+    if (!rows.length) return;
+    const batch = rows;
+    rows = [];
+    job?.throwIfCancelled();
+    await to.writeTransaction((tx) => tx.run(writeQuery, { ...namespace, rows: batch }));
+  };
+  for await (const rec of from.run(readQuery, namespace)) {
+    rows.push(rec.get("row"));
+    if (rows.length >= TENANT_MIGRATION_BATCH_SIZE) await flush();
+  }
+  await flush();
+}
+
+/**
+ * Con il fence già preso: attende i job del tenant in corso su questa istanza (quelli in coda
+ * partiranno dopo, sul nuovo mapping) e le scritture registrate in graph_tenant_writes da
+ * qualsiasi istanza prima del fence. Le sessioni aperte dopo il fence non si registrano e non scrivono.
+ * Ritorna quello che è ancora in corso allo scadere di TENANT_FENCE_JOB_WAIT_MS.
+ */
+async function drainTenantWrites(namespace, currentJob) {
+  const running = () =>
+    [...jobs.values()].filter(
+      (job) => job.tenantKey === namespace.tenantKey && job.status === "running" && job !== currentJob
+    );
+  const deadline = Date.now() + TENANT_FENCE_JOB_WAIT_MS;
+  let writes = await countTenantWrites(namespace);
+  while ((running().length || writes) && Date.now() < deadline) {
+    currentJob?.throwIfCancelled();
+    await sleep(250);
+    writes = await countTenantWrites(namespace);
+  }
+  return { jobIds: running().map((job) => job.id), writes };
+}
+
+/**
+ * Copia il tenant da source a target (stesso companyId/perimeterId, dbName diverso).
+ * Ritorna i conteggi per etichetta/tipo di arco e le differenze: con differenze non si prosegue.
+ */
+async function migrateTenantGraph(source, target, job) {
+  return withGraphSession(source, (from) =>
+    withGraphSession(target, async (to) => {
+      // residui di un tentativo precedente: il target non è ancora mappato, si può svuotare
+      await deleteTenantGraph(to, target);
+
+      for (const { label } of TENANT_MIGRATION_NODES) {
+        job?.reportProgress({ stage: "copying_nodes", label });
+        await copyTenantRows(
+          from,
+          to,
+          source,
+          `MATCH (n:${label} {company_id: $companyId, perimeter_id: $perimeterId}) RETURN properties(n) AS row`,
+          `UNWIND $rows AS props CREATE (n:${label}) SET n = props`,
+          job
+        );
+      }
+      for (const { type, to: toLabel } of TENANT_MIGRATION_RELATIONSHIPS) {
+        const key = migrationKeyOf(toLabel);
+        job?.reportProgress({ stage: "copying_relationships", type, to: toLabel });
+        await copyTenantRows(
+          from,
+          to,
+          source,
+          `
+          MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+                -[r:${type}]->
+                (b:${toLabel} {company_id: $companyId, perimeter_id: $perimeterId})
+          RETURN {from: a.user_id, to: b.${key}, props: properties(r)} AS row
+          `,
+          `
+          UNWIND $rows AS row
+          MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: row.from})
+          MATCH (b:${toLabel} {company_id: $companyId, perimeter_id: $perimeterId, ${key}: row.to})
+          CREATE (a)-[r:${type}]->(b)
+          SET r = row.props
+          `,
+          job
+        );
+      }
+
+      job?.reportProgress({ stage: "verifying" });
+      const sourceCounts = await countTenantGraph(from, source);
+      const targetCounts = await countTenantGraph(to, target);
+      const mismatches = Object.keys(sourceCounts)
+        .filter((k) => sourceCounts[k] !== targetCounts[k])
+        .map((k) => ({ kind: k, source: sourceCounts[k], target: targetCounts[k] }));
+      return { counts: targetCounts, mismatches };
+    })
+  );
+}
+
+app.get("/admin/tenant-databases", requireAdmin, async (req, res) => {
+  if (!requireSuperAdmin(req, res)) return;
+  try {
+    await refreshTenantDatabases();
+  } catch (err) {
+    return res.status(503).json({
+      status: "ERROR",
+      code: "TENANT_DATABASES_UNAVAILABLE",
+      message: err?.message || "Tenant database mapping is unavailable",
+    });
+  }
+  res.json({
+    status: "OK",
+    source: GRAPH_TENANT_DATABASES,
+    tenants: [...tenantDatabases.values()],
+    provisioning: [...provisioningTenants.keys()],
+  });
+});
+
+app.post(
+  "/admin/tenant-databases",
+  requireAdmin,
+  superAdminOnly,
+  auditTrail("tenant_database_provision"),
+  withAsyncJob("tenant_database_provision", async (req, res) => {
+    const scope = getTenantScopeOrRespond(req, res);
+    if (!scope) return;
+    if (GRAPH_TENANT_DATABASES !== "supabase") {
+      return res.status(409).json({
+        status: "ERROR",
+        code: "TENANT_DATABASES_NOT_MANAGED",
+        message: `Tenant databases come from GRAPH_TENANT_DATABASES=${GRAPH_TENANT_DATABASES}; provisioning requires "supabase"`,
+      });
+    }
+    const database = asNonEmptyString(req.body?.database)?.toLowerCase() ?? null;
+    if (!isValidGraphDatabaseName(database)) {
+      return res.status(400).json({
+        status: "ERROR",
+        code: "INVALID_DATABASE_NAME",
+        message: "database must be 3-63 chars: a letter, then lowercase letters, digits, '.' or '-' (not 'system')",
+      });
+    }
+    const migrate = req.body?.migrate === true;
+
+    const warm = await ensureNeo4jOrWaitResponse(res, "tenant_database_provision", scope);
+    if (!warm) return;
+    // le sessioni del provisioning scrivono sotto il proprio fence: non si registrano come scritture del tenant
+    const fenceHolder = crypto.randomUUID();
+    const source = { ...resolveGraphNamespace(scope), fenceHolder };
+    const current = tenantDatabases.get(source.tenantKey) ?? null;
+    if (current && current.database !== database) {
+      return res.status(409).json({
+        status: "ERROR",
+        code: "TENANT_DATABASE_ALREADY_MAPPED",
+        message: `Tenant is already mapped to database ${current.database}`,
+      });
+    }
+    // un database dedicato può servire più perimetri della stessa company, non company diverse
+    if ([...tenantDatabases.values()].some((e) => e.database === database && e.companyId !== scope.companyId)) {
+      return res.status(409).json({
+        status: "ERROR",
+        code: "DATABASE_IN_USE",
+        message: `Database ${database} is mapped to another company`,
+      });
+    }
+    if (provisioningTenants.has(source.tenantKey)) {
+      return res.status(409).json({
+        status: "ERROR",
+        code: "TENANT_DATABASE_PROVISIONING",
+        message: "A provisioning for this tenant is already running",
+      });
+    }
+
+    const target = { ...source, dbName: database };
+    const base = { companyId: scope.companyId, perimeterId: scope.perimeterId, database };
+    let fenced;
+    try {
+      fenced = await acquireTenantFence(source, fenceHolder, "tenant_database_provision");
+    } catch (err) {
+      log("ERROR", "tenant_fence_acquire_failed", { ...base, message: err.message });
+      return res.status(503).set("Retry-After", "10").json({
+        status: "ERROR",
+        code: "TENANT_DATABASES_UNAVAILABLE",
+        message: "Tenant database mapping is unavailable, retry in a few seconds",
+      });
+    }
+    if (!fenced) {
+      return res.status(409).json({
+        status: "ERROR",
+        code: "TENANT_DATABASE_PROVISIONING",
+        message: "A provisioning for this tenant is already running",
+      });
+    }
+    provisioningTenants.set(source.tenantKey, scope.companyId);
+    const releaseFence = holdTenantFence(source, fenceHolder, "tenant_database_provision");
+    try {
+      req.job?.reportProgress({ stage: "creating_database" });
+      if ((await fetchDefaultGraphDatabase()) === database) {
+        return res.status(409).json({
+          status: "ERROR",
+          code: "DATABASE_IS_SHARED",
+          message: `${database} is the shared default database`,
+        });
+      }
+      try {
+        await createGraphDatabase(database);
+      } catch (err) {
+        log("ERROR", "tenant_database_create_failed", { ...base, message: err?.message });
+        return res.status(502).json({
+          status: "ERROR",
+          code: "GRAPH_DATABASE_CREATE_FAILED",
+          message: err?.message || "CREATE DATABASE failed",
+        });
+      }
+      await withGraphSession(target, async (session) => {
+        await session.writeTransaction((tx) => ensureGraphConstraints(tx));
+        await session.writeTransaction((tx) => ensurePositionConstraints(tx));
+      });
+
+      // già mappato sullo stesso database: si riapplicano solo database e vincoli
+      if (current) return res.json({ status: "OK", ...base, alreadyMapped: true, migration: null });
+
+      if (migrate) {
+        req.job?.reportProgress({ stage: "draining_writes" });
+        const busy = await drainTenantWrites(source, req.job);
+        if (busy.jobIds.length || busy.writes) {
+          return res.status(409).json({
+            status: "ERROR",
+            code: "TENANT_JOBS_RUNNING",
+            message: "Tenant jobs or graph writes are still running; retry the provisioning when they finish",
+            jobIds: busy.jobIds,
+            inFlightWrites: busy.writes,
+          });
+        }
+      }
+      const migration = migrate ? await migrateTenantGraph(source, target, req.job) : null;
+      if (migration?.mismatches.length) {
+        log("ERROR", "tenant_migration_mismatch", { ...base, mismatches: migration.mismatches });
+        return res.status(500).json({
+          status: "ERROR",
+          code: "TENANT_MIGRATION_MISMATCH",
+          message: "Copied graph does not match the source; mapping not changed",
+          mismatches: migration.mismatches,
+        });
+      }
+
+      req.job?.reportProgress({ stage: "saving_mapping" });
+      const { data, error } = await supabaseAdmin
+        .from("graph_tenant_databases")
+        .upsert(
+          {
+            company_id: scope.companyId,
+            perimeter_id: scope.perimeterId,
+            database_name: database,
+            migrated_at: migration ? new Date().toISOString() : null,
+            created_by: req.auth.userId ?? null,
+            created_at: new Date().toISOString(),
+          },
+          { onConflict: "company_id,perimeter_id" }
+        )
+        .select("company_id, perimeter_id, database_name, migrated_at, created_by, created_at")
+        .single();
+      if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+      const entry = tenantDatabaseFromRow(data);
+      tenantDatabases.set(source.tenantKey, entry);
+
+      // da qui il tenant legge e scrive sul nuovo database: la copia nel condiviso non serve più
+      const sourceDeleted = migration
+        ? await withGraphSession(source, (session) => deleteTenantGraph(session, source))
+        : 0;
+      log("INFO", "tenant_database_provisioned", { ...base, migrated: !!migration, sourceDeleted });
+      res.status(201).json({
+        status: "OK",
+        ...base,
+        alreadyMapped: false,
+        mapping: entry,
+        migration: migration ? { counts: migration.counts, sourceDeleted } : null,
+      });
+    } catch (err) {
+      log("ERROR", "tenant_database_provision_failed", { ...base, message: err?.message });
+      res.status(500).json({ status: "ERROR", message: err?.message || "Unknown error" });
+    } finally {
+      provisioningTenants.delete(source.tenantKey);
+      await releaseFence();
+    }
+  })
+);
+
+/* ----------------------------------
+   Background jobs (Admin only)
+   -> operazioni lunghe fuori dalla request: POST ... { async: true } risponde 202 con
+      l'URL del job da interrogare. Stato in memoria (per istanza), come per i webhook:
+      i job non sono persistiti, un riavvio perde coda, risultati e job in corso, e
+      GET /jobs/:jobId risponde solo sull'istanza che ha accettato il job (serve
+      affinità di sessione se il servizio gira su più repliche).
+---------------------------------- */
+const JOB_TENANT_CONCURRENCY = clampInt(process.env.JOB_TENANT_CONCURRENCY, 1, 1, 16);
+const JOB_HISTORY_MAX = 500;
+const JOB_STATUSES = new Set(["queued", "running", "succeeded", "failed", "cancelled"]);
+
+const jobs = new Map(); // jobId -> job
+const jobQueues = new Map(); // tenantKey -> [jobId]
+const runningJobsByTenant = new Map(); // tenantKey -> count
+
+class JobCancelledError extends Error {
+  constructor() {
+    super("Job cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+function jobToJson(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    companyId: job.companyId,
+    perimeterId: job.perimeterId,
+    ...(job.meta ? { meta: job.meta } : {}),
+    requestId: job.requestId,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    ...(job.status === "succeeded" ? { result: job.result } : {}),
+    ...(job.error ? { error: job.error } : {}),
+    statusUrl: `/jobs/${job.id}`,
+  };
+}
+
+function pruneFinishedJobs() {
+  if (jobs.size <= JOB_HISTORY_MAX) return;
+  for (const [id, job] of jobs) {
+    if (jobs.size <= JOB_HISTORY_MAX) break;
+    if (job.finishedAt) jobs.delete(id);
+  }
+}
+
+/**
+ * Accoda un job per il tenant. `run(job)` riceve il job con:
+ * - job.reportProgress({ stage, done, total })
+ * - job.throwIfCancelled() da chiamare nei punti in cui è sicuro interrompersi
+ * Il valore ritornato da `run` diventa job.result.
+ */
+// onSettled: chiamata una sola volta a job concluso (anche se annullato prima di partire)
+function enqueueJob({ type, scope, meta = null, run, onSettled = null }) {
+  const tenantKey = `${scope.companyId}::${scope.perimeterId}`;
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    tenantKey,
+    companyId: scope.companyId,
+    perimeterId: scope.perimeterId,
+    meta,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: { stage: "queued", done: 0, total: null },
+    result: null,
+    error: null,
+    cancelRequested: false,
+    requestId: currentRequestId(),
+    run,
+    onSettled,
+  };
+  job.reportProgress = (progress) => {
+    job.progress = { ...job.progress, ...progress };
+  };
+  job.throwIfCancelled = () => {
+    if (job.cancelRequested) throw new JobCancelledError();
+  };
+
+  jobs.set(job.id, job);
+  if (!jobQueues.has(tenantKey)) jobQueues.set(tenantKey, []);
+  jobQueues.get(tenantKey).push(job.id);
+  pruneFinishedJobs();
+  log("INFO", "job_queued", { jobId: job.id, type, companyId: scope.companyId, perimeterId: scope.perimeterId });
+  setImmediate(() => drainJobQueue(tenantKey));
+  return job;
+}
+
+function drainJobQueue(tenantKey) {
+  const queue = jobQueues.get(tenantKey) ?? [];
+  while (queue.length && (runningJobsByTenant.get(tenantKey) ?? 0) < JOB_TENANT_CONCURRENCY) {
+    const job = jobs.get(queue.shift());
+    if (!job || job.status !== "queued") continue;
+    runningJobsByTenant.set(tenantKey, (runningJobsByTenant.get(tenantKey) ?? 0) + 1);
+    // il job gira nel contesto della richiesta che l'ha creato (stesso requestId nei log)
+    const context = { requestId: job.requestId, jobId: job.id, operation: job.type };
+    requestContext.run(context, () => runJob(job)).finally(() => {
+      runningJobsByTenant.set(tenantKey, runningJobsByTenant.get(tenantKey) - 1);
+      drainJobQueue(tenantKey);
+    });
+  }
+  if (!queue.length) jobQueues.delete(tenantKey);
+}
+
+function settleJob(job) {
+  const onSettled = job.onSettled;
+  delete job.onSettled;
+  onSettled?.();
+}
+
+async function runJob(job) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  job.reportProgress({ stage: "running" });
+  log("INFO", "job_started", { jobId: job.id, type: job.type });
+  try {
+    job.result = await job.run(job);
+    job.status = "succeeded";
+    job.reportProgress({ stage: "done" });
+  } catch (err) {
+    if (err instanceof JobCancelledError) {
+      job.status = "cancelled";
+      job.reportProgress({ stage: "cancelled" });
+    } else {
+      job.status = "failed";
+      job.error = err?.body ?? { message: err?.message || "Unknown error" };
+    }
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    delete job.run;
+    settleJob(job);
+    log(job.status === "failed" ? "ERROR" : "INFO", "job_finished", {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      ...(job.error ? { message: job.error.message } : {}),
+    });
+  }
+}
+
+/**
+ * Risposta "finta" per eseguire un handler Express dentro un job:
+ * raccoglie status, header e body invece di scriverli sul socket.
+ * Le risposte in streaming (write) non hanno senso in un job: errore esplicito.
+ */
+function createCapturedResponse() {
+  const captured = { statusCode: 200, headers: {}, body: undefined };
+  const finish = (body) => {
+    if (res.headersSent) throw new Error("Response already sent by the job handler");
+    captured.body = body;
+    res.headersSent = true;
+    return res;
+  };
+  const res = {
+    headersSent: false,
+    status(code) {
+      captured.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      if (typeof name === "object") Object.entries(name).forEach(([k, v]) => res.setHeader(k, v));
+      else res.setHeader(name, value);
+      return res;
+    },
+    setHeader(name, value) {
+      captured.headers[String(name).toLowerCase()] = value;
+      return res;
+    },
+    getHeader(name) {
+      return captured.headers[String(name).toLowerCase()];
+    },
+    location(url) {
+      return res.setHeader("location", url);
+    },
+    json(body) {
+      return finish(body);
+    },
+    send(body) {
+      return finish(Buffer.isBuffer(body) ? body.toString("utf8") : body);
+    },
+    sendStatus(code) {
+      captured.statusCode = code;
+      return finish(STATUS_CODES[code] ?? String(code));
+    },
+    end(chunk) {
+      return finish(chunk === undefined ? captured.body : String(chunk));
+    },
+    write() {
+      throw new Error("Streaming responses are not supported in background jobs");
+    },
+  };
+  return { res, captured };
+}
+
+function wantsAsyncJob(req) {
+  return req.body?.async === true || req.query?.async === "true";
+}
+
+/**
+ * Con { async: true } l'handler gira come job e si risponde subito 202 con l'URL del job.
+ * Nel job `req.job` è valorizzato: l'handler può riportare avanzamento e fermarsi se annullato
+ * (un errore dopo la richiesta di annullamento chiude il job come "cancelled").
+ */
+function withAsyncJob(type, handler) {
+  return async (req, res) => {
+    if (!wantsAsyncJob(req)) return handler(req, res);
+    const scope = getTenantScopeOrRespond(req, res);
+    if (!scope) return;
+
+    const job = enqueueJob({
+      type,
+      scope,
+      meta: { campaignId: resolveCampaignId(req) },
+      // con limitGraphConcurrency il posto resta occupato finché il job non si conclude
+      onSettled: req.takeGraphSlot?.(),
+      run: async (job) => {
+        const { res: jobRes, captured } = createCapturedResponse();
+        await handler(Object.assign(Object.create(req), { job }), jobRes);
+        if (captured.statusCode >= 400) {
+          if (job.cancelRequested) throw new JobCancelledError();
+          const err = new Error(captured.body?.message || `HTTP ${captured.statusCode}`);
+          err.body = { httpStatus: captured.statusCode, ...captured.body };
+          throw err;
+        }
+        return captured.body;
+      },
+    });
+    res.status(202).location(`/jobs/${job.id}`).json({ status: "ACCEPTED", job: jobToJson(job) });
+  };
+}
+
+function getJobInScopeOrRespond(req, res) {
+  const job = jobs.get(req.params.jobId);
+  const scope = resolveTenantScope(req);
+  const jobScope = job ? { companyId: job.companyId, perimeterId: job.perimeterId } : null;
+  if (
+    !job ||
+    (scope && (scope.companyId !== job.companyId || scope.perimeterId !== job.perimeterId)) ||
+    !canAccessScope(req.auth, jobScope, requestedAccess(req))
+  ) {
+    res.status(404).json({ status: "ERROR", code: "JOB_NOT_FOUND", message: "Job not found" });
+    return null;
+  }
+  return job;
+}
+
+app.get("/jobs", requireAdmin, (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const status = asNonEmptyString(req.query?.status);
+  if (status && !JOB_STATUSES.has(status)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_JOB_STATUS",
+      message: `status must be one of: ${[...JOB_STATUSES].join(", ")}`,
+    });
+  }
+  const list = [...jobs.values()]
+    .filter((job) => job.companyId === scope.companyId && job.perimeterId === scope.perimeterId)
+    .filter((job) => !status || job.status === status)
+    .reverse()
+    .map((job) => {
+      // il risultato può essere grande: solo nel dettaglio del job
+      const { result, ...summary } = jobToJson(job);
+      return summary;
+    });
+  res.json({ status: "OK", companyId: scope.companyId, perimeterId: scope.perimeterId, jobs: list });
+});
+
+app.get("/jobs/:jobId", requireAdmin, (req, res) => {
+  const job = getJobInScopeOrRespond(req, res);
+  if (!job) return;
+  res.json({ status: "OK", job: jobToJson(job) });
+});
+
+// Un job in coda si annulla subito; uno in esecuzione si ferma al prossimo checkpoint
+app.post("/jobs/:jobId/cancel", requireAdmin, auditTrail("job_cancel"), (req, res) => {
+  const job = getJobInScopeOrRespond(req, res);
+  if (!job) return;
+  if (job.finishedAt) {
+    return res.status(409).json({
+      status: "ERROR",
+      code: "JOB_FINISHED",
+      message: `Job is already ${job.status}`,
+    });
+  }
+  job.cancelRequested = true;
+  if (job.status === "queued") {
+    job.status = "cancelled";
+    job.finishedAt = new Date().toISOString();
+    job.reportProgress({ stage: "cancelled" });
+    delete job.run;
+    settleJob(job);
+  }
+  log("INFO", "job_cancel_requested", { jobId: job.id, status: job.status });
+  res.json({ status: "OK", job: jobToJson(job) });
+});
+
+/* ----------------------------------
+   Build Graph (Admin only)
+---------------------------------- */
+function isForeignTenantRow(row, namespace) {
+  const rowCompanyId = row?.company_id ?? row?.companyId ?? null;
+  const rowPerimeterId = row?.perimeter_id ?? row?.perimeterId ?? null;
+  // Defense-in-depth: discard cross-tenant payload rows if a caller sends mixed data.
+  if (rowCompanyId && String(rowCompanyId) !== namespace.companyId) return true;
+  if (rowPerimeterId && String(rowPerimeterId) !== namespace.perimeterId) return true;
+  return false;
+}
+
+/**
+ * Posizioni vacanti (nessun occupante o in uscita) da cui possono partire le chain "domino".
+ */
+function normalizeVacancies(vacancies, namespace) {
+  if (!Array.isArray(vacancies)) return [];
+  const byId = new Map();
+  for (const v of vacancies) {
+    const positionId = v?.position_id ?? v?.positionId ?? v?.id;
+    if (!positionId || isForeignTenantRow(v, namespace)) continue;
+    byId.set(String(positionId), {
+      position_id: String(positionId),
+      title: asNonEmptyString(v?.title) ?? null,
+    });
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Attributi di business della candidatura (es. cross_legal_entity, grade_delta) usati dalle
+ * chain rules: solo valori scalari, salvati sull'arco come proprietà attr_<nome>.
+ */
+function normalizeEdgeAttributes(attributes) {
+  if (!attributes || typeof attributes !== "object" || Array.isArray(attributes)) return null;
+  const out = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) continue;
+    if (!["string", "number", "boolean"].includes(typeof value)) continue;
+    out[`attr_${key}`] = value;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+function sameEdgeAttributes(a, b) {
+  const left = Object.entries(a ?? {});
+  return left.length === Object.keys(b ?? {}).length && left.every(([k, v]) => b[k] === v);
+}
+
+function edgeAttributesFromProperties(properties) {
+  const out = {};
+  for (const [key, value] of Object.entries(properties ?? {})) {
+    if (key.startsWith("attr_")) out[key] = neo4j.isInt(value) ? value.toNumber() : value;
+  }
+  return out;
+}
+
+/**
+ * Candidature verso una persona (target_user_id) oppure verso una vacancy
+ * (target_position_id/position_id presente in `vacancyIds`).
+ */
+function normalizeApplications(applications, namespace, campaignId, vacancyIds = new Set()) {
+  if (!Array.isArray(applications)) return [];
+  return applications
+    .filter((app) => !isForeignTenantRow(app, namespace))
+    .map((app) => {
+      const targetPositionId = app?.target_position_id ?? app?.position_id ?? null;
+      const vacancyTarget =
+        !app?.target_user_id && targetPositionId && vacancyIds.has(String(targetPositionId));
+      return {
+        user_id: app?.user_id ? String(app.user_id) : null,
+        target_user_id: app?.target_user_id ? String(app.target_user_id) : null,
+        target_position_id: vacancyTarget ? String(targetPositionId) : null,
+        priority: app?.priority ?? null,
+        campaign_id: String(app?.campaign_id ?? app?.campaignId ?? campaignId),
+        application_id: app?.id ? String(app.id) : null,
+        position_id: targetPositionId ? String(targetPositionId) : null,
+        attributes: normalizeEdgeAttributes(app?.attributes),
+      };
+    })
+    .filter((app) => app.user_id && (app.target_user_id || app.target_position_id))
+    .filter((app) => app.campaign_id === campaignId);
+}
+
+function normalizeUserIdList(value) {
+  if (!Array.isArray(value)) return null;
+  return [...new Set(value.map(asNonEmptyString).filter(Boolean))];
+}
+
+function applicationKey(app) {
+  const target = app.target_user_id ? `u:${app.target_user_id}` : `v:${app.target_position_id}`;
+  return `${app.user_id}>${target}`;
+}
+
+async function ensureGraphConstraints(tx) {
+  try {
+    await tx.run(
+      `
+      CREATE CONSTRAINT person_tenant_identity IF NOT EXISTS
+      FOR (p:Person)
+      REQUIRE (p.company_id, p.perimeter_id, p.user_id) IS UNIQUE
+      `
+    );
+    await tx.run(
+      `
+      CREATE CONSTRAINT vacancy_tenant_identity IF NOT EXISTS
+      FOR (v:Vacancy)
+      REQUIRE (v.company_id, v.perimeter_id, v.position_id) IS UNIQUE
+      `
+    );
+  } catch (constraintErr) {
+    // compat with older Neo4j versions / limited privileges
+    console.warn("Constraint creation skipped:", constraintErr?.message || constraintErr);
+  }
+}
+
+/**
+ * Stato attuale del perimetro in Neo4j: persone e vacancy indicizzate per id.
+ */
+async function loadPerimeterNodes(tx, namespace) {
+  const persons = await tx.run(
+    `
+    MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId})
+    RETURN p.user_id AS userId,
+           p.full_name AS fullName,
+           coalesce(p.leaving, false) AS leaving,
+           p.backfillable AS backfillable
+    `,
+    namespace
+  );
+  const vacancies = await tx.run(
+    `
+    MATCH (v:Vacancy {company_id: $companyId, perimeter_id: $perimeterId})
+    RETURN v.position_id AS positionId, v.title AS title
+    `,
+    namespace
+  );
+  return {
+    persons: new Map(
+      persons.records.map((rec) => [
+        rec.get("userId"),
+        {
+          full_name: rec.get("fullName") ?? null,
+          leaving: rec.get("leaving"),
+          backfillable: rec.get("backfillable") ?? null,
+        },
+      ])
+    ),
+    vacancies: new Map(
+      vacancies.records.map((rec) => [rec.get("positionId"), { title: rec.get("title") ?? null }])
+    ),
+  };
+}
+
+async function loadCampaignEdges(tx, namespace, campaignId) {
+  const result = await tx.run(
+    `
+    MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+          -[r:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+          (b)
+    WHERE b.company_id = $companyId AND b.perimeter_id = $perimeterId
+    RETURN a.user_id AS userId,
+           CASE WHEN b:Vacancy THEN null ELSE b.user_id END AS targetUserId,
+           CASE WHEN b:Vacancy THEN b.position_id ELSE null END AS targetPositionId,
+           r.priority AS priority,
+           properties(r) AS props
+    `,
+    { ...namespace, campaignId }
+  );
+  const edges = new Map();
+  for (const rec of result.records) {
+    const edge = {
+      user_id: rec.get("userId"),
+      target_user_id: rec.get("targetUserId"),
+      target_position_id: rec.get("targetPositionId"),
+      priority: rec.get("priority"),
+      campaign_id: campaignId,
+      attributes: edgeAttributesFromProperties(rec.get("props")),
+    };
+    edges.set(applicationKey(edge), edge);
+  }
+  return edges;
+}
+
+/**
+ * Confronta le persone desiderate con quelle esistenti.
+ * Un campo undefined/null nel desiderato significa "non toccare".
+ */
+function diffPersons(existing, desired) {
+  const upserts = [];
+  let added = 0;
+  let updated = 0;
+  for (const [userId, next] of desired) {
+    const current = existing.get(userId);
+    const row = {
+      user_id: userId,
+      full_name: next.full_name ?? null,
+      leaving: typeof next.leaving === "boolean" ? next.leaving : null,
+      backfillable: typeof next.backfillable === "boolean" ? next.backfillable : null,
+    };
+    if (!current) {
+      added++;
+      upserts.push(row);
+      continue;
+    }
+    const changed =
+      (row.full_name !== null && row.full_name !== current.full_name) ||
+      (row.leaving !== null && row.leaving !== current.leaving) ||
+      (row.backfillable !== null && row.backfillable !== current.backfillable);
+    if (changed) {
+      updated++;
+      upserts.push(row);
+    }
+  }
+  return { upserts, added, updated };
+}
+
+function diffVacancies(existing, desired) {
+  const upserts = [];
+  let added = 0;
+  let updated = 0;
+  for (const vac of desired) {
+    const current = existing.get(vac.position_id);
+    if (!current) added++;
+    else if (vac.title !== null && vac.title !== current.title) updated++;
+    else continue;
+    upserts.push(vac);
+  }
+  return { upserts, added, updated };
+}
+
+/**
+ * Delta sugli archi CANDIDATO_A di una campagna. Con removeMissing=true gli archi
+ * esistenti non presenti in `desired` vengono rimossi (build incrementale).
+ */
+function diffEdges(existing, desired, { removeMissing = false } = {}) {
+  const upserts = [];
+  let added = 0;
+  let updated = 0;
+  const desiredKeys = new Set();
+  for (const app of desired) {
+    const key = applicationKey(app);
+    desiredKeys.add(key);
+    const current = existing.get(key);
+    if (!current) added++;
+    else if (
+      toNumberOrNull(current.priority) !== toNumberOrNull(app.priority) ||
+      !sameEdgeAttributes(current.attributes, app.attributes)
+    ) {
+      updated++;
+    } else continue;
+    upserts.push(app);
+  }
+  const removed = removeMissing
+    ? [...existing.entries()].filter(([key]) => !desiredKeys.has(key)).map(([, edge]) => edge)
+    : [];
+  return { upserts, added, updated, removed };
+}
+
+/**
+ * Applica un delta al grafo del perimetro. Le persone/vacancy candidate alla potatura
+ * vengono eliminate solo se non hanno più archi (in nessuna campagna).
+ * Ritorna il numero di nodi effettivamente rimossi.
+ */
+async function applyGraphDelta(tx, namespace, delta) {
+  const {
+    persons = [],
+    vacancies = [],
+    edges = [],
+    removedEdges = [],
+    prunePersonIds = [],
+    prunePositionIds = [],
+  } = delta;
+
+  await tx.run(
+    `
+    UNWIND $persons AS person
+    MERGE (p:Person {
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      user_id: person.user_id
+    })
+    SET p.id = person.user_id,
+        p.tenant_key = $tenantKey,
+        p.full_name = coalesce(person.full_name, p.full_name),
+        p.leaving = coalesce(person.leaving, p.leaving),
+        p.backfillable = coalesce(person.backfillable, p.backfillable)
+    `,
+    { ...namespace, persons }
+  );
+
+  await tx.run(
+    `
+    UNWIND $vacancies AS vac
+    MERGE (v:Vacancy {
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      position_id: vac.position_id
+    })
+    SET v.id = vac.position_id,
+        v.title = coalesce(vac.title, v.title),
+        v.tenant_key = $tenantKey
+    `,
+    { ...namespace, vacancies }
+  );
+
+  await tx.run(
+    `
+    UNWIND $edges AS app
+    MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: app.user_id})
+    MATCH (b:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: app.target_user_id})
+    MERGE (a)-[r:CANDIDATO_A {
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      campaign_id: app.campaign_id
+    }]->(b)
+    // SET r = ... sostituisce tutte le proprietà: gli attr_* tolti dalla candidatura non restano sull'arco
+    SET r = {
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      campaign_id: app.campaign_id,
+      priority: app.priority,
+      application_id: app.application_id,
+      position_id: app.position_id,
+      tenant_key: $tenantKey
+    }
+    SET r += coalesce(app.attributes, {})
+    `,
+    { ...namespace, edges: edges.filter((app) => app.target_user_id) }
+  );
+
+  await tx.run(
+    `
+    UNWIND $edges AS app
+    MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: app.user_id})
+    MATCH (v:Vacancy {company_id: $companyId, perimeter_id: $perimeterId, position_id: app.target_position_id})
+    MERGE (a)-[r:CANDIDATO_A {
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      campaign_id: app.campaign_id
+    }]->(v)
+    // SET r = ... sostituisce tutte le proprietà: gli attr_* tolti dalla candidatura non restano sull'arco
+    SET r = {
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      campaign_id: app.campaign_id,
+      priority: app.priority,
+      application_id: app.application_id,
+      position_id: app.position_id,
+      tenant_key: $tenantKey
+    }
+    SET r += coalesce(app.attributes, {})
+    `,
+    { ...namespace, edges: edges.filter((app) => !app.target_user_id) }
+  );
+
+  await tx.run(
+    `
+    UNWIND $edges AS app
+    MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: app.user_id})
+          -[r:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: app.campaign_id}]->
+          (b)
+    WHERE (app.target_user_id IS NOT NULL AND b:Person AND b.user_id = app.target_user_id)
+       OR (app.target_user_id IS NULL AND b:Vacancy AND b.position_id = app.target_position_id)
+    DELETE r
+    `,
+    { ...namespace, edges: removedEdges }
+  );
+
+  const prunedPersons = await tx.run(
+    `
+    UNWIND $ids AS userId
+    MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: userId})
+    WHERE NOT (p)--() AND NOT coalesce(p.leaving, false)
+    DELETE p
+    RETURN count(p) AS c
+    `,
+    { ...namespace, ids: [...new Set(prunePersonIds)] }
+  );
+  const prunedVacancies = await tx.run(
+    `
+    UNWIND $ids AS positionId
+    MATCH (v:Vacancy {company_id: $companyId, perimeter_id: $perimeterId, position_id: positionId})
+    WHERE NOT (v)--()
+    DELETE v
+    RETURN count(v) AS c
+    `,
+    { ...namespace, ids: [...new Set(prunePositionIds)] }
+  );
+
+  return prunedPersons.records[0].get("c").toNumber() + prunedVacancies.records[0].get("c").toNumber();
+}
+
+/**
+ * Persone coinvolte da un insieme di candidature, con i nomi noti da usersById.
+ */
+function desiredPersonsFor(apps, usersById = {}) {
+  const desired = new Map();
+  for (const app of apps) {
+    for (const userId of [app.user_id, app.target_user_id]) {
+      if (!userId || desired.has(userId)) continue;
+      desired.set(userId, { full_name: usersById?.[userId] ?? null });
+    }
+  }
+  return desired;
+}
+
+/**
+ * replace: via gli archi della campagna ricostruita e i nodi rimasti isolati (le GraphBuild restano).
+ * Le altre campagne del perimetro non si toccano; le OCCUPIES si riscrivono solo per le posizioni in input.
+ */
+async function clearCampaignGraph(tx, namespace, campaignId, { positionIds = [] } = {}) {
+  await tx.run(
+    `
+    MATCH (:Person {company_id: $companyId, perimeter_id: $perimeterId})
+          -[r {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->()
+    WHERE type(r) IN ["CANDIDATO_A", "APPLIES_TO"]
+    DELETE r
+    `,
+    { ...namespace, campaignId }
+  );
+  await tx.run(
+    `
+    MATCH (:Person)-[o:OCCUPIES {company_id: $companyId, perimeter_id: $perimeterId}]->(p:Position)
+    WHERE p.position_id IN $positionIds
+    DELETE o
+    `,
+    { ...namespace, positionIds }
+  );
+  await tx.run(
+    `
+    MATCH (n {company_id: $companyId, perimeter_id: $perimeterId})
+    WHERE (n:Person OR n:Vacancy OR n:Position) AND NOT (n)--()
+    DELETE n
+    `,
+    namespace
+  );
+}
+
+async function countPerimeterGraph(tx, namespace) {
+  const nodes = await tx.run(
+    `
+    MATCH (n:Person {company_id: $companyId, perimeter_id: $perimeterId})
+    RETURN count(n) AS c
+    `,
+    namespace
+  );
+  const vacancyNodes = await tx.run(
+    `
+    MATCH (v:Vacancy {company_id: $companyId, perimeter_id: $perimeterId})
+    RETURN count(v) AS c
+    `,
+    namespace
+  );
+  const rels = await tx.run(
+    `
+    MATCH (:Person {company_id: $companyId, perimeter_id: $perimeterId})
+          -[r:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId}]->
+          (:Person {company_id: $companyId, perimeter_id: $perimeterId})
+    RETURN count(r) AS c
+    `,
+    namespace
+  );
+  return {
+    nodes: nodes.records[0].get("c").toNumber(),
+    relationships: rels.records[0].get("c").toNumber(),
+    vacancies: vacancyNodes.records[0].get("c").toNumber(),
+  };
+}
+
+/* ----------------------------------
+   Supabase graph source
+   -> applications.position_id -> positions.occupied_by -> users
+---------------------------------- */
+const SUPABASE_PAGE_SIZE = 1000;
+const SUPABASE_IN_CHUNK = 200;
+const BUILD_REPORT_MAX_ROWS = 200;
+
+// PostgREST restituisce al massimo ~1000 righe per richiesta: paginiamo con range()
+// (maxRows: ci si ferma lì, senza leggere il resto della tabella)
+async function fetchAllRows(buildQuery, label, { maxRows = Infinity } = {}) {
+  const rows = [];
+  for (let from = 0; from < maxRows; from += SUPABASE_PAGE_SIZE) {
+    const to = Math.min(from + SUPABASE_PAGE_SIZE, maxRows) - 1;
+    const { data, error } = await buildQuery().range(from, to);
+    if (error) throw new Error(`${label}: ${error.message}`);
+    rows.push(...(data ?? []));
+    if (!data || data.length < to - from + 1) return rows;
+  }
+  return rows;
+}
+
+async function fetchRowsByIds(table, columns, ids, column = "id") {
+  const rows = [];
+  const unique = [...new Set(ids.filter(Boolean))];
+  for (let i = 0; i < unique.length; i += SUPABASE_IN_CHUNK) {
+    const { data, error } = await supabaseAdmin
+      .from(table)
+      .select(columns)
+      .in(column, unique.slice(i, i + SUPABASE_IN_CHUNK));
+    if (error) throw new Error(`${table}: ${error.message}`);
+    rows.push(...(data ?? []));
+  }
+  return rows;
+}
+
+function createSkipReport() {
+  return { total: 0, byReason: {}, rows: [] };
+}
+
+function recordSkip(report, row, reason) {
+  report.total++;
+  report.byReason[reason] = (report.byReason[reason] ?? 0) + 1;
+  if (report.rows.length < BUILD_REPORT_MAX_ROWS) {
+    report.rows.push({
+      applicationId: row.id ?? null,
+      userId: row.user_id ?? null,
+      positionId: row.position_id ?? null,
+      reason,
+    });
+  }
+}
+
+function isUserInScope(user, namespace) {
+  if (!user) return false;
+  if (user.company_id && String(user.company_id) !== namespace.companyId) return false;
+  if (user.perimeter_id && String(user.perimeter_id) !== namespace.perimeterId) return false;
+  return true;
+}
+
+async function findCampaignInScope(namespace, campaignId) {
+  const { data, error } = await supabaseAdmin
+    .from("campaigns")
+    .select("id")
+    .eq("id", campaignId)
+    .eq("company_id", namespace.companyId)
+    .eq("perimeter_id", namespace.perimeterId)
+    .maybeSingle();
+  if (error) throw new Error(`campaigns lookup: ${error.message}`);
+  return data?.id ? String(data.id) : null;
+}
+
+/**
+ * Carica candidature, posizioni e utenti della campagna da Supabase e risolve il target
+ * di ogni candidatura tramite l'occupante della posizione.
+ * Le righe scartate finiscono nel report con il motivo:
+ * missing_position | unoccupied_position | self_application | missing_user | cross_tenant_user
+ */
+async function loadCampaignGraphFromSupabase(namespace, campaignId) {
+  if (!(await findCampaignInScope(namespace, campaignId))) return null;
+
+  const appRows = await fetchAllRows(
+    () =>
+      supabaseAdmin
+        .from("applications")
+        .select("id, user_id, position_id, priority, campaign_id")
+        .eq("campaign_id", campaignId)
+        .order("id", { ascending: true }),
+    "applications"
+  );
+  const posRows = await fetchRowsByIds(
+    "positions",
+    "id, title, occupied_by",
+    appRows.map((a) => a.position_id)
+  );
+  const positionsById = new Map(posRows.map((p) => [String(p.id), p]));
+  const userRows = await fetchRowsByIds(
+    "users",
+    "id, full_name, company_id, perimeter_id",
+    [...appRows.map((a) => a.user_id), ...posRows.map((p) => p.occupied_by)]
+  );
+  const usersRowsById = new Map(userRows.map((u) => [String(u.id), u]));
+
+  const report = createSkipReport();
+  const applications = [];
+  for (const row of appRows) {
+    const position = row.position_id ? positionsById.get(String(row.position_id)) : null;
+    if (!position) {
+      recordSkip(report, row, "missing_position");
+      continue;
+    }
+    if (!position.occupied_by) {
+      recordSkip(report, row, "unoccupied_position");
+      continue;
+    }
+    const userId = String(row.user_id);
+    const targetUserId = String(position.occupied_by);
+    if (userId === targetUserId) {
+      recordSkip(report, row, "self_application");
+      continue;
+    }
+    const applicant = usersRowsById.get(userId);
+    const occupant = usersRowsById.get(targetUserId);
+    if (!applicant || !occupant) {
+      recordSkip(report, row, "missing_user");
+      continue;
+    }
+    if (!isUserInScope(applicant, namespace) || !isUserInScope(occupant, namespace)) {
+      recordSkip(report, row, "cross_tenant_user");
+      continue;
+    }
+    applications.push({
+      id: row.id,
+      user_id: userId,
+      target_user_id: targetUserId,
+      position_id: String(row.position_id),
+      priority: row.priority ?? null,
+      campaign_id: campaignId,
+    });
+  }
+
+  const usersById = {};
+  for (const u of userRows) {
+    if (u.full_name) usersById[String(u.id)] = u.full_name;
+  }
+
+  return {
+    applications,
+    usersById,
+    report: {
+      loaded: {
+        applications: appRows.length,
+        positions: posRows.length,
+        users: userRows.length,
+      },
+      used: applications.length,
+      skipped: report,
+    },
+  };
+}
+
+/* ----------------------------------
+   Position-aware graph model
+   (:Person)-[:OCCUPIES]->(:Position)
+   (:Person)-[:APPLIES_TO {priority, campaign_id}]->(:Position)
+   -> rappresenta più posizioni per persona, job-sharing e posizioni vacanti
+---------------------------------- */
+const GRAPH_MODELS = new Set(["person", "position"]);
+
+function resolveGraphModel(req) {
+  return asNonEmptyString(req.body?.model) || asNonEmptyString(req.query?.model) || "person";
+}
+
+function getGraphModelOrRespond(req, res) {
+  const model = resolveGraphModel(req);
+  if (!GRAPH_MODELS.has(model)) {
+    res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_GRAPH_MODEL",
+      message: `model must be one of: ${[...GRAPH_MODELS].join(", ")}`,
+    });
+    return null;
+  }
+  if (!graphStore.supportsModel(model)) {
+    rejectGraphStoreUnsupported(res, `model=${model}`);
+    return null;
+  }
+  return model;
+}
+
+function normalizePositions(positions, namespace) {
+  if (!Array.isArray(positions)) return [];
+  const byId = new Map();
+  for (const pos of positions) {
+    const positionId = asIdString(pos?.position_id ?? pos?.positionId ?? pos?.id);
+    if (!positionId || isForeignTenantRow(pos, namespace)) continue;
+    const occupants = Array.isArray(pos?.occupant_ids)
+      ? pos.occupant_ids
+      : [pos?.occupied_by ?? pos?.occupiedBy];
+    byId.set(positionId, {
+      position_id: positionId,
+      title: asNonEmptyString(pos?.title) ?? null,
+      occupant_ids: [...new Set(occupants.map(asIdString).filter(Boolean))],
+    });
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Candidature verso posizioni note; le autocandidature (il candidato occupa già la
+ * posizione) e le posizioni sconosciute vengono scartate e contate nel report.
+ */
+function normalizePositionApplications(applications, namespace, campaignId, positionsById, report) {
+  if (!Array.isArray(applications)) return [];
+  const out = [];
+  for (const app of applications) {
+    if (isForeignTenantRow(app, namespace)) continue;
+    const row = {
+      application_id: asIdString(app?.id),
+      user_id: asIdString(app?.user_id),
+      position_id: asIdString(app?.position_id ?? app?.target_position_id),
+      priority: app?.priority ?? null,
+      campaign_id: String(app?.campaign_id ?? app?.campaignId ?? campaignId),
+      attributes: normalizeEdgeAttributes(app?.attributes),
+    };
+    if (!row.user_id || !row.position_id || row.campaign_id !== campaignId) continue;
+    const position = positionsById.get(row.position_id);
+    if (!position) {
+      recordSkip(report, { id: row.application_id, ...row }, "missing_position");
+      continue;
+    }
+    if (position.occupant_ids.includes(row.user_id)) {
+      recordSkip(report, { id: row.application_id, ...row }, "self_application");
+      continue;
+    }
+    out.push(row);
+  }
+  return out;
+}
+
+/**
+ * Versione "position model" del loader Supabase: oltre alle posizioni candidate carica
+ * quelle occupate dai candidati (servono a chiudere i cicli).
+ */
+async function loadCampaignPositionGraphFromSupabase(namespace, campaignId) {
+  if (!(await findCampaignInScope(namespace, campaignId))) return null;
+
+  const appRows = await fetchAllRows(
+    () =>
+      supabaseAdmin
+        .from("applications")
+        .select("id, user_id, position_id, priority, campaign_id")
+        .eq("campaign_id", campaignId)
+        .order("id", { ascending: true }),
+    "applications"
+  );
+  const applicantIds = appRows.map((a) => a.user_id);
+  const posRows = [
+    ...(await fetchRowsByIds("positions", "id, title, occupied_by", appRows.map((a) => a.position_id))),
+    ...(await fetchRowsByIds("positions", "id, title, occupied_by", applicantIds, "occupied_by")),
+  ];
+  const userRows = await fetchRowsByIds(
+    "users",
+    "id, full_name, company_id, perimeter_id",
+    [...applicantIds, ...posRows.map((p) => p.occupied_by)]
+  );
+  const usersRowsById = new Map(userRows.map((u) => [String(u.id), u]));
+  const inScope = (userId) => isUserInScope(usersRowsById.get(userId), namespace);
+
+  const positions = normalizePositions(
+    posRows.map((p) => ({
+      ...p,
+      // occupanti di altri tenant non entrano nel grafo: la posizione resta vacante
+      occupied_by: p.occupied_by && inScope(String(p.occupied_by)) ? p.occupied_by : null,
+    })),
+    namespace
+  );
+  const positionsById = new Map(positions.map((p) => [p.position_id, p]));
+
+  const report = createSkipReport();
+  const scopedRows = appRows.filter((row) => {
+    const userId = asIdString(row.user_id);
+    if (!usersRowsById.has(userId)) {
+      recordSkip(report, row, "missing_user");
+      return false;
+    }
+    if (!inScope(userId)) {
+      recordSkip(report, row, "cross_tenant_user");
+      return false;
+    }
+    return true;
+  });
+  const applications = normalizePositionApplications(
+    scopedRows,
+    namespace,
+    campaignId,
+    positionsById,
+    report
+  );
+
+  const usersById = {};
+  for (const u of userRows) {
+    if (u.full_name) usersById[String(u.id)] = u.full_name;
+  }
+
+  return {
+    positions,
+    applications,
+    usersById,
+    report: {
+      loaded: {
+        applications: appRows.length,
+        positions: positionsById.size,
+        users: userRows.length,
+      },
+      used: applications.length,
+      skipped: report,
+    },
+  };
+}
+
+async function ensurePositionConstraints(tx) {
+  try {
+    await tx.run(
+      `
+      CREATE CONSTRAINT position_tenant_identity IF NOT EXISTS
+      FOR (p:Position)
+      REQUIRE (p.company_id, p.perimeter_id, p.position_id) IS UNIQUE
+      `
+    );
+  } catch (constraintErr) {
+    // compat with older Neo4j versions / limited privileges
+    console.warn("Constraint creation skipped:", constraintErr?.message || constraintErr);
+  }
+}
+
+async function writePositionGraph(tx, namespace, { positions, applications, usersById, leaverIds, backfillable }) {
+  const personIds = new Set([
+    ...positions.flatMap((p) => p.occupant_ids),
+    ...applications.map((a) => a.user_id),
+    ...(leaverIds ?? []),
+  ]);
+  const persons = [...personIds].map((userId) => ({
+    user_id: userId,
+    full_name: usersById?.[userId] ?? null,
+    leaving: leaverIds ? leaverIds.includes(userId) : null,
+    backfillable: backfillable ? backfillable.includes(userId) : null,
+  }));
+  await applyGraphDelta(tx, namespace, { persons });
+
+  await tx.run(
+    `
+    UNWIND $positions AS pos
+    MERGE (p:Position {
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      position_id: pos.position_id
+    })
+    SET p.id = pos.position_id,
+        p.title = pos.title,
+        p.tenant_key = $tenantKey
+    WITH p, pos
+    UNWIND pos.occupant_ids AS occupantId
+    MATCH (o:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: occupantId})
+    MERGE (o)-[r:OCCUPIES {company_id: $companyId, perimeter_id: $perimeterId}]->(p)
+    SET r.tenant_key = $tenantKey
+    `,
+    { ...namespace, positions }
+  );
+
+  await tx.run(
+    `
+    UNWIND $apps AS app
+    MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: app.user_id})
+    MATCH (p:Position {company_id: $companyId, perimeter_id: $perimeterId, position_id: app.position_id})
+    MERGE (a)-[r:APPLIES_TO {
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      campaign_id: app.campaign_id
+    }]->(p)
+    // come per CANDIDATO_A: niente attr_* residui da scritture precedenti
+    SET r = {
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      campaign_id: app.campaign_id,
+      priority: app.priority,
+      application_id: app.application_id,
+      tenant_key: $tenantKey
+    }
+    SET r += coalesce(app.attributes, {})
+    `,
+    { ...namespace, apps: applications }
+  );
+}
+
+async function countPositionGraph(runner, namespace) {
+  const result = await runner.run(
+    `
+    CALL {
+      MATCH (n:Person {company_id: $companyId, perimeter_id: $perimeterId})
+      RETURN count(n) AS nodes
+    }
+    CALL {
+      MATCH (p:Position {company_id: $companyId, perimeter_id: $perimeterId})
+      RETURN count(p) AS positions,
+             count(CASE WHEN NOT (p)<-[:OCCUPIES]-() THEN 1 END) AS vacantPositions
+    }
+    CALL {
+      MATCH (:Person {company_id: $companyId, perimeter_id: $perimeterId})
+            -[r:APPLIES_TO {company_id: $companyId, perimeter_id: $perimeterId}]->
+            (:Position {company_id: $companyId, perimeter_id: $perimeterId})
+      RETURN count(r) AS relationships
+    }
+    CALL {
+      MATCH (:Person {company_id: $companyId, perimeter_id: $perimeterId})
+            -[o:OCCUPIES {company_id: $companyId, perimeter_id: $perimeterId}]->
+            (:Position {company_id: $companyId, perimeter_id: $perimeterId})
+      RETURN count(o) AS occupies
+    }
+    RETURN nodes, positions, vacantPositions, relationships, occupies
+    `,
+    namespace
+  );
+  const rec = result.records[0];
+  return {
+    nodes: rec.get("nodes").toNumber(),
+    positions: rec.get("positions").toNumber(),
+    vacantPositions: rec.get("vacantPositions").toNumber(),
+    relationships: rec.get("relationships").toNumber(),
+    occupies: rec.get("occupies").toNumber(),
+  };
+}
+
+async function buildPositionModel(req, res, { scope, namespace, campaignId, source }) {
+  let input;
+  if (source === "supabase") {
+    req.job?.reportProgress({ stage: "loading_source" });
+    try {
+      input = await loadCampaignPositionGraphFromSupabase(namespace, campaignId);
+    } catch (err) {
+      log("ERROR", "build_graph_source_failed", {
+        companyId: scope.companyId,
+        perimeterId: scope.perimeterId,
+        campaignId,
+        message: err?.message || "Unknown error",
+      });
+      return res.status(502).json({
+        status: "ERROR",
+        code: "SUPABASE_SOURCE_FAILED",
+        message: err?.message || "Unknown error",
+      });
+    }
+    if (!input) {
+      return res.status(404).json({
+        status: "ERROR",
+        code: "CAMPAIGN_NOT_FOUND",
+        message: "Campaign not found in this company/perimeter",
+      });
+    }
+  } else {
+    const positions = normalizePositions(req.body?.positions, namespace);
+    const report = createSkipReport();
+    input = {
+      positions,
+      applications: normalizePositionApplications(
+        req.body?.applications,
+        namespace,
+        campaignId,
+        new Map(positions.map((p) => [p.position_id, p])),
+        report
+      ),
+      usersById: req.body?.usersById || {},
+      report: report.total ? { skipped: report } : null,
+    };
+  }
+
+  req.job?.throwIfCancelled();
+  req.job?.reportProgress({ stage: "writing_graph" });
+  const session = openGraphSession(namespace);
+  try {
+    const out = await session.writeTransaction(async (tx) => {
+      await ensureGraphConstraints(tx);
+      await ensurePositionConstraints(tx);
+      await clearCampaignGraph(tx, namespace, campaignId, {
+        positionIds: input.positions.map((p) => p.position_id),
+      });
+      const leaverIds = normalizeUserIdList(req.body?.leavers);
+      const backfillable = normalizeUserIdList(req.body?.backfillableUserIds);
+      await writePositionGraph(tx, namespace, { ...input, leaverIds, backfillable });
+      req.job?.throwIfCancelled();
+      const counts = await countPositionGraph(tx, namespace);
+      const build = await recordGraphBuild(tx, namespace, {
+        campaignId,
+        model: "position",
+        mode: "replace",
+        source,
+        inputHash: hashBuildInput({
+          model: "position",
+          positions: input.positions,
+          applications: input.applications,
+          leavers: leaverIds ?? [],
+          backfillable: backfillable ?? [],
+        }),
+        counts,
+      });
+      return { ...counts, build };
+    });
+
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      campaignId,
+      model: "position",
+      ...out,
+      ...(input.report ? { source, report: input.report } : {}),
+    });
+  } catch (err) {
+    // il fence è arrivato tra il controllo iniziale e la prima scrittura: niente è stato scritto
+    if (err instanceof TenantFencedError) return rejectTenantFenced(res, scope);
+    log("ERROR", "build_graph_failed", {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      model: "position",
+      message: err?.message || "Unknown error",
+    });
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  } finally {
+    await session.close();
+  }
+}
+
+const BUILD_MODES = new Set(["replace", "incremental"]);
+const BUILD_SOURCES = new Set(["payload", "supabase"]);
+
+app.post("/build-graph", requireAdmin, limitGraphConcurrency, auditTrail("build_graph"), withAsyncJob("build_graph", async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const warm = await ensureNeo4jOrWaitResponse(res, "build_graph", scope);
+  if (!warm) return;
+  const namespace = resolveGraphNamespace(scope);
+  const campaignId = resolveCampaignId(req);
+  if (!campaignId) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "CAMPAIGN_ID_REQUIRED",
+      message: "campaignId/campaign_id is required",
+    });
+  }
+  const mode = req.body?.mode ?? "replace";
+  if (!BUILD_MODES.has(mode)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_BUILD_MODE",
+      message: `mode must be one of: ${[...BUILD_MODES].join(", ")}`,
+    });
+  }
+  const source = req.body?.source ?? "payload";
+  if (!BUILD_SOURCES.has(source)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_BUILD_SOURCE",
+      message: `source must be one of: ${[...BUILD_SOURCES].join(", ")}`,
+    });
+  }
+
+  const model = getGraphModelOrRespond(req, res);
+  if (!model) return;
+  if (model === "position") {
+    if (mode !== "replace") {
+      return res.status(400).json({
+        status: "ERROR",
+        code: "INVALID_BUILD_MODE",
+        message: "the position model supports only mode=replace",
+      });
+    }
+    return buildPositionModel(req, res, { scope, namespace, campaignId, source });
+  }
+
+  let { applications, usersById } = req.body || {};
+  let sourceReport = null;
+  if (source === "supabase") {
+    req.job?.reportProgress({ stage: "loading_source" });
+    try {
+      const loaded = await loadCampaignGraphFromSupabase(namespace, campaignId);
+      if (!loaded) {
+        return res.status(404).json({
+          status: "ERROR",
+          code: "CAMPAIGN_NOT_FOUND",
+          message: "Campaign not found in this company/perimeter",
+        });
+      }
+      ({ applications, usersById, report: sourceReport } = loaded);
+    } catch (err) {
+      log("ERROR", "build_graph_source_failed", {
+        companyId: scope.companyId,
+        perimeterId: scope.perimeterId,
+        campaignId,
+        message: err?.message || "Unknown error",
+      });
+      return res.status(502).json({
+        status: "ERROR",
+        code: "SUPABASE_SOURCE_FAILED",
+        message: err?.message || "Unknown error",
+      });
+    }
+  }
+
+  const { vacancies, leavers, backfillableUserIds } = req.body || {};
+  const scopedVacancies = normalizeVacancies(vacancies, namespace);
+  const leaverIds = normalizeUserIdList(leavers);
+  // se non specificato, ogni posto può restare scoperto o essere coperto dall'esterno
+  const backfillable = normalizeUserIdList(backfillableUserIds);
+  req.job?.throwIfCancelled();
+  req.job?.reportProgress({ stage: "writing_graph" });
+  const session = graphStore.openSession(namespace);
+
+  try {
+    const out = await session.writeTransaction(async (tx) => {
+      await graphStore.ensureConstraints(tx);
+
+      if (mode === "replace") await graphStore.clearCampaign(tx, namespace, campaignId);
+
+      const existing = mode === "incremental"
+        ? await graphStore.loadPerimeterNodes(tx, namespace)
+        : { persons: new Map(), vacancies: new Map() };
+      const vacancyIds = new Set([
+        ...existing.vacancies.keys(),
+        ...scopedVacancies.map((v) => v.position_id),
+      ]);
+      const scopedApps = normalizeApplications(applications, namespace, campaignId, vacancyIds);
+
+      const desiredPersons = desiredPersonsFor(scopedApps, usersById);
+      for (const leaverId of leaverIds ?? []) {
+        desiredPersons.set(leaverId, {
+          ...(desiredPersons.get(leaverId) ?? { full_name: usersById?.[leaverId] ?? null }),
+          leaving: true,
+        });
+      }
+      if (leaverIds) {
+        // la lista leavers descrive lo stato completo: chi non è più in uscita torna "normale"
+        for (const [userId, person] of existing.persons) {
+          if (person.leaving && !leaverIds.includes(userId)) {
+            desiredPersons.set(userId, { ...(desiredPersons.get(userId) ?? {}), leaving: false });
+          }
+        }
+      }
+      if (backfillable) {
+        const allIds = new Set([...existing.persons.keys(), ...desiredPersons.keys()]);
+        for (const userId of allIds) {
+          desiredPersons.set(userId, {
+            ...(desiredPersons.get(userId) ?? {}),
+            backfillable: backfillable.includes(userId),
+          });
+        }
+      }
+
+      const personDelta = diffPersons(existing.persons, desiredPersons);
+      const vacancyDelta = diffVacancies(existing.vacancies, scopedVacancies);
+      const existingEdges = mode === "incremental"
+        ? await graphStore.loadCampaignEdges(tx, namespace, campaignId)
+        : new Map();
+      const edgeDelta = diffEdges(existingEdges, scopedApps, { removeMissing: true });
+
+      const removedNodes = await graphStore.applyGraphDelta(tx, namespace, {
+        persons: personDelta.upserts,
+        vacancies: vacancyDelta.upserts,
+        edges: edgeDelta.upserts,
+        removedEdges: edgeDelta.removed,
+        prunePersonIds: edgeDelta.removed
+          .flatMap((e) => [e.user_id, e.target_user_id])
+          .filter((id) => id && !desiredPersons.has(id)),
+        prunePositionIds: edgeDelta.removed
+          .map((e) => e.target_position_id)
+          .filter((id) => id && !scopedVacancies.some((v) => v.position_id === id)),
+      });
+
+      // ultimo punto utile per annullare: un errore qui fa rollback dell'intera build
+      req.job?.throwIfCancelled();
+      const counts = await graphStore.countPerimeterGraph(tx, namespace);
+      const build = await graphStore.recordGraphBuild(tx, namespace, {
+        campaignId,
+        model,
+        mode,
+        source,
+        inputHash: hashBuildInput({
+          model,
+          applications: scopedApps,
+          vacancies: scopedVacancies,
+          leavers: leaverIds ?? [],
+          backfillable: backfillable ?? [],
+        }),
+        counts,
+      });
+
+      return {
+        ...counts,
+        build,
+        vacancyApplications: scopedApps.filter((app) => !app.target_user_id).length,
+        leavers: leaverIds?.length ?? 0,
+        ...(mode === "incremental"
+          ? {
+            delta: {
+              nodes: {
+                added: personDelta.added + vacancyDelta.added,
+                updated: personDelta.updated + vacancyDelta.updated,
+                removed: removedNodes,
+              },
+              edges: {
+                added: edgeDelta.added,
+                updated: edgeDelta.updated,
+                removed: edgeDelta.removed.length,
+              },
+            },
+          }
+          : {}),
+      };
+    });
+
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      campaignId,
+      ...(mode === "incremental" ? { mode } : {}),
+      ...out,
+      ...(sourceReport ? { source, report: sourceReport } : {}),
+    });
+  } catch (err) {
+    // il fence è arrivato tra il controllo iniziale e la prima scrittura: niente è stato scritto
+    if (err instanceof TenantFencedError) return rejectTenantFenced(res, scope);
+    log("ERROR", "build_graph_failed", {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      message: err?.message || "Unknown error",
+    });
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  } finally {
+    await session.close();
+  }
+}));
+
+/* ----------------------------------
+   Graph build history (Admin only)
+   -> ogni /build-graph lascia un (:GraphBuild) con snapshot della campagna;
+      si tengono gli ultimi GRAPH_BUILD_HISTORY_LIMIT per campagna
+---------------------------------- */
+const GRAPH_BUILD_HISTORY_LIMIT = clampInt(process.env.GRAPH_BUILD_HISTORY_LIMIT, 10, 1, 100);
+const BUILD_DIFF_DEFAULT_MAX_LEN = 6;
+const BUILD_DIFF_TIME_BUDGET_MS = 5000;
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Hash dell'input normalizzato: stesso input => stesso hash, indipendentemente dall'ordine
+function hashBuildInput(input) {
+  const sortedInput = Object.fromEntries(
+    Object.entries(input).map(([k, v]) => [
+      k,
+      Array.isArray(v) ? v.map(stableStringify).sort() : v,
+    ])
+  );
+  return crypto.createHash("sha256").update(stableStringify(sortedInput)).digest("hex");
+}
+
+/**
+ * Fotografia della campagna così come è nel grafo dopo la build:
+ * people {id: nome}, applications [[from, target, priority]], e per il position model
+ * l'occupazione delle posizioni. I target sono user id, "vacancy:<id>" o "position:<id>".
+ */
+async function captureCampaignSnapshot(tx, namespace, campaignId, model) {
+  const params = { ...namespace, campaignId };
+  const people = {};
+  const titles = {};
+  const occupancy = {};
+
+  const apps = await tx.run(
+    model === "position"
+      ? `
+        MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+              -[r:APPLIES_TO {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+              (pos:Position {company_id: $companyId, perimeter_id: $perimeterId})
+        RETURN a.user_id AS from, a.full_name AS fromName,
+               'position:' + pos.position_id AS target, null AS targetName, pos.title AS title,
+               r.priority AS priority
+        `
+      : `
+        MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+              -[r:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+              (b)
+        WHERE b.company_id = $companyId AND b.perimeter_id = $perimeterId
+        RETURN a.user_id AS from, a.full_name AS fromName,
+               CASE WHEN b:Vacancy THEN 'vacancy:' + b.position_id ELSE b.user_id END AS target,
+               CASE WHEN b:Vacancy THEN null ELSE b.full_name END AS targetName,
+               CASE WHEN b:Vacancy THEN b.title ELSE null END AS title,
+               r.priority AS priority
+        `,
+    params
+  );
+  const applications = apps.records.map((rec) => {
+    const from = rec.get("from");
+    const target = rec.get("target");
+    people[from] = rec.get("fromName") ?? from;
+    if (target.includes(":")) titles[target] = rec.get("title") ?? null;
+    else people[target] = rec.get("targetName") ?? target;
+    return [from, target, toNumberOrNull(rec.get("priority"))];
+  });
+
+  if (model === "position") {
+    const occ = await tx.run(
+      `
+      MATCH (:Person {company_id: $companyId, perimeter_id: $perimeterId})
+            -[:APPLIES_TO {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+            (pos:Position {company_id: $companyId, perimeter_id: $perimeterId})
+      WITH DISTINCT pos
+      MATCH (o:Person)-[:OCCUPIES]->(pos)
+      RETURN pos.position_id AS positionId, o.user_id AS userId, o.full_name AS name
+      `,
+      params
+    );
+    for (const rec of occ.records) {
+      const key = `position:${rec.get("positionId")}`;
+      (occupancy[key] ??= []).push(rec.get("userId"));
+      people[rec.get("userId")] = rec.get("name") ?? rec.get("userId");
+    }
+  }
+
+  return { model, people, applications, titles, occupancy };
+}
+
+async function recordGraphBuild(tx, namespace, { campaignId, model, mode, source, inputHash, counts }) {
+  const snapshot = await captureCampaignSnapshot(tx, namespace, campaignId, model);
+  const build = {
+    buildId: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    inputHash,
+  };
+  await tx.run(
+    `
+    CREATE (b:GraphBuild {
+      build_id: $buildId,
+      company_id: $companyId,
+      perimeter_id: $perimeterId,
+      tenant_key: $tenantKey,
+      campaign_id: $campaignId,
+      created_at: $createdAt,
+      input_hash: $inputHash,
+      model: $model,
+      mode: $mode,
+      source: $source,
+      nodes: $nodes,
+      relationships: $relationships,
+      snapshot: $snapshot
+    })
+    `,
+    {
+      ...namespace,
+      ...build,
+      campaignId,
+      model,
+      mode,
+      source,
+      nodes: counts.nodes,
+      relationships: counts.relationships,
+      snapshot: JSON.stringify(snapshot),
+    }
+  );
+  await tx.run(
+    `
+    MATCH (b:GraphBuild {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId})
+    WITH b ORDER BY b.created_at DESC
+    SKIP $keep
+    DELETE b
+    `,
+    { ...namespace, campaignId, keep: neo4j.int(GRAPH_BUILD_HISTORY_LIMIT) }
+  );
+  return build;
+}
+
+function buildRecordToJson(node) {
+  const p = node.properties;
+  return {
+    buildId: p.build_id,
+    campaignId: p.campaign_id,
+    createdAt: p.created_at,
+    inputHash: p.input_hash,
+    model: p.model ?? "person",
+    mode: p.mode ?? "replace",
+    source: p.source ?? "payload",
+    nodes: toNumberOrNull(p.nodes),
+    relationships: toNumberOrNull(p.relationships),
+  };
+}
+
+function snapshotToAdjacency(snapshot) {
+  const names = new Map(Object.entries(snapshot.people));
+  const edges = [];
+  for (const [from, target, priority] of snapshot.applications) {
+    if (target.startsWith("vacancy:")) continue;
+    if (target.startsWith("position:")) {
+      for (const to of snapshot.occupancy[target] ?? []) {
+        if (to === from) continue;
+        edges.push({
+          from,
+          to,
+          priority,
+          position: { id: target.slice("position:".length), title: snapshot.titles[target] ?? null },
+        });
+      }
+      continue;
+    }
+    edges.push({ from, to: target, priority });
+  }
+  return createAdjacency(names, edges);
+}
+
+function chainKey(chain) {
+  return chain.users.map((u, i) => `${u}${chain.positions ? `@${chain.positions[i].id}` : ""}`).join(">");
+}
+
+async function diffSnapshots(before, after, { maxLen }) {
+  const targetName = (snapshot, target) =>
+    snapshot.people[target] ?? snapshot.titles[target] ?? target;
+
+  const people = {
+    added: Object.keys(after.people)
+      .filter((id) => !(id in before.people))
+      .map((id) => ({ userId: id, name: after.people[id] })),
+    removed: Object.keys(before.people)
+      .filter((id) => !(id in after.people))
+      .map((id) => ({ userId: id, name: before.people[id] })),
+  };
+
+  const index = (snapshot) =>
+    new Map(snapshot.applications.map(([from, target, priority]) => [`${from}>${target}`, { from, target, priority }]));
+  const beforeApps = index(before);
+  const afterApps = index(after);
+  const describe = (snapshot, app) => ({
+    from: app.from,
+    fromName: snapshot.people[app.from] ?? app.from,
+    target: app.target,
+    targetName: targetName(snapshot, app.target),
+    priority: app.priority,
+  });
+  const applications = {
+    added: [...afterApps].filter(([k]) => !beforeApps.has(k)).map(([, a]) => describe(after, a)),
+    removed: [...beforeApps].filter(([k]) => !afterApps.has(k)).map(([, a]) => describe(before, a)),
+    priorityChanges: [...afterApps]
+      .filter(([k, a]) => beforeApps.has(k) && beforeApps.get(k).priority !== a.priority)
+      .map(([k, a]) => {
+        const { priority, ...app } = describe(after, a);
+        return { ...app, before: beforeApps.get(k).priority, after: priority };
+      }),
+  };
+
+  const enumerate = (snapshot) =>
+    enumerateChainPage(snapshotToAdjacency(snapshot), {
+      maxLen,
+      limit: OPTIMAL_MAX_CANDIDATES,
+      timeBudgetMs: BUILD_DIFF_TIME_BUDGET_MS,
+    });
+  const beforeCycles = await enumerate(before);
+  const afterCycles = await enumerate(after);
+  const beforeKeys = new Set(beforeCycles.chains.map(chainKey));
+  const afterKeys = new Set(afterCycles.chains.map(chainKey));
+  const strip = ({ priorities, ...rest }) => rest;
+  const cycles = {
+    maxLen,
+    truncated: beforeCycles.truncated || afterCycles.truncated,
+    appeared: afterCycles.chains.filter((c) => !beforeKeys.has(chainKey(c))).map(strip),
+    disappeared: beforeCycles.chains.filter((c) => !afterKeys.has(chainKey(c))).map(strip),
+  };
+
+  return { people, applications, cycles };
+}
+
+app.get("/graph/builds", requireAdmin, async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const campaignId = getCampaignIdOrRespond(req, res);
+  if (!campaignId) return;
+  const warm = await ensureNeo4jOrWaitResponse(res, "graph_builds", scope);
+  if (!warm) return;
+  const namespace = resolveGraphNamespace(scope);
+  const session = openGraphSession(namespace);
+
+  try {
+    const result = await session.run(
+      `
+      MATCH (b:GraphBuild {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId})
+      RETURN b
+      ORDER BY b.created_at DESC
+      `,
+      { ...namespace, campaignId }
+    );
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      campaignId,
+      builds: result.records.map((rec) => buildRecordToJson(rec.get("b"))),
+    });
+  } catch (err) {
+    log("ERROR", "graph_builds_failed", {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      message: err?.message || "Unknown error",
+    });
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  } finally {
+    await session.close();
+  }
+});
+
+// Diff tra due build: senza `to` si usa l'ultima, senza `from` quella precedente a `to`.
+app.get("/graph/builds/diff", requireAdmin, limitGraphConcurrency, async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const campaignId = getCampaignIdOrRespond(req, res);
+  if (!campaignId) return;
+  const warm = await ensureNeo4jOrWaitResponse(res, "graph_builds_diff", scope);
+  if (!warm) return;
+  const namespace = resolveGraphNamespace(scope);
+  const fromId = asNonEmptyString(req.query?.from);
+  const toId = asNonEmptyString(req.query?.to);
+  const maxLen = clampInt(req.query?.maxLen, BUILD_DIFF_DEFAULT_MAX_LEN, CHAIN_MIN_LEN, CHAIN_MAX_LEN);
+  const session = openGraphSession(namespace);
+
+  try {
+    const result = await session.run(
+      `
+      MATCH (b:GraphBuild {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId})
+      RETURN b
+      ORDER BY b.created_at DESC
+      `,
+      { ...namespace, campaignId }
+    );
+    const builds = result.records.map((rec) => rec.get("b"));
+    const toIdx = toId ? builds.findIndex((b) => b.properties.build_id === toId) : 0;
+    const fromIdx = fromId
+      ? builds.findIndex((b) => b.properties.build_id === fromId)
+      : toIdx + 1;
+    const to = builds[toIdx];
+    const from = builds[fromIdx];
+    if (!to || !from) {
+      return res.status(404).json({
+        status: "ERROR",
+        code: "BUILD_NOT_FOUND",
+        message: builds.length < 2 && !fromId && !toId
+          ? "At least two builds are needed to compute a diff"
+          : "Build not found for this campaign",
+      });
+    }
+    const before = JSON.parse(from.properties.snapshot);
+    const after = JSON.parse(to.properties.snapshot);
+
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      campaignId,
+      from: buildRecordToJson(from),
+      to: buildRecordToJson(to),
+      sameInput: from.properties.input_hash === to.properties.input_hash,
+      ...(await diffSnapshots(before, after, { maxLen })),
+    });
+  } catch (err) {
+    log("ERROR", "graph_builds_diff_failed", {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      message: err?.message || "Unknown error",
+    });
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  } finally {
+    await session.close();
+  }
+});
+
+/* ----------------------------------
+   Incremental graph maintenance (Admin only)
+   -> upsert/delete puntuali di candidature e persone, senza rebuild del perimetro
+---------------------------------- */
+async function runGraphMaintenance(req, res, operation, { requireCampaign = true } = {}, apply) {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const campaignId = requireCampaign ? getCampaignIdOrRespond(req, res) : resolveCampaignId(req);
+  if (requireCampaign && !campaignId) return;
+  const warm = await ensureNeo4jOrWaitResponse(res, operation, scope);
+  if (!warm) return;
+  const namespace = resolveGraphNamespace(scope);
+  const session = openGraphSession(namespace);
+
+  try {
+    const delta = await session.writeTransaction(async (tx) => {
+      await ensureGraphConstraints(tx);
+      return apply(tx, namespace, campaignId);
+    });
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      ...(campaignId ? { campaignId } : {}),
+      delta,
+    });
+  } catch (err) {
+    if (err instanceof TenantFencedError) return rejectTenantFenced(res, scope);
+    log("ERROR", `${operation}_failed`, {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      message: err?.message || "Unknown error",
+    });
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  } finally {
+    await session.close();
+  }
+}
+
+function emptyDelta() {
+  return {
+    nodes: { added: 0, updated: 0, removed: 0 },
+    edges: { added: 0, updated: 0, removed: 0 },
+  };
+}
+
+app.post("/graph/applications/upsert", requireAdmin, auditTrail("graph_applications_upsert"), (req, res) =>
+  runGraphMaintenance(req, res, "graph_applications_upsert", {}, async (tx, namespace, campaignId) => {
+    const { applications, usersById, vacancies } = req.body || {};
+    const existing = await loadPerimeterNodes(tx, namespace);
+    const scopedVacancies = normalizeVacancies(vacancies, namespace);
+    const vacancyIds = new Set([
+      ...existing.vacancies.keys(),
+      ...scopedVacancies.map((v) => v.position_id),
+    ]);
+    const scopedApps = normalizeApplications(applications, namespace, campaignId, vacancyIds);
+    const personDelta = diffPersons(existing.persons, desiredPersonsFor(scopedApps, usersById));
+    const vacancyDelta = diffVacancies(existing.vacancies, scopedVacancies);
+    const edgeDelta = diffEdges(await loadCampaignEdges(tx, namespace, campaignId), scopedApps);
+
+    await applyGraphDelta(tx, namespace, {
+      persons: personDelta.upserts,
+      vacancies: vacancyDelta.upserts,
+      edges: edgeDelta.upserts,
+    });
+
+    const delta = emptyDelta();
+    delta.nodes.added = personDelta.added + vacancyDelta.added;
+    delta.nodes.updated = personDelta.updated + vacancyDelta.updated;
+    delta.edges.added = edgeDelta.added;
+    delta.edges.updated = edgeDelta.updated;
+    return delta;
+  })
+);
+
+app.post("/graph/applications/delete", requireAdmin, auditTrail("graph_applications_delete"), (req, res) =>
+  runGraphMaintenance(req, res, "graph_applications_delete", {}, async (tx, namespace, campaignId) => {
+    const existingEdges = await loadCampaignEdges(tx, namespace, campaignId);
+    const existing = await loadPerimeterNodes(tx, namespace);
+    const requested = normalizeApplications(
+      req.body?.applications,
+      namespace,
+      campaignId,
+      new Set(existing.vacancies.keys())
+    );
+    const removedEdges = requested.filter((app) => existingEdges.has(applicationKey(app)));
+
+    const delta = emptyDelta();
+    delta.nodes.removed = await applyGraphDelta(tx, namespace, {
+      removedEdges,
+      prunePersonIds: removedEdges.flatMap((e) => [e.user_id, e.target_user_id]).filter(Boolean),
+      prunePositionIds: removedEdges.map((e) => e.target_position_id).filter(Boolean),
+    });
+    delta.edges.removed = removedEdges.length;
+    return delta;
+  })
+);
+
+app.post("/graph/persons/upsert", requireAdmin, auditTrail("graph_persons_upsert"), (req, res) =>
+  runGraphMaintenance(req, res, "graph_persons_upsert", { requireCampaign: false }, async (tx, namespace) => {
+    const desired = new Map();
+    for (const person of Array.isArray(req.body?.persons) ? req.body.persons : []) {
+      const userId = asNonEmptyString(person?.user_id ?? person?.userId);
+      if (!userId || isForeignTenantRow(person, namespace)) continue;
+      desired.set(userId, {
+        full_name: asNonEmptyString(person?.full_name ?? person?.fullName),
+        leaving: person?.leaving,
+        backfillable: person?.backfillable,
+      });
+    }
+    const existing = await loadPerimeterNodes(tx, namespace);
+    const personDelta = diffPersons(existing.persons, desired);
+    await applyGraphDelta(tx, namespace, { persons: personDelta.upserts });
+
+    const delta = emptyDelta();
+    delta.nodes.added = personDelta.added;
+    delta.nodes.updated = personDelta.updated;
+    return delta;
+  })
+);
+
+// Rimuove gli archi della campagna che toccano le persone indicate; il nodo viene
+// eliminato solo se non partecipa più ad altre campagne.
+app.post("/graph/persons/delete", requireAdmin, auditTrail("graph_persons_delete"), (req, res) =>
+  runGraphMaintenance(req, res, "graph_persons_delete", {}, async (tx, namespace, campaignId) => {
+    const userIds = normalizeUserIdList(req.body?.userIds ?? req.body?.user_ids) ?? [];
+    const existingEdges = await loadCampaignEdges(tx, namespace, campaignId);
+    const removedEdges = [...existingEdges.values()].filter(
+      (e) => userIds.includes(e.user_id) || userIds.includes(e.target_user_id)
+    );
+
+    const delta = emptyDelta();
+    delta.nodes.removed = await applyGraphDelta(tx, namespace, {
+      removedEdges,
+      prunePersonIds: removedEdges
+        .flatMap((e) => [e.user_id, e.target_user_id])
+        .filter((id) => id && !userIds.includes(id)),
+      prunePositionIds: removedEdges.map((e) => e.target_position_id).filter(Boolean),
+    });
+    // le persone indicate esplicitamente vengono rimosse anche se marcate "leaving"
+    const deleted = await tx.run(
+      `
+      MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId})
+      WHERE p.user_id IN $userIds AND NOT (p)--()
+      DELETE p
+      RETURN count(p) AS c
+      `,
+      { ...namespace, userIds }
+    );
+    delta.nodes.removed += deleted.records[0].get("c").toNumber();
+    delta.edges.removed = removedEdges.length;
+    return delta;
+  })
+);
+
+/* ----------------------------------
+   Supabase database webhooks (change feed)
+   -> INSERT/UPDATE/DELETE su applications, positions, users aggiornano il grafo
+      (app_role_assignments invalida solo la cache ruoli)
+   NB: idempotenza, versioni di riga e dead-letter sono in memoria (per istanza)
+---------------------------------- */
+const WEBHOOK_MEMORY_MAX = 10000;
+const WEBHOOK_DEAD_LETTER_MAX = 500;
+const WEBHOOK_TABLES = new Set(["applications", "positions", "users"]);
+const WEBHOOK_TYPES = new Set(["INSERT", "UPDATE", "DELETE"]);
+
+const processedWebhookEvents = new Map(); // eventId -> processedAt
+const webhookRowVersions = new Map(); // `${table}:${rowId}` -> { ts, deleted }
+const webhookDeadLetters = [];
+let webhookDeadLetterSeq = 0;
+
+if (!SUPABASE_WEBHOOK_SECRET) {
+  log("WARN", "webhook_secret_missing", { route: "/webhooks/supabase" });
+}
+
+function rememberBounded(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > WEBHOOK_MEMORY_MAX) map.delete(map.keys().next().value);
+}
+
+function asIdString(value) {
+  if (value === null || value === undefined) return null;
+  return asNonEmptyString(String(value));
+}
+
+function verifyWebhookSignature(req) {
+  const provided = (req.header("x-webhook-signature") || "").replace(/^sha256=/i, "");
+  if (!/^[0-9a-f]{64}$/i.test(provided) || !req.rawBody) return false;
+  const expected = crypto
+    .createHmac("sha256", SUPABASE_WEBHOOK_SECRET)
+    .update(req.rawBody)
+    .digest();
+  return crypto.timingSafeEqual(Buffer.from(provided, "hex"), expected);
+}
+
+function rowTimestamp(row) {
+  const raw = row?.updated_at ?? row?.created_at ?? null;
+  const ts = raw ? Date.parse(raw) : NaN;
+  return Number.isFinite(ts) ? ts : null;
+}
+
+/**
+ * Normalizza il payload stile Supabase: { type, table, schema, record, old_record }.
+ * Ritorna null se il payload non è interpretabile.
+ */
+function normalizeWebhookEvent(req) {
+  const body = req.body || {};
+  const type = typeof body.type === "string" ? body.type.toUpperCase() : null;
+  const table = asNonEmptyString(body.table);
+  if (!WEBHOOK_TYPES.has(type) || !table) return null;
+  const record = body.record ?? null;
+  const oldRecord = body.old_record ?? null;
+  const row = type === "DELETE" ? oldRecord : record;
+  const rowId = asIdString(row?.id);
+  if (!rowId) return null;
+  return {
+    eventId:
+      asNonEmptyString(req.header("x-webhook-id")) ||
+      asNonEmptyString(body.event_id) ||
+      crypto.createHash("sha256").update(req.rawBody).digest("hex"),
+    type,
+    table,
+    record,
+    oldRecord,
+    rowId,
+    ts: rowTimestamp(row),
+  };
+}
+
+// Gli eventi senza timestamp non sono ordinabili: vengono sempre applicati.
+function isStaleWebhookEvent(event) {
+  if (event.ts === null) return false;
+  const seen = webhookRowVersions.get(`${event.table}:${event.rowId}`);
+  if (!seen) return false;
+  // a parità di timestamp vince la DELETE (tombstone)
+  return event.type === "DELETE" ? event.ts < seen.ts : event.ts <= seen.ts;
+}
+
+function recordWebhookRowVersion(event) {
+  if (event.ts === null) return;
+  rememberBounded(webhookRowVersions, `${event.table}:${event.rowId}`, {
+    ts: event.ts,
+    deleted: event.type === "DELETE",
+  });
+}
+
+function pushDeadLetter(event, err) {
+  const existing = webhookDeadLetters.findIndex((d) => d.event.eventId === event.eventId);
+  if (existing >= 0) webhookDeadLetters.splice(existing, 1);
+  webhookDeadLetters.push({
+    id: String(++webhookDeadLetterSeq),
+    failedAt: new Date().toISOString(),
+    error: err?.message || "Unknown error",
+    event,
+  });
+  if (webhookDeadLetters.length > WEBHOOK_DEAD_LETTER_MAX) webhookDeadLetters.shift();
+}
+
+function dropDeadLetter(eventId) {
+  const idx = webhookDeadLetters.findIndex((d) => d.event.eventId === eventId);
+  if (idx >= 0) webhookDeadLetters.splice(idx, 1);
+}
+
+async function resolveRowNamespace(row) {
+  let companyId = asIdString(row?.company_id);
+  let perimeterId = asIdString(row?.perimeter_id);
+  const campaignId = asIdString(row?.campaign_id);
+  if ((!companyId || !perimeterId) && campaignId) {
+    const { data, error } = await supabaseAdmin
+      .from("campaigns")
+      .select("company_id, perimeter_id")
+      .eq("id", campaignId)
+      .maybeSingle();
+    if (error) throw new Error(`campaigns lookup: ${error.message}`);
+    companyId = companyId ?? asIdString(data?.company_id);
+    perimeterId = perimeterId ?? asIdString(data?.perimeter_id);
+  }
+  if (!companyId || !perimeterId) return null;
+  return resolveGraphNamespace({ companyId, perimeterId });
+}
+
+/**
+ * Elimina gli archi CANDIDATO_A che corrispondono al filtro (application_id o position_id)
+ * e ritorna le righe rimosse, con tenant e proprietà, per potatura o ricostruzione.
+ */
+async function detachApplicationEdges(tx, { applicationId = null, positionId = null, companyId = null }) {
+  const result = await tx.run(
+    `
+    MATCH (a:Person)-[r:CANDIDATO_A]->(b)
+    WHERE ($applicationId IS NOT NULL AND r.application_id = $applicationId)
+       OR ($positionId IS NOT NULL AND r.position_id = $positionId)
+    WITH a, b, r
+    WHERE $companyId IS NULL OR r.company_id = $companyId
+    WITH r,
+         r.company_id AS companyId,
+         r.perimeter_id AS perimeterId,
+         r.campaign_id AS campaignId,
+         r.priority AS priority,
+         r.application_id AS applicationId,
+         r.position_id AS positionId,
+         a.user_id AS userId,
+         b.user_id AS targetUserId,
+         b.position_id AS targetPositionId,
+         properties(r) AS props
+    DELETE r
+    RETURN companyId, perimeterId, campaignId, priority, applicationId, positionId,
+           userId, targetUserId, targetPositionId, props
+    `,
+    { applicationId, positionId, companyId }
+  );
+  return result.records.map((rec) => ({
+    companyId: rec.get("companyId"),
+    perimeterId: rec.get("perimeterId"),
+    campaign_id: rec.get("campaignId"),
+    priority: rec.get("priority"),
+    application_id: rec.get("applicationId"),
+    position_id: rec.get("positionId"),
+    user_id: rec.get("userId"),
+    target_user_id: rec.get("targetUserId"),
+    target_position_id: rec.get("targetPositionId"),
+    attributes: edgeAttributesFromProperties(rec.get("props")),
+  }));
+}
+
+function groupByTenant(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.companyId}::${row.perimeterId}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        namespace: resolveGraphNamespace({ companyId: row.companyId, perimeterId: row.perimeterId }),
+        rows: [],
+      });
+    }
+    groups.get(key).rows.push(row);
+  }
+  return [...groups.values()];
+}
+
+async function pruneDetachedEndpoints(tx, detached) {
+  for (const { namespace, rows } of groupByTenant(detached)) {
+    await applyGraphDelta(tx, namespace, {
+      prunePersonIds: rows.flatMap((r) => [r.user_id, r.target_user_id]).filter(Boolean),
+      prunePositionIds: rows.map((r) => r.target_position_id).filter(Boolean),
+    });
+  }
+}
+
+async function loadUsersById(userIds) {
+  const rows = await fetchRowsByIds("users", "id, full_name, company_id, perimeter_id", userIds);
+  return new Map(rows.map((u) => [String(u.id), u]));
+}
+
+async function withGraphSession(namespace, work) {
+  const session = openGraphSession(namespace);
+  try {
+    return await work(session);
+  } finally {
+    await session.close();
+  }
+}
+
+// Righe senza tenant certo: si applica su ogni database che può contenere nodi della company
+async function forEachCompanyGraphDatabase(companyId, work) {
+  for (const dbName of companyGraphDatabases(companyId)) {
+    await withGraphSession({ dbName, companyId, perimeterId: null }, work);
+  }
+}
+
+/**
+ * Candidatura inserita direttamente in Supabase (frontend): le regole di creazione della campagna
+ * si applicano qui. Se ne viola una la riga si cancella e non entra nel grafo.
+ */
+async function enforceApplicationCreationRules(record) {
+  const campaignId = asIdString(record?.campaign_id);
+  const userId = asIdString(record?.user_id);
+  if (!campaignId || !userId) return null;
+  const rules = await loadApplicationRules(campaignId);
+  if (!rules) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from("applications")
+    .select("id, position_id, priority")
+    .eq("user_id", userId)
+    .eq("campaign_id", campaignId);
+  if (error) throw new Error(`applications: ${error.message}`);
+  const apps = data ?? [];
+  // già cancellata (o mai vista dalla lettura): niente da far rispettare
+  if (!apps.some((a) => String(a.id) === String(record.id))) return null;
+
+  const ownPositionIds = await findOwnPositionIds(rules, userId, apps);
+  const violations = checkCreationRules(rules, apps, { ownPositionIds }).filter(
+    (v) => v.rule !== "own_position" || v.applicationIds.includes(String(record.id))
+  );
+  if (!violations.length) return null;
+
+  await deleteRowsByIds("applications", [record.id]);
+  log("WARN", "webhook_application_rejected", {
+    applicationId: String(record.id),
+    userId,
+    campaignId,
+    rules: violations.map((v) => v.rule),
+  });
+  return { outcome: "rejected", reason: "application_rules_violated", violations };
+}
+
+async function applyApplicationChange(event) {
+  const applicationId = event.rowId;
+  if (event.type === "DELETE") {
+    const namespace = await resolveRowNamespace(event.oldRecord);
+    const work = (session) =>
+      session.writeTransaction(async (tx) => {
+        const detached = await detachApplicationEdges(tx, {
+          applicationId,
+          companyId: namespace?.companyId ?? null,
+        });
+        await pruneDetachedEndpoints(tx, detached);
+      });
+    if (namespace) await withGraphSession(namespace, work);
+    else await forEachCompanyGraphDatabase(null, work);
+    return { outcome: "applied" };
+  }
+
+  const record = event.record;
+  const namespace = await resolveRowNamespace(record);
+  if (!namespace) return { outcome: "ignored", reason: "unknown_tenant" };
+  const campaignId = asIdString(record.campaign_id);
+  const positionId = asIdString(record.position_id);
+  const userId = asIdString(record.user_id);
+  if (!campaignId || !userId) return { outcome: "ignored", reason: "incomplete_row" };
+
+  const { data: position, error: posErr } = positionId
+    ? await supabaseAdmin.from("positions").select("id, title, occupied_by").eq("id", positionId).maybeSingle()
+    : { data: null, error: null };
+  if (posErr) throw new Error(`positions: ${posErr.message}`);
+  const targetUserId = asIdString(position?.occupied_by);
+
+  let skipReason = null;
+  if (!position) skipReason = "missing_position";
+  else if (!targetUserId) skipReason = "unoccupied_position";
+  else if (targetUserId === userId) skipReason = "self_application";
+
+  let users = new Map();
+  if (!skipReason) {
+    users = await loadUsersById([userId, targetUserId]);
+    if (!users.has(userId) || !users.has(targetUserId)) skipReason = "missing_user";
+    else if (![userId, targetUserId].every((id) => isUserInScope(users.get(id), namespace))) {
+      skipReason = "cross_tenant_user";
+    }
+  }
+
+  await withGraphSession(namespace, (session) =>
+    session.writeTransaction(async (tx) => {
+      await ensureGraphConstraints(tx);
+      // UPDATE: la candidatura può aver cambiato posizione/priorità, si riparte pulito
+      const detached = await detachApplicationEdges(tx, { applicationId, companyId: namespace.companyId });
+      if (!skipReason) {
+        const existing = await loadPerimeterNodes(tx, namespace);
+        const desired = new Map(
+          [userId, targetUserId].map((id) => [id, { full_name: users.get(id)?.full_name ?? null }])
+        );
+        await applyGraphDelta(tx, namespace, {
+          persons: diffPersons(existing.persons, desired).upserts,
+          edges: [{
+            user_id: userId,
+            target_user_id: targetUserId,
+            target_position_id: null,
+            priority: record.priority ?? null,
+            campaign_id: campaignId,
+            application_id: applicationId,
+            position_id: positionId,
+            attributes: normalizeEdgeAttributes(record.attributes),
+          }],
+        });
+      }
+      await pruneDetachedEndpoints(tx, detached);
+    })
+  );
+  return skipReason ? { outcome: "ignored", reason: skipReason } : { outcome: "applied" };
+}
+
+async function applyPositionChange(event) {
+  const positionId = event.rowId;
+  const row = event.type === "DELETE" ? event.oldRecord : event.record;
+  const companyId = asIdString(row?.company_id);
+
+  if (event.type === "DELETE") {
+    await forEachCompanyGraphDatabase(companyId, (session) =>
+      session.writeTransaction(async (tx) => {
+        const detached = await detachApplicationEdges(tx, { positionId, companyId });
+        await tx.run(
+          `
+          MATCH (v:Vacancy {position_id: $positionId})
+          WHERE $companyId IS NULL OR v.company_id = $companyId
+          DETACH DELETE v
+          `,
+          { positionId, companyId }
+        );
+        await pruneDetachedEndpoints(tx, detached);
+      })
+    );
+    return { outcome: "applied" };
+  }
+
+  // UPDATE: le candidature verso la posizione seguono il nuovo occupante (o diventano vacancy)
+  const occupantId = asIdString(row.occupied_by);
+  const title = asNonEmptyString(row.title) ?? null;
+  const users = occupantId ? await loadUsersById([occupantId]) : new Map();
+
+  await forEachCompanyGraphDatabase(companyId, (session) =>
+    session.writeTransaction(async (tx) => {
+      await ensureGraphConstraints(tx);
+      const detached = await detachApplicationEdges(tx, { positionId, companyId });
+      for (const { namespace, rows } of groupByTenant(detached)) {
+        const occupantInScope = occupantId && isUserInScope(users.get(occupantId), namespace);
+        const edges = rows
+          .filter((r) => r.user_id !== occupantId)
+          .filter(() => !occupantId || occupantInScope)
+          .map((r) => ({
+            user_id: r.user_id,
+            target_user_id: occupantId,
+            target_position_id: occupantId ? null : positionId,
+            priority: r.priority,
+            campaign_id: r.campaign_id,
+            application_id: r.application_id,
+            position_id: positionId,
+            attributes: r.attributes,
+          }));
+        const existing = await loadPerimeterNodes(tx, namespace);
+        const desired = new Map(
+          occupantId && edges.length
+            ? [[occupantId, { full_name: users.get(occupantId)?.full_name ?? null }]]
+            : []
+        );
+        await applyGraphDelta(tx, namespace, {
+          persons: diffPersons(existing.persons, desired).upserts,
+          vacancies: !occupantId && edges.length ? [{ position_id: positionId, title }] : [],
+          edges,
+        });
+      }
+      await tx.run(
+        `
+        MATCH (v:Vacancy {position_id: $positionId})
+        WHERE $companyId IS NULL OR v.company_id = $companyId
+        SET v.title = coalesce($title, v.title)
+        `,
+        { positionId, companyId, title }
+      );
+      await pruneDetachedEndpoints(tx, detached);
+    })
+  );
+  return { outcome: "applied" };
+}
+
+async function applyUserChange(event) {
+  const userId = event.rowId;
+  const row = event.type === "DELETE" ? event.oldRecord : event.record;
+  // senza company/perimeter un MATCH sul solo user_id toccherebbe i Person di ogni tenant
+  const namespace = await resolveRowNamespace(row);
+  if (!namespace) {
+    log("WARN", "webhook_user_tenant_missing", { eventId: event.eventId, type: event.type, rowId: userId });
+    return { outcome: "ignored", reason: "unknown_tenant" };
+  }
+
+  if (event.type === "DELETE") {
+    await withGraphSession(namespace, (session) =>
+      session.writeTransaction((tx) =>
+        tx.run(
+          `
+          MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: $userId})
+          OPTIONAL MATCH (p)--(n)
+          WITH collect(DISTINCT p) AS persons, collect(DISTINCT n) AS neighbours
+          FOREACH (p IN persons | DETACH DELETE p)
+          WITH neighbours
+          UNWIND neighbours AS n
+          WITH n
+          WHERE NOT (n)--() AND NOT coalesce(n.leaving, false)
+          DELETE n
+          `,
+          { ...namespace, userId }
+        )
+      )
+    );
+    return { outcome: "applied" };
+  }
+
+  const fullName = asNonEmptyString(row?.full_name);
+  if (!fullName) return { outcome: "ignored", reason: "no_graph_fields" };
+  await withGraphSession(namespace, (session) =>
+    session.writeTransaction((tx) =>
+      tx.run(
+        `
+        MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId, user_id: $userId})
+        SET p.full_name = $fullName
+        `,
+        { ...namespace, userId, fullName }
+      )
+    )
+  );
+  return { outcome: "applied" };
+}
+
+async function applyWebhookEvent(event) {
+  // positions/users appena creati non hanno ancora candidature: nulla da proiettare
+  if (event.type === "INSERT" && event.table !== "applications") {
+    return { outcome: "ignored", reason: "no_applications_yet" };
+  }
+  if (event.table === "applications" && event.type === "INSERT") {
+    const rejected = await enforceApplicationCreationRules(event.record);
+    if (rejected) return rejected;
+  }
+  // lo store in memoria si ricostruisce solo con /build-graph
+  if (!graphStore.supportsOperation("webhook_projection")) {
+    return { outcome: "ignored", reason: "graph_store_unsupported" };
+  }
+  await ensureNeo4jReady(2);
+  await refreshTenantDatabases();
+  // i nodi del tenant stanno cambiando database: l'evento va in dead-letter e si riprova dopo
+  const row = event.type === "DELETE" ? event.oldRecord : event.record;
+  if (await isTenantFenced(asIdString(row?.company_id))) {
+    throw new Error("Tenant graph database provisioning in progress");
+  }
+  if (event.table === "applications") return applyApplicationChange(event);
+  if (event.table === "positions") return applyPositionChange(event);
+  return applyUserChange(event);
+}
+
+async function processWebhookEvent(event) {
+  setCurrentOperation(`webhook_${event.table}`);
+  try {
+    const result = await applyWebhookEvent(event);
+    recordWebhookRowVersion(event);
+    rememberBounded(processedWebhookEvents, event.eventId, Date.now());
+    dropDeadLetter(event.eventId);
+    log("INFO", "webhook_applied", {
+      eventId: event.eventId,
+      table: event.table,
+      type: event.type,
+      rowId: event.rowId,
+      ...result,
+    });
+    return result;
+  } catch (err) {
+    pushDeadLetter(event, err);
+    log("ERROR", "webhook_dead_lettered", {
+      eventId: event.eventId,
+      table: event.table,
+      type: event.type,
+      rowId: event.rowId,
+      message: err?.message || "Unknown error",
+    });
+    return { outcome: "dead_lettered", message: err?.message || "Unknown error" };
+  }
+}
+
+app.post("/webhooks/supabase", auditTrail("webhook_apply"), async (req, res) => {
+  if (!SUPABASE_WEBHOOK_SECRET) {
+    return res.status(503).json({
+      status: "ERROR",
+      code: "WEBHOOK_DISABLED",
+      message: "SUPABASE_WEBHOOK_SECRET is not configured",
+    });
+  }
+  if (!verifyWebhookSignature(req)) {
+    recordAuthFailure("webhook_signature");
+    log("WARN", "webhook_invalid_signature", { ip: req.ip });
+    return res.status(401).json({
+      status: "ERROR",
+      code: "INVALID_SIGNATURE",
+      message: "Invalid or missing x-webhook-signature",
+    });
+  }
+
+  const event = normalizeWebhookEvent(req);
+  if (!event) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_WEBHOOK_PAYLOAD",
+      message: "Expected { type: INSERT|UPDATE|DELETE, table, record/old_record with id }",
+    });
+  }
+
+  // niente utente autenticato: tenant e riga toccata si prendono dall'evento
+  const row = event.record ?? event.oldRecord;
+  res.locals.audit = {
+    authMode: "webhook",
+    companyId: asIdString(row?.company_id),
+    perimeterId: asIdString(row?.perimeter_id),
+    campaignId: asIdString(row?.campaign_id),
+  };
+  const reply = (outcome, extra = {}) => {
+    res.locals.audit.affected = { table: event.table, type: event.type, rowId: event.rowId, outcome };
+    return res.status(outcome === "dead_lettered" ? 202 : 200).json({
+      status: outcome === "dead_lettered" ? "ACCEPTED" : "OK",
+      eventId: event.eventId,
+      outcome,
+      ...extra,
+    });
+  };
+
+  if (processedWebhookEvents.has(event.eventId)) return reply("duplicate");
+  if (event.table === "app_role_assignments") {
+    // ruoli cambiati direttamente in Supabase: niente grafo, si scarta la cache ruoli
+    const userIds = [event.record?.user_id, event.oldRecord?.user_id].map(asIdString).filter(Boolean);
+    if (userIds.length) userIds.forEach((userId) => invalidateRoleCache(userId));
+    else invalidateRoleCache();
+    rememberBounded(processedWebhookEvents, event.eventId, Date.now());
+    return reply("applied", { reason: "role_cache_invalidated" });
+  }
+  if (!WEBHOOK_TABLES.has(event.table)) {
+    rememberBounded(processedWebhookEvents, event.eventId, Date.now());
+    return reply("ignored", { reason: "unsupported_table" });
+  }
+  if (isStaleWebhookEvent(event)) {
+    rememberBounded(processedWebhookEvents, event.eventId, Date.now());
+    log("INFO", "webhook_stale", { eventId: event.eventId, table: event.table, rowId: event.rowId });
+    return reply("stale");
+  }
+
+  const { outcome, ...rest } = await processWebhookEvent(event);
+  return reply(outcome, rest);
+});
+
+app.get("/webhooks/supabase/dead-letters", requireAdmin, (req, res) => {
+  // i dead-letter sono di tutti i tenant
+  if (!requireSuperAdmin(req, res)) return;
+  res.json({
+    status: "OK",
+    count: webhookDeadLetters.length,
+    deadLetters: webhookDeadLetters.slice().reverse(),
+  });
+});
+
+app.post("/webhooks/supabase/dead-letters/:id/retry", requireAdmin, auditTrail("webhook_dead_letter_retry"), async (req, res) => {
+  if (!requireSuperAdmin(req, res)) return;
+  const entry = webhookDeadLetters.find((d) => d.id === req.params.id);
+  if (!entry) {
+    return res.status(404).json({
+      status: "ERROR",
+      code: "DEAD_LETTER_NOT_FOUND",
+      message: "Dead letter not found",
+    });
+  }
+  if (isStaleWebhookEvent(entry.event)) {
+    dropDeadLetter(entry.event.eventId);
+    return res.json({ status: "OK", eventId: entry.event.eventId, outcome: "stale" });
+  }
+  const { outcome, ...rest } = await processWebhookEvent(entry.event);
+  res.status(outcome === "dead_lettered" ? 502 : 200).json({
+    status: outcome === "dead_lettered" ? "ERROR" : "OK",
+    eventId: entry.event.eventId,
+    outcome,
+    ...rest,
+  });
+});
+
+/* ----------------------------------
+   Native cycle engine (APOC-free)
+   -> adiacenza letta da Neo4j, cicli enumerati in-process con Johnson
+---------------------------------- */
+const NATIVE_DEFAULT_LIMIT = 500;
+const NATIVE_MAX_LIMIT = 5000;
+const NATIVE_DEFAULT_TIME_BUDGET_MS = 10000;
+const NATIVE_MAX_TIME_BUDGET_MS = 60000;
+const CHAIN_ENGINES = new Set(["cypher", "native"]);
+const ENUMERATION_PAUSE = Symbol("enumeration_pause");
+
+/**
+ * Archi persona->persona della campagna (nel position model l'arco passa per la
+ * Position occupata dal target e la riporta in `position`). Le persone in uscita
+ * non possono far parte di un ciclo e vengono escluse.
+ */
+async function fetchCampaignAdjacency(session, namespace, campaignId, model = "person") {
+  const cypher = model === "position"
+    ? `
+      MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+            -[r:APPLIES_TO {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+            (pos:Position {company_id: $companyId, perimeter_id: $perimeterId})
+            <-[:OCCUPIES]-(b:Person {company_id: $companyId, perimeter_id: $perimeterId})
+      WHERE a <> b
+        AND NOT coalesce(a.leaving, false)
+        AND NOT coalesce(b.leaving, false)
+      RETURN coalesce(a.user_id, a.id) AS from,
+             coalesce(a.full_name, a.id) AS fromName,
+             coalesce(b.user_id, b.id) AS to,
+             coalesce(b.full_name, b.id) AS toName,
+             r.priority AS priority,
+             pos.position_id AS positionId,
+             pos.title AS positionTitle
+      `
+    : `
+      MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+            -[r:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+            (b:Person {company_id: $companyId, perimeter_id: $perimeterId})
+      WHERE NOT coalesce(a.leaving, false)
+        AND NOT coalesce(b.leaving, false)
+      RETURN coalesce(a.user_id, a.id) AS from,
+             coalesce(a.full_name, a.id) AS fromName,
+             coalesce(b.user_id, b.id) AS to,
+             coalesce(b.full_name, b.id) AS toName,
+             r.priority AS priority,
+             null AS positionId,
+             null AS positionTitle
+      `;
+  const result = await session.run(cypher, { ...namespace, campaignId });
+
+  const names = new Map();
+  const edges = result.records.map((rec) => {
+    names.set(rec.get("from"), rec.get("fromName"));
+    names.set(rec.get("to"), rec.get("toName"));
+    const positionId = rec.get("positionId");
+    return {
+      from: rec.get("from"),
+      to: rec.get("to"),
+      priority: toNumberOrNull(rec.get("priority")),
+      ...(positionId ? { position: { id: positionId, title: rec.get("positionTitle") } } : {}),
+    };
+  });
+  return createAdjacency(names, edges);
+}
+
+/**
+ * Grafo in forma canonica: vertici ordinati per id, archi uscenti ordinati per
+ * (target, posizione) così che l'enumerazione sia deterministica tra richieste.
+ */
+function createAdjacency(names, edges) {
+  const vertices = [...names.keys()].sort();
+  const index = new Map(vertices.map((id, i) => [id, i]));
+  const out = vertices.map(() => []);
+  const sorted = edges
+    .filter((e) => e.from !== e.to)
+    .sort(
+      (a, b) =>
+        a.from.localeCompare(b.from) ||
+        a.to.localeCompare(b.to) ||
+        (a.position?.id ?? "").localeCompare(b.position?.id ?? "")
+    );
+  for (const edge of sorted) out[index.get(edge.from)].push({ ...edge, toIndex: index.get(edge.to) });
+  const fingerprint = crypto
+    .createHash("sha1")
+    .update(sorted.map((e) => `${e.from}>${e.to}>${e.position?.id ?? ""}>${e.priority ?? ""}`).join("\n"))
+    .digest("hex")
+    .slice(0, 16);
+  return { vertices, index, names, out, edgeCount: sorted.length, fingerprint };
+}
+
+/**
+ * Tarjan iterativo. `allowed(i)` restringe il sottografo indotto.
+ * Ritorna un array di componenti (array di indici di vertice).
+ */
+function stronglyConnectedComponents(graph, allowed = () => true) {
+  const n = graph.vertices.length;
+  const order = new Array(n).fill(-1);
+  const low = new Array(n).fill(0);
+  const onStack = new Array(n).fill(false);
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (let root = 0; root < n; root++) {
+    if (!allowed(root) || order[root] !== -1) continue;
+    const work = [[root, 0]];
+    order[root] = low[root] = counter++;
+    stack.push(root);
+    onStack[root] = true;
+    while (work.length) {
+      const frame = work[work.length - 1];
+      const [v, i] = frame;
+      const edges = graph.out[v];
+      if (i < edges.length) {
+        frame[1]++;
+        const w = edges[i].toIndex;
+        if (!allowed(w)) continue;
+        if (order[w] === -1) {
+          order[w] = low[w] = counter++;
+          stack.push(w);
+          onStack[w] = true;
+          work.push([w, 0]);
+        } else if (onStack[w]) {
+          low[v] = Math.min(low[v], order[w]);
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1][0];
+        low[parent] = Math.min(low[parent], low[v]);
+      }
+      if (low[v] === order[v]) {
+        const component = [];
+        let w;
+        do {
+          w = stack.pop();
+          onStack[w] = false;
+          component.push(w);
+        } while (w !== v);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+/**
+ * Johnson (1975) con limite di lunghezza. Ogni ciclo elementare viene prodotto una
+ * sola volta, ruotato in modo che inizi dal vertice con id minimo.
+ * Con il limite di lunghezza un taglio per profondità conta come "trovato" ai fini
+ * dello sblocco: altrimenti un vertice resterebbe bloccato pur potendo chiudere un
+ * ciclo più corto da un'altra strada.
+ *
+ * Yields { start, ordinal, edges } dove (start, ordinal) identificano la posizione
+ * nell'enumerazione (usata dal cursore). `shouldStop()` interrompe la ricerca;
+ * `progress` riporta il punto raggiunto per poter riprendere da lì.
+ * Quando `shouldPause()` è vero produce ENUMERATION_PAUSE: il chiamante cede l'event loop e riprende.
+ */
+function* enumerateCycles(
+  graph,
+  { maxLen, fromStart = 0, shouldStop = () => false, shouldPause = () => false, progress = {} }
+) {
+  const n = graph.vertices.length;
+  for (let s = fromStart; s < n; s++) {
+    if (shouldPause()) yield ENUMERATION_PAUSE;
+    progress.start = s;
+    progress.ordinal = 0;
+    const component = stronglyConnectedComponents(graph, (i) => i >= s).find((c) => c.includes(s));
+    if (!component || component.length < 2) continue;
+    const inComponent = new Set(component);
+    const blocked = new Set();
+    const blockedBy = new Map();
+    const path = [];
+    let ordinal = 0;
+    let steps = 0;
+    let stopped = false;
+
+    const unblock = (u) => {
+      blocked.delete(u);
+      const waiting = blockedBy.get(u);
+      if (!waiting) return;
+      blockedBy.delete(u);
+      for (const w of waiting) if (blocked.has(w)) unblock(w);
+    };
+
+    function* circuit(v) {
+      let found = false;
+      blocked.add(v);
+      for (const edge of graph.out[v]) {
+        if ((++steps & 1023) === 0) {
+          if (shouldStop()) stopped = true;
+          else if (shouldPause()) yield ENUMERATION_PAUSE;
+        }
+        if (stopped) return true;
+        const w = edge.toIndex;
+        if (!inComponent.has(w)) continue;
+        if (w === s) {
+          progress.ordinal = ordinal + 1;
+          yield { start: s, ordinal: ordinal++, edges: [...path, edge] };
+          found = true;
+        } else if (!blocked.has(w)) {
+          if (path.length + 2 <= maxLen) {
+            path.push(edge);
+            if (yield* circuit(w)) found = true;
+            path.pop();
+          } else {
+            found = true;
+          }
+        }
+      }
+      if (found) {
+        unblock(v);
+      } else {
+        for (const edge of graph.out[v]) {
+          if (!inComponent.has(edge.toIndex)) continue;
+          if (!blockedBy.has(edge.toIndex)) blockedBy.set(edge.toIndex, new Set());
+          blockedBy.get(edge.toIndex).add(v);
+        }
+      }
+      return found;
+    }
+
+    yield* circuit(s);
+    if (stopped) return;
+  }
+}
+
+function cycleToChain(graph, edges) {
+  const users = edges.map((e) => e.from);
+  const priorities = edges.map((e) => e.priority);
+  const avgPriority = priorities.some((p) => p === null)
+    ? null
+    : Math.round((priorities.reduce((t, p) => t + p, 0) / priorities.length) * 100) / 100;
+  return {
+    users,
+    peopleNames: users.map((u) => graph.names.get(u) ?? u),
+    ...(edges[0]?.position ? { positions: edges.map((e) => e.position) } : {}),
+    length: users.length,
+    avgPriority,
+    priorities,
+  };
+}
+
+function encodeChainCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeChainCursor(raw) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (!Number.isInteger(cursor?.s) || !Number.isInteger(cursor?.k) || typeof cursor?.g !== "string") {
+      return null;
+    }
+    return cursor;
+  } catch {
+    return null;
+  }
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = Number(value ?? fallback);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, Math.floor(n))) : fallback;
+}
+
+/**
+ * Una pagina dell'enumerazione nativa. Il cursore contiene il vertice di partenza
+ * corrente, quanti cicli di quella partenza sono già stati restituiti e l'impronta
+ * del grafo (se il grafo cambia il cursore non è più valido).
+ */
+async function enumerateChainPage(graph, { maxLen, limit, timeBudgetMs, cursor = null, isCancelled = () => false }) {
+  const startedAt = Date.now();
+  const deadline = startedAt + timeBudgetMs;
+  const chains = [];
+  const progress = {};
+  let timedOut = false;
+  let truncatedReason = null;
+  let next = null;
+  let skip = cursor?.k ?? 0;
+  let currentStart = cursor?.s ?? 0;
+
+  const slicer = createTimeSlicer();
+  const iterator = enumerateCycles(graph, {
+    maxLen,
+    fromStart: cursor?.s ?? 0,
+    progress,
+    shouldStop: () => (timedOut = timedOut || Date.now() > deadline || isCancelled()),
+    shouldPause: slicer.due,
+  });
+  for (const cycle of iterator) {
+    if (cycle === ENUMERATION_PAUSE) {
+      await slicer.pause();
+      continue;
+    }
+    if (cycle.start !== currentStart) {
+      currentStart = cycle.start;
+      skip = 0;
+    }
+    if (cycle.ordinal < skip) continue;
+    if (chains.length >= limit) {
+      truncatedReason = "page_limit";
+      next = { s: cycle.start, k: cycle.ordinal };
+      break;
+    }
+    const chain = cycleToChain(graph, cycle.edges);
+    // job-sharing: due mosse verso la stessa posizione non sono realizzabili insieme
+    if (chain.positions && new Set(chain.positions.map((p) => p.id)).size !== chain.positions.length) {
+      continue;
+    }
+    chains.push(chain);
+    if (Date.now() > deadline) timedOut = true;
+    if (timedOut) break;
+  }
+  if (!truncatedReason && timedOut) {
+    truncatedReason = "time_budget";
+    const resumeAt = progress.start ?? currentStart;
+    next = {
+      s: resumeAt,
+      k: resumeAt === (cursor?.s ?? -1) ? Math.max(progress.ordinal ?? 0, skip) : progress.ordinal ?? 0,
+    };
+  }
+
+  return {
+    chains,
+    truncated: !!truncatedReason,
+    truncatedReason,
+    nextCursor: truncatedReason ? encodeChainCursor({ ...next, g: graph.fingerprint, m: maxLen }) : null,
+    stats: {
+      vertices: graph.vertices.length,
+      edges: graph.edgeCount,
+      elapsedMs: Date.now() - startedAt,
+    },
+  };
+}
+
+/* ----------------------------------
+   Chain rules (per company)
+   -> vincoli di business sulle chain, in Supabase (chain_rule_configs.rules,
+      supabase/migrations/*_chain_rule_configs.sql):
+      edgeRules sugli attributi della candidatura (attr_* sull'arco), chainRules sull'intera chain
+   -> /graph/chains e /graph/chains/optimal leggono le regole a ogni richiesta: senza config le chain
+      escono senza filtro (rules.applied=false, reason not_configured); se Supabase non risponde
+      la richiesta fallisce con 503 CHAIN_RULES_UNAVAILABLE, mai chain che le regole escluderebbero.
+      CHAIN_RULES_REQUIRED=false (default con GRAPH_STORE=memory, per lo sviluppo senza servizi esterni)
+      restituisce invece le chain senza filtro con reason rules_unavailable
+---------------------------------- */
+const CHAIN_RULES_REQUIRED = process.env.CHAIN_RULES_REQUIRED
+  ? process.env.CHAIN_RULES_REQUIRED !== "false"
+  : GRAPH_STORE !== "memory";
+const EDGE_RULE_OPS = new Set(["equals", "not_equals", "in", "not_in", "max", "min"]);
+const DEFAULT_CROSS_DEPARTMENT_ATTRIBUTE = "cross_department";
+const CHAIN_RULES_EXPLAIN_MAX = 200;
+
+/**
+ * Valida e normalizza la configurazione. Formato:
+ * {
+ *   edgeRules: [{ id, attribute, op, value, unless?: { attribute, equals }, onMissing?: "allow"|"deny" }],
+ *   chainRules: { maxLength?, maxCrossDepartmentMoves?, crossDepartmentAttribute?, minPriority? }
+ * }
+ * minPriority: ogni mossa deve avere priorità <= minPriority (1 = prima scelta).
+ * Ritorna { rules } oppure { errors: [...] }.
+ */
+function validateChainRules(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { errors: ["rules must be an object"] };
+  }
+  const isAttribute = (v) => typeof v === "string" && /^[A-Za-z_][A-Za-z0-9_]*$/.test(v);
+
+  const edgeRules = [];
+  const ids = new Set();
+  (Array.isArray(raw.edgeRules) ? raw.edgeRules : []).forEach((rule, i) => {
+    const where = `edgeRules[${i}]`;
+    const id = asNonEmptyString(rule?.id) ?? `edge_rule_${i + 1}`;
+    if (ids.has(id)) errors.push(`${where}.id "${id}" is duplicated`);
+    ids.add(id);
+    if (!isAttribute(rule?.attribute)) errors.push(`${where}.attribute must be an identifier`);
+    if (!EDGE_RULE_OPS.has(rule?.op)) errors.push(`${where}.op must be one of: ${[...EDGE_RULE_OPS].join(", ")}`);
+    if ((rule?.op === "in" || rule?.op === "not_in") && !Array.isArray(rule?.value)) {
+      errors.push(`${where}.value must be an array for op ${rule.op}`);
+    }
+    if ((rule?.op === "max" || rule?.op === "min") && !Number.isFinite(rule?.value)) {
+      errors.push(`${where}.value must be a number for op ${rule.op}`);
+    }
+    if (rule?.unless !== undefined && !isAttribute(rule?.unless?.attribute)) {
+      errors.push(`${where}.unless.attribute must be an identifier`);
+    }
+    if (rule?.onMissing !== undefined && !["allow", "deny"].includes(rule.onMissing)) {
+      errors.push(`${where}.onMissing must be allow or deny`);
+    }
+    edgeRules.push({
+      id,
+      attribute: rule?.attribute,
+      op: rule?.op,
+      value: rule?.value ?? null,
+      ...(rule?.unless ? { unless: { attribute: rule.unless.attribute, equals: rule.unless.equals ?? true } } : {}),
+      onMissing: rule?.onMissing ?? "allow",
+      ...(asNonEmptyString(rule?.description) ? { description: rule.description.trim() } : {}),
+    });
+  });
+
+  const rawChain = raw.chainRules ?? {};
+  const chainRules = {};
+  const positiveInt = (key, min) => {
+    if (rawChain[key] === undefined || rawChain[key] === null) return;
+    if (!Number.isInteger(rawChain[key]) || rawChain[key] < min) {
+      errors.push(`chainRules.${key} must be an integer >= ${min}`);
+      return;
+    }
+    chainRules[key] = rawChain[key];
+  };
+  positiveInt("maxLength", 2);
+  positiveInt("maxCrossDepartmentMoves", 0);
+  if (rawChain.minPriority !== undefined && rawChain.minPriority !== null) {
+    if (!Number.isFinite(rawChain.minPriority) || rawChain.minPriority <= 0) {
+      errors.push("chainRules.minPriority must be a positive number");
+    } else {
+      chainRules.minPriority = rawChain.minPriority;
+    }
+  }
+  if (chainRules.maxCrossDepartmentMoves !== undefined) {
+    const attribute = rawChain.crossDepartmentAttribute ?? DEFAULT_CROSS_DEPARTMENT_ATTRIBUTE;
+    if (!isAttribute(attribute)) errors.push("chainRules.crossDepartmentAttribute must be an identifier");
+    chainRules.crossDepartmentAttribute = attribute;
+  }
+
+  return errors.length ? { errors } : { rules: { edgeRules, chainRules } };
+}
+
+class ChainRulesUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ChainRulesUnavailableError";
+  }
+}
+
+function rejectChainRulesUnavailable(res, err) {
+  return res.status(503).json({
+    status: "ERROR",
+    code: "CHAIN_RULES_UNAVAILABLE",
+    message: `Chain rules could not be loaded, retry later (${err.message})`,
+  });
+}
+
+async function loadChainRules(companyId) {
+  const { data, error } = await supabaseAdmin
+    .from("chain_rule_configs")
+    .select("rules, updated_at")
+    .eq("company_id", companyId)
+    .maybeSingle();
+  if (error) throw new ChainRulesUnavailableError(`chain_rule_configs: ${error.message}`);
+  if (!data?.rules) return null;
+  // una config salvata è già stata validata; se è stata toccata a mano e non è valida si ignora
+  const { rules, errors } = validateChainRules(data.rules);
+  if (errors) {
+    log("WARN", "chain_rules_invalid", { companyId, errors });
+    return null;
+  }
+  return { ...rules, updatedAt: data.updated_at ?? null };
+}
+
+function chainRulesNeedAttributes(rules) {
+  return rules.edgeRules.length > 0 || rules.chainRules.maxCrossDepartmentMoves !== undefined;
+}
+
+/**
+ * Indice degli attributi degli archi della campagna: "from>target" -> { attr_* }.
+ * target: user id / "vacancy:<id>" sul person model, "position:<id>" sul position model.
+ */
+async function loadEdgeAttributeIndex(session, namespace, campaignId, model) {
+  const result = await session.run(
+    model === "position"
+      ? `
+        MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+              -[r:APPLIES_TO {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+              (pos:Position {company_id: $companyId, perimeter_id: $perimeterId})
+        RETURN a.user_id AS from, 'position:' + pos.position_id AS target, properties(r) AS props
+        `
+      : `
+        MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+              -[r:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+              (b)
+        WHERE b.company_id = $companyId AND b.perimeter_id = $perimeterId
+        RETURN a.user_id AS from,
+               CASE WHEN b:Vacancy THEN 'vacancy:' + b.position_id ELSE b.user_id END AS target,
+               properties(r) AS props
+        `,
+    { ...namespace, campaignId }
+  );
+  return new Map(
+    result.records.map((rec) => [
+      `${rec.get("from")}>${rec.get("target")}`,
+      edgeAttributesFromProperties(rec.get("props")),
+    ])
+  );
+}
+
+// Le mosse di una chain come chiavi dell'indice attributi, in ordine di users
+function chainMoveKeys(chain) {
+  return chain.users.map((userId, i) => {
+    if (chain.positions?.[i]) return `${userId}>position:${chain.positions[i].id}`;
+    if (!chain.origin) return `${userId}>${chain.users[(i + 1) % chain.users.length]}`;
+    if (i > 0) return `${userId}>${chain.users[i - 1]}`;
+    return chain.origin.type === "vacancy"
+      ? `${userId}>vacancy:${chain.origin.positionId}`
+      : `${userId}>${chain.origin.userId}`;
+  });
+}
+
+function edgeRulePasses(rule, attrs) {
+  if (rule.unless && attrs[`attr_${rule.unless.attribute}`] === rule.unless.equals) return true;
+  const value = attrs[`attr_${rule.attribute}`];
+  if (value === undefined || value === null) return rule.onMissing !== "deny";
+  switch (rule.op) {
+    case "equals": return value === rule.value;
+    case "not_equals": return value !== rule.value;
+    case "in": return rule.value.includes(value);
+    case "not_in": return !rule.value.includes(value);
+    case "max": return Number(value) <= rule.value;
+    case "min": return Number(value) >= rule.value;
+    default: return true;
+  }
+}
+
+/**
+ * Ritorna le violazioni della chain (vuoto = ammessa).
+ * Ogni violazione: { rule, kind: "edge"|"chain", step?, userId?, message }.
+ */
+function evaluateChainRules(chain, rules, attributeIndex) {
+  const violations = [];
+  const { chainRules } = rules;
+  if (chainRules.maxLength !== undefined && chain.length > chainRules.maxLength) {
+    violations.push({
+      rule: "maxLength",
+      kind: "chain",
+      message: `chain length ${chain.length} exceeds ${chainRules.maxLength}`,
+    });
+  }
+  if (chainRules.minPriority !== undefined) {
+    const step = chain.priorities.findIndex((p) => p === null || p > chainRules.minPriority);
+    if (step >= 0) {
+      violations.push({
+        rule: "minPriority",
+        kind: "chain",
+        step,
+        userId: chain.users[step],
+        message: `move priority ${chain.priorities[step]} is worse than ${chainRules.minPriority}`,
+      });
+    }
+  }
+
+  if (!attributeIndex) return violations;
+  const moves = chainMoveKeys(chain).map((key) => attributeIndex.get(key) ?? {});
+  for (const rule of rules.edgeRules) {
+    const step = moves.findIndex((attrs) => !edgeRulePasses(rule, attrs));
+    if (step >= 0) {
+      violations.push({
+        rule: rule.id,
+        kind: "edge",
+        step,
+        userId: chain.users[step],
+        message: rule.description ?? `${rule.attribute} ${rule.op} ${JSON.stringify(rule.value)} not satisfied`,
+      });
+    }
+  }
+  if (chainRules.maxCrossDepartmentMoves !== undefined) {
+    const attribute = `attr_${chainRules.crossDepartmentAttribute}`;
+    const crossMoves = moves.filter((attrs) => attrs[attribute] === true).length;
+    if (crossMoves > chainRules.maxCrossDepartmentMoves) {
+      violations.push({
+        rule: "maxCrossDepartmentMoves",
+        kind: "chain",
+        message: `${crossMoves} cross-department moves exceed ${chainRules.maxCrossDepartmentMoves}`,
+      });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Applica le regole della company a una lista di chain (con priorities).
+ * Ritorna { chains, rules: { applied, excluded, explain? } }.
+ */
+async function applyChainRules(session, namespace, campaignId, chains, { model, explain }) {
+  let rules;
+  try {
+    rules = await loadChainRules(namespace.companyId);
+  } catch (err) {
+    if (CHAIN_RULES_REQUIRED || !(err instanceof ChainRulesUnavailableError)) throw err;
+    log("WARN", "chain_rules_unavailable", { companyId: namespace.companyId, message: err.message });
+    return { chains, rules: { applied: false, excluded: 0, reason: "rules_unavailable" } };
+  }
+  if (!rules) return { chains, rules: { applied: false, excluded: 0, reason: "not_configured" } };
+
+  const attributeIndex = chainRulesNeedAttributes(rules)
+    ? await graphStore.loadEdgeAttributeIndex(session, namespace, campaignId, model)
+    : null;
+  const kept = [];
+  const excluded = [];
+  for (const chain of chains) {
+    const violations = evaluateChainRules(chain, rules, attributeIndex);
+    if (violations.length) excluded.push({ chain, violations });
+    else kept.push(chain);
+  }
+  return {
+    chains: kept,
+    rules: {
+      applied: true,
+      updatedAt: rules.updatedAt,
+      excluded: excluded.length,
+      ...(explain
+        ? {
+          explain: excluded.slice(0, CHAIN_RULES_EXPLAIN_MAX).map(({ chain: { priorities, ...rest }, violations }) => ({
+            chain: rest,
+            violations,
+          })),
+        }
+        : {}),
+    },
+  };
+}
+
+app.get("/graph/chain-rules", requireAdmin, async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+
+  try {
+    const rules = await loadChainRules(scope.companyId);
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      rules: rules ?? { edgeRules: [], chainRules: {} },
+      configured: !!rules,
+    });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  }
+});
+
+app.put("/graph/chain-rules", requireAdmin, auditTrail("chain_rules_update"), async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const { rules, errors } = validateChainRules(req.body?.rules);
+  if (errors) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_CHAIN_RULES",
+      message: "Invalid chain rules",
+      details: errors.map((message) => ({ in: "body", field: "rules", message })),
+    });
+  }
+
+  try {
+    const { error } = await supabaseAdmin
+      .from("chain_rule_configs")
+      .upsert(
+        { company_id: scope.companyId, rules, updated_at: new Date().toISOString() },
+        { onConflict: "company_id" }
+      );
+    if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+
+    log("INFO", "chain_rules_updated", {
+      companyId: scope.companyId,
+      edgeRules: rules.edgeRules.length,
+      chainRules: Object.keys(rules.chainRules),
+    });
+    res.json({ status: "OK", companyId: scope.companyId, rules, configured: true });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  }
+});
+
+/* ----------------------------------
+   Chains (Admin only)
+---------------------------------- */
+const CHAIN_MIN_LEN = 2;
+const CHAIN_MAX_LEN = 15;
+const CHAIN_DEFAULT_MAX_LEN = 10;
+
+// fuori da [CHAIN_MIN_LEN, CHAIN_MAX_LEN] la richiesta è già stata respinta dal contratto OpenAPI
+function resolveMaxLen(req) {
+  return req.body?.maxLen ?? CHAIN_DEFAULT_MAX_LEN;
+}
+
+/* Guardie di costo: stima dai gradi prima del MATCH a lunghezza variabile, timeout di transazione */
+const CHAIN_QUERY_MAX_ESTIMATED_PATHS = clampInt(
+  process.env.CHAIN_QUERY_MAX_ESTIMATED_PATHS,
+  2000000,
+  1000,
+  Number.MAX_SAFE_INTEGER
+);
+const NEO4J_QUERY_TIMEOUT_MS = clampInt(process.env.NEO4J_QUERY_TIMEOUT_MS, 30000, 1000, 600000);
+const CHAIN_QUERY_TX_CONFIG = { timeout: NEO4J_QUERY_TIMEOUT_MS };
+
+async function fetchDegreeStats(session, namespace, campaignId, model = "person") {
+  const cypher = model === "position"
+    ? `
+      MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId})
+      WHERE NOT coalesce(p.leaving, false)
+      WITH p,
+           COUNT {
+             (p)-[:APPLIES_TO {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+             (:Position {company_id: $companyId, perimeter_id: $perimeterId})
+           } AS outDeg,
+           COUNT {
+             (p)-[:OCCUPIES]->(:Position {company_id: $companyId, perimeter_id: $perimeterId})
+             <-[:APPLIES_TO {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]-(:Person)
+           } AS inDeg
+      RETURN count(p) AS nodes, sum(outDeg) AS edges, sum(outDeg * inDeg) AS inOut, max(outDeg) AS maxOut
+      `
+    : `
+      MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId})
+      WHERE NOT coalesce(p.leaving, false)
+      WITH p,
+           COUNT { (p)-[:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->() } AS outDeg,
+           COUNT { (p)<-[:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]-(:Person) } AS inDeg
+      RETURN count(p) AS nodes, sum(outDeg) AS edges, sum(outDeg * inDeg) AS inOut, max(outDeg) AS maxOut
+      `;
+  const result = await session.run(cypher, { ...namespace, campaignId }, CHAIN_QUERY_TX_CONFIG);
+  const rec = result.records[0];
+  return {
+    nodes: toNumberOrNull(rec?.get("nodes")) ?? 0,
+    edges: toNumberOrNull(rec?.get("edges")) ?? 0,
+    inOut: toNumberOrNull(rec?.get("inOut")) ?? 0,
+    maxOutDegree: toNumberOrNull(rec?.get("maxOut")) ?? 0,
+  };
+}
+
+/**
+ * Cammini che il MATCH espande fino a maxLen: m · b^(k-1) per lunghezza k, con
+ * b = Σ in(v)·out(v) / m (grado uscente medio del nodo raggiunto da un arco).
+ * Non è un conteggio esatto ma cresce come il costo reale della query.
+ */
+function estimatePathCount(stats, maxLen) {
+  if (!stats.edges) return 0;
+  const branching = stats.inOut / stats.edges;
+  let total = 0;
+  for (let k = 1; k <= maxLen; k += 1) total += stats.edges * branching ** (k - 1);
+  return Math.round(total);
+}
+
+function suggestSmallerMaxLen(stats, maxLen) {
+  for (let len = maxLen - 1; len >= 2; len -= 1) {
+    if (estimatePathCount(stats, len) <= CHAIN_QUERY_MAX_ESTIMATED_PATHS) return len;
+  }
+  return null;
+}
+
+async function guardChainQueryOrRespond(session, res, namespace, campaignId, { model, maxLen }) {
+  const stats = await graphStore.fetchDegreeStats(session, namespace, campaignId, model);
+  const estimatedPaths = estimatePathCount(stats, maxLen);
+  if (estimatedPaths <= CHAIN_QUERY_MAX_ESTIMATED_PATHS) return true;
+
+  log("WARN", "chain_query_rejected", { ...namespace, campaignId, maxLen, estimatedPaths });
+  res.status(413).json({
+    status: "ERROR",
+    code: "QUERY_TOO_EXPENSIVE",
+    message: `maxLen=${maxLen} is too expensive for this graph`,
+    reason: {
+      type: "estimated_paths",
+      maxLen,
+      estimatedPaths,
+      maxEstimatedPaths: CHAIN_QUERY_MAX_ESTIMATED_PATHS,
+      stats,
+    },
+    suggestedMaxLen: suggestSmallerMaxLen(stats, maxLen),
+  });
+  return false;
+}
+
+function isQueryTimeoutError(err) {
+  return /TransactionTimedOut/.test(err?.code ?? "");
+}
+
+function rejectQueryTimeout(res, maxLen) {
+  return res.status(413).json({
+    status: "ERROR",
+    code: "QUERY_TIMEOUT",
+    message: `The chains query exceeded ${NEO4J_QUERY_TIMEOUT_MS}ms`,
+    reason: { type: "transaction_timeout", maxLen, timeoutMs: NEO4J_QUERY_TIMEOUT_MS },
+    suggestedMaxLen: maxLen > 2 ? maxLen - 1 : null,
+  });
+}
+
+/**
+ * Enumera i cicli CANDIDATO_A della campagna (deduplicati per insieme di persone).
+ * Ogni chain porta anche `priorities` (una per mossa, nell'ordine di `users`)
+ * per chi deve calcolare punteggi; le route pubbliche lo rimuovono.
+ */
+async function findChains(session, namespace, campaignId, maxLen) {
+  const cypher = `
+    MATCH path = (n:Person)-[rels:CANDIDATO_A*2..${maxLen}]->(n)
+    WHERE n.company_id = $companyId
+      AND n.perimeter_id = $perimeterId
+    WITH path, nodes(path) AS ns, rels
+    WHERE size(ns[0..-1]) = size(apoc.coll.toSet(ns[0..-1]))
+      AND ALL(n IN ns WHERE n.company_id = $companyId AND n.perimeter_id = $perimeterId)
+      AND NONE(n IN ns WHERE coalesce(n.leaving, false))
+      AND ALL(r IN rels WHERE r.company_id = $companyId AND r.perimeter_id = $perimeterId AND r.campaign_id = $campaignId)
+    WITH
+      ns[0..-1] AS persons,
+      rels,
+      CASE
+        WHEN ANY(r IN rels WHERE r.priority IS NULL)
+        THEN null
+        ELSE round(
+          reduce(total = 0.0, r IN rels | total + toFloat(r.priority))
+          / size(rels)
+          * 100
+        ) / 100
+      END AS avgPriority
+    RETURN
+      [p IN persons | coalesce(p.user_id, p.id)] AS users,
+      [p IN persons | coalesce(p.full_name, p.id)] AS peopleNames,
+      [r IN rels | r.priority] AS priorities,
+      size(persons) AS length,
+      avgPriority
+  `;
+
+  const result = await session.run(cypher, { ...namespace, campaignId }, CHAIN_QUERY_TX_CONFIG);
+
+  const seen = new Set();
+  return result.records
+    .map((rec) => {
+      const users = rec.get("users");
+      return {
+        key: users.slice().sort().join("|"),
+        users,
+        peopleNames: rec.get("peopleNames"),
+        length: rec.get("length").toNumber(),
+        avgPriority: rec.get("avgPriority"),
+        priorities: rec.get("priorities").map(toNumberOrNull),
+      };
+    })
+    .filter((c) => {
+      if (seen.has(c.key)) return false;
+      seen.add(c.key);
+      return true;
+    })
+    .map(({ key, ...rest }) => rest);
+}
+
+/**
+ * Chain "domino": percorsi aciclici che partono da una vacancy (o dal posto di chi esce)
+ * e terminano con una persona il cui posto può restare scoperto / essere coperto dall'esterno.
+ * `users` è in ordine di mossa: users[0] prende il posto di origine, users[i] quello di users[i-1].
+ */
+async function findDominoChains(session, namespace, campaignId, maxLen) {
+  const cypher = `
+    MATCH path = (last:Person)-[rels:CANDIDATO_A*1..${maxLen}]->(origin)
+    WHERE last.company_id = $companyId
+      AND last.perimeter_id = $perimeterId
+      AND origin.company_id = $companyId
+      AND origin.perimeter_id = $perimeterId
+      AND (origin:Vacancy OR (origin:Person AND coalesce(origin.leaving, false)))
+      AND coalesce(last.backfillable, true)
+    WITH nodes(path) AS ns, rels, origin
+    WHERE ALL(i IN range(0, size(ns) - 2) WHERE NOT ns[i] IN ns[i + 1..])
+      AND ALL(p IN ns[0..-1] WHERE p:Person
+        AND p.company_id = $companyId
+        AND p.perimeter_id = $perimeterId
+        AND NOT coalesce(p.leaving, false))
+      AND ALL(r IN rels WHERE r.company_id = $companyId AND r.perimeter_id = $perimeterId AND r.campaign_id = $campaignId)
+    WITH
+      reverse(ns[0..-1]) AS movers,
+      reverse(rels) AS moves,
+      origin
+    RETURN
+      [p IN movers | coalesce(p.user_id, p.id)] AS users,
+      [p IN movers | coalesce(p.full_name, p.id)] AS peopleNames,
+      [r IN moves | r.priority] AS priorities,
+      size(movers) AS length,
+      CASE
+        WHEN ANY(r IN moves WHERE r.priority IS NULL)
+        THEN null
+        ELSE round(
+          reduce(total = 0.0, r IN moves | total + toFloat(r.priority))
+          / size(moves)
+          * 100
+        ) / 100
+      END AS avgPriority,
+      CASE
+        WHEN origin:Vacancy
+        THEN { type: "vacancy", positionId: origin.position_id, title: origin.title }
+        ELSE { type: "leaver", userId: coalesce(origin.user_id, origin.id), name: coalesce(origin.full_name, origin.id) }
+      END AS origin
+  `;
+
+  const result = await session.run(cypher, { ...namespace, campaignId }, CHAIN_QUERY_TX_CONFIG);
+
+  const seen = new Set();
+  return result.records
+    .map((rec) => {
+      const origin = rec.get("origin");
+      const users = rec.get("users");
+      return {
+        key: `${origin.type}:${origin.positionId ?? origin.userId}>${users.join(">")}`,
+        users,
+        peopleNames: rec.get("peopleNames"),
+        length: rec.get("length").toNumber(),
+        avgPriority: rec.get("avgPriority"),
+        priorities: rec.get("priorities").map(toNumberOrNull),
+        origin,
+      };
+    })
+    .filter((c) => {
+      if (seen.has(c.key)) return false;
+      seen.add(c.key);
+      return true;
+    })
+    .map(({ key, ...rest }) => rest);
+}
+
+/**
+ * Cicli sul position model: users[i] si sposta in positions[i], occupata da users[i+1].
+ * Usa i quantified path pattern (Neo4j >= 5.9); dedup per coppie persona->posizione.
+ */
+async function findPositionChains(session, namespace, campaignId, maxLen) {
+  const cypher = `
+    MATCH (n:Person {company_id: $companyId, perimeter_id: $perimeterId})
+          ((a:Person)-[ap:APPLIES_TO]->(pos:Position)<-[:OCCUPIES]-(b:Person)
+            WHERE ap.company_id = $companyId
+              AND ap.perimeter_id = $perimeterId
+              AND ap.campaign_id = $campaignId
+              AND pos.company_id = $companyId
+              AND pos.perimeter_id = $perimeterId
+              AND b.company_id = $companyId
+              AND b.perimeter_id = $perimeterId){2,${maxLen}}
+          (n)
+    WHERE ALL(i IN range(0, size(a) - 2) WHERE NOT a[i] IN a[i + 1..])
+      AND ALL(i IN range(0, size(pos) - 2) WHERE NOT pos[i] IN pos[i + 1..])
+      AND NONE(p IN a WHERE coalesce(p.leaving, false))
+    RETURN
+      [p IN a | coalesce(p.user_id, p.id)] AS users,
+      [p IN a | coalesce(p.full_name, p.id)] AS peopleNames,
+      [p IN pos | { id: p.position_id, title: p.title }] AS positions,
+      [r IN ap | r.priority] AS priorities,
+      size(a) AS length,
+      CASE
+        WHEN ANY(r IN ap WHERE r.priority IS NULL)
+        THEN null
+        ELSE round(
+          reduce(total = 0.0, r IN ap | total + toFloat(r.priority))
+          / size(ap)
+          * 100
+        ) / 100
+      END AS avgPriority
+  `;
+
+  const result = await session.run(cypher, { ...namespace, campaignId }, CHAIN_QUERY_TX_CONFIG);
+
+  const seen = new Set();
+  return result.records
+    .map((rec) => {
+      const users = rec.get("users");
+      const positions = rec.get("positions");
+      return {
+        key: users.map((u, i) => `${u}>${positions[i].id}`).sort().join("|"),
+        users,
+        peopleNames: rec.get("peopleNames"),
+        positions,
+        length: rec.get("length").toNumber(),
+        avgPriority: rec.get("avgPriority"),
+        priorities: rec.get("priorities").map(toNumberOrNull),
+      };
+    })
+    .filter((c) => {
+      if (seen.has(c.key)) return false;
+      seen.add(c.key);
+      return true;
+    })
+    .map(({ key, ...rest }) => rest);
+}
+
+/**
+ * Domino sul position model: l'origine è una Position senza occupanti
+ * (oppure occupata solo da persone in uscita).
+ */
+async function findPositionDominoChains(session, namespace, campaignId, maxLen) {
+  const cypher = `
+    MATCH (last:Person {company_id: $companyId, perimeter_id: $perimeterId})
+          ((a:Person)-[ap:APPLIES_TO]->(pos:Position)<-[:OCCUPIES]-(b:Person)
+            WHERE ap.company_id = $companyId
+              AND ap.perimeter_id = $perimeterId
+              AND ap.campaign_id = $campaignId
+              AND pos.company_id = $companyId
+              AND pos.perimeter_id = $perimeterId
+              AND b.company_id = $companyId
+              AND b.perimeter_id = $perimeterId){0,${maxLen - 1}}
+          (m:Person)-[fap:APPLIES_TO]->(origin:Position {company_id: $companyId, perimeter_id: $perimeterId})
+    WHERE fap.company_id = $companyId
+      AND fap.perimeter_id = $perimeterId
+      AND fap.campaign_id = $campaignId
+      AND coalesce(last.backfillable, true)
+      AND NOT EXISTS {
+        MATCH (origin)<-[:OCCUPIES]-(occ:Person)
+        WHERE NOT coalesce(occ.leaving, false)
+      }
+    WITH a + [m] AS chainPersons, pos, ap, fap, origin
+    WITH reverse(chainPersons) AS movers,
+         [origin] + reverse(pos) AS targets,
+         [fap] + reverse(ap) AS moves,
+         origin
+    WHERE ALL(i IN range(0, size(movers) - 2) WHERE NOT movers[i] IN movers[i + 1..])
+      AND ALL(i IN range(0, size(targets) - 2) WHERE NOT targets[i] IN targets[i + 1..])
+      AND NONE(p IN movers WHERE coalesce(p.leaving, false))
+    WITH movers, targets, moves, origin,
+         head([(origin)<-[:OCCUPIES]-(l:Person) | l]) AS leaver
+    RETURN
+      [p IN movers | coalesce(p.user_id, p.id)] AS users,
+      [p IN movers | coalesce(p.full_name, p.id)] AS peopleNames,
+      [p IN targets | { id: p.position_id, title: p.title }] AS positions,
+      [r IN moves | r.priority] AS priorities,
+      size(movers) AS length,
+      CASE
+        WHEN ANY(r IN moves WHERE r.priority IS NULL)
+        THEN null
+        ELSE round(
+          reduce(total = 0.0, r IN moves | total + toFloat(r.priority))
+          / size(moves)
+          * 100
+        ) / 100
+      END AS avgPriority,
+      CASE
+        WHEN leaver IS NULL
+        THEN { type: "vacancy", positionId: origin.position_id, title: origin.title }
+        ELSE {
+          type: "leaver",
+          userId: coalesce(leaver.user_id, leaver.id),
+          name: coalesce(leaver.full_name, leaver.id),
+          positionId: origin.position_id,
+          title: origin.title
+        }
+      END AS origin
+  `;
+
+  const result = await session.run(cypher, { ...namespace, campaignId }, CHAIN_QUERY_TX_CONFIG);
+
+  const seen = new Set();
+  return result.records
+    .map((rec) => {
+      const users = rec.get("users");
+      const positions = rec.get("positions");
+      return {
+        key: users.map((u, i) => `${u}>${positions[i].id}`).join("|"),
+        users,
+        peopleNames: rec.get("peopleNames"),
+        positions,
+        length: rec.get("length").toNumber(),
+        avgPriority: rec.get("avgPriority"),
+        priorities: rec.get("priorities").map(toNumberOrNull),
+        origin: rec.get("origin"),
+      };
+    })
+    .filter((c) => {
+      if (seen.has(c.key)) return false;
+      seen.add(c.key);
+      return true;
+    })
+    .map(({ key, ...rest }) => rest);
+}
+
+function listChains(session, namespace, campaignId, { mode = "cycles", model = "person", maxLen }) {
+  if (model === "position") {
+    return mode === "domino"
+      ? findPositionDominoChains(session, namespace, campaignId, maxLen)
+      : findPositionChains(session, namespace, campaignId, maxLen);
+  }
+  return mode === "domino"
+    ? findDominoChains(session, namespace, campaignId, maxLen)
+    : findChains(session, namespace, campaignId, maxLen);
+}
+
+const CHAIN_MODES = new Set(["cycles", "domino"]);
+
+app.post("/graph/chains", requireAdmin, readOnlyAccess, limitGraphConcurrency, withAsyncJob("graph_chains", async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const warm = await ensureNeo4jOrWaitResponse(res, "graph_chains", scope);
+  if (!warm) return;
+  const namespace = resolveGraphNamespace(scope);
+  const campaignId = resolveCampaignId(req);
+  if (!campaignId) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "CAMPAIGN_ID_REQUIRED",
+      message: "campaignId/campaign_id is required",
+    });
+  }
+  const mode = req.body?.mode ?? "cycles";
+  if (!CHAIN_MODES.has(mode)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_CHAIN_MODE",
+      message: `mode must be one of: ${[...CHAIN_MODES].join(", ")}`,
+    });
+  }
+  const model = getGraphModelOrRespond(req, res);
+  if (!model) return;
+  const engine = req.body?.engine ?? "cypher";
+  if (!CHAIN_ENGINES.has(engine)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_CHAIN_ENGINE",
+      message: `engine must be one of: ${[...CHAIN_ENGINES].join(", ")}`,
+    });
+  }
+  if (engine === "native" && mode !== "cycles") {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_CHAIN_ENGINE",
+      message: "engine=native supports only mode=cycles",
+    });
+  }
+  const maxLen = resolveMaxLen(req);
+  const explain = req.body?.explain === true || req.query?.explain === "true";
+  let cursor = null;
+  if (engine === "native" && req.body?.cursor != null) {
+    cursor = decodeChainCursor(req.body.cursor);
+    if (!cursor) {
+      return res.status(400).json({ status: "ERROR", code: "INVALID_CURSOR", message: "Invalid cursor" });
+    }
+  }
+  const session = graphStore.openSession(namespace);
+
+  try {
+    req.job?.reportProgress({ stage: "loading_graph" });
+    if (engine === "native") {
+      const graph = await graphStore.fetchCampaignAdjacency(session, namespace, campaignId, model);
+      if (cursor && (cursor.g !== graph.fingerprint || cursor.m !== maxLen)) {
+        return res.status(409).json({
+          status: "ERROR",
+          code: "CURSOR_STALE",
+          message: "The graph or maxLen changed since this cursor was issued, restart without cursor",
+        });
+      }
+      req.job?.reportProgress({ stage: "enumerating" });
+      const page = await enumerateChainPage(graph, {
+        maxLen,
+        cursor,
+        isCancelled: () => !!req.job?.cancelRequested,
+        limit: clampInt(req.body?.limit, NATIVE_DEFAULT_LIMIT, 1, NATIVE_MAX_LIMIT),
+        timeBudgetMs: clampInt(
+          req.body?.timeBudgetMs,
+          NATIVE_DEFAULT_TIME_BUDGET_MS,
+          100,
+          NATIVE_MAX_TIME_BUDGET_MS
+        ),
+      });
+      req.job?.throwIfCancelled();
+      // le regole filtrano la pagina già enumerata: il cursore resta quello del grafo completo
+      const ruled = await applyChainRules(session, namespace, campaignId, page.chains, { model, explain });
+      observeHistogram("graph_chains_found", { operation: "graph_chains", engine }, ruled.chains.length);
+      return res.json({
+        status: "OK",
+        companyId: scope.companyId,
+        perimeterId: scope.perimeterId,
+        campaignId,
+        engine,
+        ...(model === "position" ? { model } : {}),
+        chains: ruled.chains.map(({ priorities, ...rest }) => rest),
+        truncated: page.truncated,
+        truncatedReason: page.truncatedReason,
+        nextCursor: page.nextCursor,
+        stats: page.stats,
+        rules: ruled.rules,
+      });
+    }
+
+    const affordable = await guardChainQueryOrRespond(session, res, namespace, campaignId, { model, maxLen });
+    if (!affordable) return;
+    req.job?.throwIfCancelled();
+    req.job?.reportProgress({ stage: "enumerating" });
+    const found = await graphStore.listChains(session, namespace, campaignId, { mode, model, maxLen });
+    const ruled = await applyChainRules(session, namespace, campaignId, found, { model, explain });
+    const chains = ruled.chains.map(({ priorities, ...rest }) => rest);
+    observeHistogram("graph_chains_found", { operation: "graph_chains", engine }, chains.length);
+
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      campaignId,
+      ...(mode === "domino" ? { mode } : {}),
+      ...(model === "position" ? { model } : {}),
+      truncated: false,
+      chains,
+      rules: ruled.rules,
+    });
+  } catch (err) {
+    if (isQueryTimeoutError(err)) return rejectQueryTimeout(res, maxLen);
+    if (err instanceof ChainRulesUnavailableError) return rejectChainRulesUnavailable(res, err);
+    log("ERROR", "graph_chains_failed", {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      message: err?.message || "Unknown error",
+    });
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  } finally {
+    await session.close();
+  }
+}));
+
+/* ----------------------------------
+   Optimal disjoint chains (Admin only)
+   -> insieme di cicli senza persone in comune che massimizza l'obiettivo
+---------------------------------- */
+const OPTIMAL_OBJECTIVES = new Set(["people", "priority", "weighted"]);
+const OPTIMAL_MAX_EXPANSIONS = 200000;
+const OPTIMAL_MAX_CANDIDATES = 20000;
+// le ricerche in-process cedono l'event loop ogni GRAPH_SLICE_MS, anche con time budget lunghi
+const GRAPH_SLICE_MS = 20;
+
+function createTimeSlicer(sliceMs = GRAPH_SLICE_MS) {
+  let sliceStartedAt = Date.now();
+  return {
+    due: () => Date.now() - sliceStartedAt >= sliceMs,
+    async pause() {
+      await yieldToEventLoop();
+      sliceStartedAt = Date.now();
+    },
+  };
+}
+
+// Priorità media delle mosse con priorità nota (1 = prima scelta); null se non ne ha nessuna
+function meanPriority(chain) {
+  const known = chain.priorities.filter((p) => p !== null);
+  return known.length ? known.reduce((total, p) => total + p, 0) / known.length : null;
+}
+
+// Priorità note più bassa e più alta tra i candidati: la scala su cui si normalizzano le penalità
+function priorityRange(chains) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const chain of chains) {
+    for (const p of chain.priorities) {
+      if (p === null) continue;
+      min = Math.min(min, p);
+      max = Math.max(max, p);
+    }
+  }
+  return min <= max ? { min, max } : { min: 1, max: 1 };
+}
+
+// 0 per la priorità migliore tra i candidati, 1 per la peggiore (e per le mosse senza priorità)
+function priorityPenalty(priority, range) {
+  if (priority === null) return 1;
+  return range.max > range.min ? (priority - range.min) / (range.max - range.min) : 0;
+}
+
+/**
+ * Punteggio di un ciclo:
+ * - people: persone spostate (= length)
+ * - priority: priorità media delle mosse, più bassa è meglio (null senza priorità note)
+ * - weighted: people * (weights.people + weights.priority * (1 - penalità della priorità media)),
+ *   cioè ogni mossa vale weights.people più un bonus fino a weights.priority per quanto è vicina
+ *   alla migliore priorità tra i candidati. Con pesi >= 0 una mossa non vale mai meno di
+ *   weights.people, quindi nessun ciclo esce dalla selezione per le sue priorità.
+ *   Senza priorità note il ciclo conta come prima scelta, come la media null degli altri obiettivi.
+ */
+function scoreChain(chain, objective, weights, range) {
+  const people = chain.length;
+  const mean = meanPriority(chain);
+  if (objective === "people") return people;
+  if (objective === "priority") return mean;
+  const penalty = mean === null ? 0 : priorityPenalty(mean, range);
+  return people * (weights.people + weights.priority * (1 - penalty));
+}
+
+// Due cicli sono incompatibili se condividono una persona (o, nel position model, una posizione).
+function conflictKeys(chain) {
+  return [
+    ...chain.users.map((u) => `u:${u}`),
+    ...(chain.positions ?? []).map((p) => `p:${p.id}`),
+  ];
+}
+
+/**
+ * Weighted set packing (NP-hard): branch & bound sui candidati ordinati per punteggio,
+ * con un tetto alle espansioni. Se il tetto viene raggiunto si ritorna il miglior
+ * risultato trovato con optimal=false. Cede l'event loop ogni GRAPH_SLICE_MS.
+ */
+async function selectDisjointChains(candidates, maxExpansions = OPTIMAL_MAX_EXPANSIONS) {
+  const sorted = candidates
+    .filter((c) => c.score > 0)
+    .sort((a, b) => b.score - a.score || a.chain.length - b.chain.length);
+  const suffix = new Array(sorted.length + 1).fill(0);
+  for (let i = sorted.length - 1; i >= 0; i--) suffix[i] = suffix[i + 1] + sorted[i].score;
+
+  const used = new Set();
+  const picked = [];
+  let best = { score: 0, picked: [] };
+  let expansions = 0;
+  let exhausted = false;
+  const slicer = createTimeSlicer();
+
+  const search = async (start, score) => {
+    if (score > best.score + 1e-9) best = { score, picked: picked.slice() };
+    for (let j = start; j < sorted.length; j++) {
+      if (score + suffix[j] <= best.score + 1e-9) return;
+      if (++expansions > maxExpansions) {
+        exhausted = true;
+        return;
+      }
+      if (slicer.due()) await slicer.pause();
+      const keys = conflictKeys(sorted[j].chain);
+      if (keys.some((k) => used.has(k))) continue;
+      keys.forEach((k) => used.add(k));
+      picked.push(j);
+      await search(j + 1, score + sorted[j].score);
+      picked.pop();
+      keys.forEach((k) => used.delete(k));
+      if (exhausted) return;
+    }
+  };
+  await search(0, 0);
+
+  return {
+    selected: best.picked.map((j) => sorted[j]),
+    totalScore: best.score,
+    optimal: !exhausted,
+  };
+}
+
+/**
+ * Obiettivo priority: prima più persone spostate, a parità la priorità media più bassa.
+ * A parità di persone (= mosse) la media più bassa è la somma più bassa, quindi basta un set
+ * packing in cui ogni mossa vale 1 meno la sua penalità divisa per (persone candidate + 1):
+ * la somma delle penalità resta sotto 1 e non può mai pesare quanto una persona in più.
+ * totalScore è la priorità media delle mosse scelte con priorità nota.
+ */
+async function selectBestAveragePriority(candidates, maxExpansions = OPTIMAL_MAX_EXPANSIONS) {
+  if (!candidates.length) return { selected: [], totalScore: 0, optimal: true };
+  const range = priorityRange(candidates.map((c) => c.chain));
+  const scale = new Set(candidates.flatMap((c) => c.chain.users)).size + 1;
+  const { selected, optimal } = await selectDisjointChains(
+    candidates.map((c) => ({
+      ...c,
+      candidate: c,
+      score: c.chain.priorities.reduce((total, p) => total + 1 - priorityPenalty(p, range) / scale, 0),
+    })),
+    maxExpansions
+  );
+  const picked = selected.map((c) => c.candidate);
+  const mean = picked.length ? meanPriority({ priorities: picked.flatMap((c) => c.chain.priorities) }) : null;
+  return { selected: picked, totalScore: mean ?? 0, optimal };
+}
+
+app.post("/graph/chains/optimal", requireAdmin, readOnlyAccess, limitGraphConcurrency, async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const campaignId = getCampaignIdOrRespond(req, res);
+  if (!campaignId) return;
+
+  const objective = req.body?.objective ?? "people";
+  if (!OPTIMAL_OBJECTIVES.has(objective)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_OBJECTIVE",
+      message: `objective must be one of: ${[...OPTIMAL_OBJECTIVES].join(", ")}`,
+    });
+  }
+  const weights = {
+    people: Number(req.body?.weights?.people ?? 1),
+    priority: Number(req.body?.weights?.priority ?? 1),
+  };
+  if (![weights.people, weights.priority].every((w) => Number.isFinite(w) && w >= 0)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_WEIGHTS",
+      message: "weights.people and weights.priority must be non-negative numbers",
+    });
+  }
+
+  const model = getGraphModelOrRespond(req, res);
+  if (!model) return;
+  const engine = req.body?.engine ?? "cypher";
+  if (!CHAIN_ENGINES.has(engine)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_CHAIN_ENGINE",
+      message: `engine must be one of: ${[...CHAIN_ENGINES].join(", ")}`,
+    });
+  }
+
+  const warm = await ensureNeo4jOrWaitResponse(res, "graph_chains_optimal", scope);
+  if (!warm) return;
+  const namespace = resolveGraphNamespace(scope);
+  const maxLen = resolveMaxLen(req);
+  const session = graphStore.openSession(namespace);
+
+  try {
+    let chains;
+    let enumerationTruncated = false;
+    if (engine === "native") {
+      const page = await enumerateChainPage(
+        await graphStore.fetchCampaignAdjacency(session, namespace, campaignId, model),
+        {
+          maxLen,
+          limit: OPTIMAL_MAX_CANDIDATES,
+          timeBudgetMs: clampInt(
+            req.body?.timeBudgetMs,
+            NATIVE_DEFAULT_TIME_BUDGET_MS,
+            100,
+            NATIVE_MAX_TIME_BUDGET_MS
+          ),
+        }
+      );
+      chains = page.chains;
+      enumerationTruncated = page.truncated;
+    } else {
+      const affordable = await guardChainQueryOrRespond(session, res, namespace, campaignId, { model, maxLen });
+      if (!affordable) return;
+      chains = await graphStore.listChains(session, namespace, campaignId, { model, maxLen });
+    }
+    const ruled = await applyChainRules(session, namespace, campaignId, chains, { model, explain: false });
+    chains = ruled.chains;
+    observeHistogram("graph_chains_found", { operation: "graph_chains_optimal", engine }, chains.length);
+    const participants = await session.run(
+      model === "position"
+        ? `
+          MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId})
+                -[:APPLIES_TO {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+                (:Position {company_id: $companyId, perimeter_id: $perimeterId})
+          RETURN DISTINCT coalesce(p.user_id, p.id) AS userId, coalesce(p.full_name, p.id) AS name
+          ORDER BY name
+          `
+        : `
+          MATCH (p:Person {company_id: $companyId, perimeter_id: $perimeterId})
+                -[:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]-
+                (:Person {company_id: $companyId, perimeter_id: $perimeterId})
+          RETURN DISTINCT coalesce(p.user_id, p.id) AS userId, coalesce(p.full_name, p.id) AS name
+          ORDER BY name
+          `,
+      { ...namespace, campaignId }
+    );
+
+    const range = priorityRange(chains);
+    const candidates = chains.map((chain) => ({ chain, score: scoreChain(chain, objective, weights, range) }));
+    const { selected, totalScore, optimal } = objective === "priority"
+      ? await selectBestAveragePriority(candidates)
+      : await selectDisjointChains(candidates);
+    const moved = new Set(selected.flatMap(({ chain }) => chain.users));
+    const leftOut = participants.records
+      .map((rec) => ({ userId: rec.get("userId"), name: rec.get("name") }))
+      .filter((p) => !moved.has(p.userId));
+
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      campaignId,
+      objective,
+      ...(objective === "weighted" ? { weights } : {}),
+      // con enumerazione troncata l'ottimo è relativo ai soli candidati trovati
+      optimal: optimal && !enumerationTruncated,
+      ...(engine === "native" ? { engine, truncated: enumerationTruncated } : {}),
+      candidates: chains.length,
+      rules: ruled.rules,
+      totalScore: Math.round(totalScore * 100) / 100,
+      peopleMoved: moved.size,
+      chains: selected.map(({ chain: { priorities, ...rest }, score }) => ({
+        ...rest,
+        score: Math.round(score * 100) / 100,
+      })),
+      leftOut,
+    });
+  } catch (err) {
+    if (isQueryTimeoutError(err)) return rejectQueryTimeout(res, maxLen);
+    if (err instanceof ChainRulesUnavailableError) return rejectChainRulesUnavailable(res, err);
+    log("ERROR", "graph_chains_optimal_failed", {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      message: err?.message || "Unknown error",
+    });
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  } finally {
+    await session.close();
+  }
+});
+
 /* ----------------------------------
-   APP API (used by the frontend)
-   - keeps Supabase as source of truth
-   - avoids writing business logic in Supabase
+   Swap proposals
+   -> una chain trovata da /graph/chains diventa una proposta con un partecipante per mossa;
+      stato: open -> confirmed (tutti accettano) | declined | cancelled | invalidated
+   Tabelle Supabase: swap_proposals, swap_proposal_participants (supabase/migrations/*_swap_proposals.sql);
+   una candidatura cancellata, da qualunque parte, invalida le sue proposte vive con un trigger su applications
 ---------------------------------- */
+const PROPOSAL_STATUSES = new Set(["open", "confirmed", "declined", "cancelled", "invalidated"]);
+// una persona può stare in una sola proposta "viva" alla volta: il vincolo vero è l'indice unico
+// parziale su swap_proposal_participants (supabase/migrations/*_swap_proposal_participant_locks.sql)
+const PROPOSAL_LOCKING_STATUSES = ["open", "confirmed"];
+const PG_UNIQUE_VIOLATION = "23505";
+const PROPOSAL_RESPONSES = { accept: "accepted", decline: "declined" };
 
-// Admin: reset all active users + clear applications (dashboard reset)
-app.post(
-  "/api/admin/reset-active-users",
-  requireAuth(),
-  requireAdmin,
-  async (_req, res) => {
-    if (!requireHarnessEnabled(res)) return;
-    try {
-      // 1) set all users inactive
-      const { error: upErr } = await supabaseAdmin
-        .from("users")
-        .update({ availability_status: "inactive" })
-        .neq("availability_status", "inactive"); // aggiorna solo chi non è già inactive
+/**
+ * Risolve ogni mossa della chain sulla candidatura reale in Supabase:
+ * users[i] si candida alla posizione occupata da users[i+1] (o a positions[i] se indicata).
+ * A parità di posizione vince la candidatura con priorità migliore.
+ * Ritorna { participants } oppure { error: { step, userId, reason } }.
+ */
+async function resolveProposalParticipants(namespace, campaignId, chain) {
+  const users = normalizeUserIdList(chain?.users) ?? [];
+  if (users.length < 2 || new Set(users).size !== users.length) {
+    return { error: { step: null, userId: null, reason: "invalid_chain" } };
+  }
+  const wantedPositions = Array.isArray(chain?.positions)
+    ? chain.positions.map((p) => asIdString(p?.id ?? p))
+    : [];
 
-      if (upErr) {
-        return res.status(500).json({ status: "ERROR", message: upErr.message });
-      }
+  const { data: appRows, error: appErr } = await supabaseAdmin
+    .from("applications")
+    .select("id, user_id, position_id, priority")
+    .eq("campaign_id", campaignId)
+    .in("user_id", users);
+  if (appErr) throw new Error(`applications: ${appErr.message}`);
+  const posRows = await fetchRowsByIds("positions", "id, occupied_by", appRows.map((a) => a.position_id));
+  const occupantOf = new Map(posRows.map((p) => [String(p.id), asIdString(p.occupied_by)]));
+  const userRows = await fetchRowsByIds("users", "id, company_id, perimeter_id", users);
+  const usersById = new Map(userRows.map((u) => [String(u.id), u]));
+
+  const participants = [];
+  for (let step = 0; step < users.length; step++) {
+    const userId = users[step];
+    const targetUserId = users[(step + 1) % users.length];
+    if (!usersById.has(userId)) return { error: { step, userId, reason: "missing_user" } };
+    if (!isUserInScope(usersById.get(userId), namespace)) {
+      return { error: { step, userId, reason: "cross_tenant_user" } };
+    }
+    const candidates = appRows
+      .filter((a) => String(a.user_id) === userId)
+      .filter((a) => occupantOf.get(String(a.position_id)) === targetUserId)
+      .filter((a) => !wantedPositions[step] || String(a.position_id) === wantedPositions[step])
+      .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity));
+    if (!candidates.length) return { error: { step, userId, reason: "missing_application" } };
+    participants.push({
+      step,
+      user_id: userId,
+      application_id: String(candidates[0].id),
+      position_id: String(candidates[0].position_id),
+      moves_to_user_id: targetUserId,
+    });
+  }
+  return { participants };
+}
 
-      // 2) delete all applications (outgoing + incoming)
-      const { error: delErr } = await supabaseAdmin
-        .from("applications")
-        .delete()
-        .neq("id", "00000000-0000-0000-0000-000000000000"); // trucco per "delete all"
+async function findLockedUserIds(userIds) {
+  const rows = await fetchRowsByIds("swap_proposal_participants", "proposal_id, user_id", userIds, "user_id");
+  if (!rows.length) return [];
+  const { data: live, error } = await supabaseAdmin
+    .from("swap_proposals")
+    .select("id")
+    .in("id", [...new Set(rows.map((r) => r.proposal_id))])
+    .in("status", PROPOSAL_LOCKING_STATUSES);
+  if (error) throw new Error(`swap_proposals: ${error.message}`);
+  const liveIds = new Set((live ?? []).map((p) => String(p.id)));
+  return [...new Set(rows.filter((r) => liveIds.has(String(r.proposal_id))).map((r) => String(r.user_id)))];
+}
 
-      if (delErr) {
-        return res.status(500).json({ status: "ERROR", message: delErr.message });
-      }
+async function loadProposal(proposalId) {
+  const { data: proposal, error } = await supabaseAdmin
+    .from("swap_proposals")
+    .select("*")
+    .eq("id", proposalId)
+    .maybeSingle();
+  if (error) throw new Error(`swap_proposals: ${error.message}`);
+  if (!proposal) return null;
+  const { data: participants, error: partErr } = await supabaseAdmin
+    .from("swap_proposal_participants")
+    .select("*")
+    .eq("proposal_id", proposalId)
+    .order("step", { ascending: true });
+  if (partErr) throw new Error(`swap_proposal_participants: ${partErr.message}`);
+  return { ...proposal, participants: participants ?? [] };
+}
 
-      return res.json({ status: "OK" });
-    } catch (err) {
-      return res.status(500).json({
+function isProposalInScope(proposal, scope) {
+  return (
+    String(proposal.company_id) === scope.companyId &&
+    String(proposal.perimeter_id) === scope.perimeterId
+  );
+}
+
+// Vista per il partecipante: la propria mossa e l'avanzamento, non le risposte altrui
+function proposalForParticipant(proposal, userId) {
+  const own = proposal.participants.find((p) => String(p.user_id) === userId);
+  const count = (response) => proposal.participants.filter((p) => p.response === response).length;
+  return {
+    id: proposal.id,
+    campaignId: proposal.campaign_id,
+    status: proposal.status,
+    createdAt: proposal.created_at,
+    length: proposal.participants.length,
+    step: own?.step ?? null,
+    applicationId: own?.application_id ?? null,
+    positionId: own?.position_id ?? null,
+    response: own?.response ?? null,
+    progress: { accepted: count("accepted"), declined: count("declined"), pending: count("pending") },
+  };
+}
+
+async function updateProposalStatus(proposalId, fromStatuses, status, reason = null) {
+  const { data, error } = await supabaseAdmin
+    .from("swap_proposals")
+    .update({ status, closed_reason: reason, updated_at: new Date().toISOString() })
+    .eq("id", proposalId)
+    .in("status", fromStatuses)
+    .select("id");
+  if (error) throw new Error(`swap_proposals: ${error.message}`);
+  return (data ?? []).length > 0;
+}
+
+async function invalidateProposals(proposalIds, reason) {
+  const unique = [...new Set(proposalIds.map(String))];
+  if (!unique.length) return [];
+  const { data, error } = await supabaseAdmin
+    .from("swap_proposals")
+    .update({ status: "invalidated", closed_reason: reason, updated_at: new Date().toISOString() })
+    .in("id", unique)
+    .in("status", PROPOSAL_LOCKING_STATUSES)
+    .select("id");
+  if (error) throw new Error(`swap_proposals: ${error.message}`);
+  const invalidated = (data ?? []).map((p) => String(p.id));
+  if (invalidated.length) log("INFO", "proposals_invalidated", { proposalIds: invalidated, reason });
+  return invalidated;
+}
+
+// Admin: crea una proposta da una chain ({ users, positions? } come restituita da /graph/chains)
+app.post("/api/proposals", requireAdmin, auditTrail("proposal_create"), async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const campaignId = getCampaignIdOrRespond(req, res);
+  if (!campaignId) return;
+  const namespace = resolveGraphNamespace(scope);
+
+  try {
+    if (!(await findCampaignInScope(namespace, campaignId))) {
+      return res.status(404).json({
         status: "ERROR",
-        message: err?.message || "Unknown error",
+        code: "CAMPAIGN_NOT_FOUND",
+        message: "Campaign not found in this company/perimeter",
+      });
+    }
+
+    const resolved = await resolveProposalParticipants(namespace, campaignId, req.body?.chain);
+    if (resolved.error) {
+      return res.status(422).json({
+        status: "ERROR",
+        code: "INVALID_CHAIN",
+        message: "The chain does not match the current applications",
+        ...resolved.error,
       });
     }
+
+    const userIds = resolved.participants.map((p) => p.user_id);
+    const rejectLocked = (lockedUserIds) =>
+      res.status(409).json({
+        status: "ERROR",
+        code: "PARTICIPANTS_LOCKED",
+        message: "Some participants are already in an open or confirmed proposal",
+        lockedUserIds,
+      });
+    const lockedUserIds = await findLockedUserIds(userIds);
+    if (lockedUserIds.length) return rejectLocked(lockedUserIds);
+
+    // proposta + partecipanti in una transazione: una creazione concorrente sugli stessi utenti
+    // viola l'indice unico e non lascia nulla
+    const { data: proposal, error: insErr } = await supabaseAdmin
+      .rpc("create_swap_proposal", {
+        p_proposal: {
+          company_id: namespace.companyId,
+          perimeter_id: namespace.perimeterId,
+          campaign_id: campaignId,
+          chain: { users: userIds, positions: resolved.participants.map((p) => p.position_id) },
+          note: asNonEmptyString(req.body?.note),
+        },
+        p_participants: resolved.participants,
+      })
+      .single();
+    if (insErr?.code === PG_UNIQUE_VIOLATION) return rejectLocked(await findLockedUserIds(userIds));
+    if (insErr) return res.status(500).json({ status: "ERROR", message: insErr.message });
+
+    log("INFO", "proposal_created", {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      campaignId,
+      proposalId: proposal.id,
+      length: userIds.length,
+    });
+    res.status(201).json({ status: "OK", proposal: await loadProposal(proposal.id) });
+  } catch (err) {
+    log("ERROR", "proposal_create_failed", {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      message: err?.message || "Unknown error",
+    });
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
   }
-);
+});
 
+app.get("/api/proposals", requireAdmin, async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const status = asNonEmptyString(req.query?.status);
+  if (status && !PROPOSAL_STATUSES.has(status)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_PROPOSAL_STATUS",
+      message: `status must be one of: ${[...PROPOSAL_STATUSES].join(", ")}`,
+    });
+  }
+  const campaignId = resolveCampaignId(req);
 
-// Deactivate a user and cleanup related applications
-app.post(
-  "/api/users/:userId/deactivate",
+  try {
+    let query = supabaseAdmin
+      .from("swap_proposals")
+      .select("*")
+      .eq("company_id", scope.companyId)
+      .eq("perimeter_id", scope.perimeterId)
+      .order("created_at", { ascending: false });
+    if (campaignId) query = query.eq("campaign_id", campaignId);
+    if (status) query = query.eq("status", status);
+    const { data, error } = await query;
+    if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      proposals: data ?? [],
+    });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  }
+});
+
+app.get("/api/proposals/:proposalId", requireAdmin, async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+
+  try {
+    const proposal = await loadProposal(req.params.proposalId);
+    if (!proposal || !isProposalInScope(proposal, scope)) {
+      return res.status(404).json({ status: "ERROR", code: "PROPOSAL_NOT_FOUND", message: "Proposal not found" });
+    }
+    res.json({ status: "OK", proposal });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  }
+});
+
+app.post("/api/proposals/:proposalId/cancel", requireAdmin, auditTrail("proposal_cancel"), async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+
+  try {
+    const proposal = await loadProposal(req.params.proposalId);
+    if (!proposal || !isProposalInScope(proposal, scope)) {
+      return res.status(404).json({ status: "ERROR", code: "PROPOSAL_NOT_FOUND", message: "Proposal not found" });
+    }
+    const reason = asNonEmptyString(req.body?.reason) ?? "cancelled_by_admin";
+    const updated = await updateProposalStatus(proposal.id, PROPOSAL_LOCKING_STATUSES, "cancelled", reason);
+    if (!updated) {
+      return res.status(409).json({
+        status: "ERROR",
+        code: "PROPOSAL_CLOSED",
+        message: `Proposal is already ${proposal.status}`,
+      });
+    }
+    log("INFO", "proposal_cancelled", { proposalId: proposal.id, reason });
+    res.json({ status: "OK", proposal: await loadProposal(proposal.id) });
+  } catch (err) {
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  }
+});
+
+// Partecipante: le proprie proposte (più recenti prima)
+app.get(
+  "/api/users/:userId/proposals",
   requireAuth(),
   requireSelfOrAdmin("userId"),
   async (req, res) => {
     const userId = req.params.userId;
 
     try {
-      // 1) set user inactive
-      const { error: upErr } = await supabaseAdmin
-        .from("users")
-        .update({ availability_status: "inactive" })
-        .eq("id", userId);
-
-      if (upErr) {
-        return res.status(500).json({ status: "ERROR", message: upErr.message });
-      }
-
-      // 2) delete outgoing + incoming applications
-      const { error: delErr } = await supabaseAdmin
-        .from("applications")
-        .delete()
-        .or(`user_id.eq.${userId}`);
-
-      if (delErr) {
-        return res.status(500).json({ status: "ERROR", message: delErr.message });
+      const rows = await fetchRowsByIds("swap_proposal_participants", "proposal_id", [userId], "user_id");
+      const proposals = [];
+      for (const proposalId of new Set(rows.map((r) => String(r.proposal_id)))) {
+        const proposal = await loadProposal(proposalId);
+        if (proposal) proposals.push(proposalForParticipant(proposal, userId));
       }
-
-      return res.json({ status: "OK" });
+      proposals.sort((a, b) => String(b.createdAt ?? "").localeCompare(String(a.createdAt ?? "")));
+      return res.json({ status: "OK", proposals });
     } catch (err) {
       return res
         .status(500)
@@ -468,38 +9214,56 @@ app.post(
   }
 );
 
-// Reorder applications for a user
+// Partecipante: accetta o rifiuta la propria mossa
 app.post(
-  "/api/users/:userId/reorder-applications",
+  "/api/users/:userId/proposals/:proposalId/respond",
   requireAuth(),
   requireSelfOrAdmin("userId"),
+  auditTrail("proposal_respond"),
   async (req, res) => {
-    const userId = req.params.userId;
-    const updates = req.body?.updates;
-
-    if (!Array.isArray(updates) || updates.length === 0) {
-      return res.status(400).json({ status: "ERROR", message: "Invalid updates" });
+    const { userId, proposalId } = req.params;
+    const response = PROPOSAL_RESPONSES[req.body?.response];
+    if (!response) {
+      return res.status(400).json({
+        status: "ERROR",
+        code: "INVALID_RESPONSE",
+        message: "response must be accept or decline",
+      });
     }
 
     try {
-      // Validate and apply updates
-      for (const u of updates) {
-        if (!u || !Array.isArray(u.app_ids) || typeof u.priority !== "number") {
-          return res.status(400).json({ status: "ERROR", message: "Invalid updates payload" });
-        }
-
-        const { error } = await supabaseAdmin
-          .from("applications")
-          .update({ priority: u.priority })
-          .in("id", u.app_ids)
-          .eq("user_id", userId);
+      const proposal = await loadProposal(proposalId);
+      const own = proposal?.participants.find((p) => String(p.user_id) === userId);
+      if (!proposal || !own) {
+        return res.status(404).json({ status: "ERROR", code: "PROPOSAL_NOT_FOUND", message: "Proposal not found" });
+      }
+      if (proposal.status !== "open") {
+        return res.status(409).json({
+          status: "ERROR",
+          code: "PROPOSAL_CLOSED",
+          message: `Proposal is already ${proposal.status}`,
+        });
+      }
 
-        if (error) {
-          return res.status(500).json({ status: "ERROR", message: error.message });
-        }
+      const { error } = await supabaseAdmin
+        .from("swap_proposal_participants")
+        .update({ response, responded_at: new Date().toISOString() })
+        .eq("proposal_id", proposalId)
+        .eq("user_id", userId);
+      if (error) return res.status(500).json({ status: "ERROR", message: error.message });
+
+      const updated = await loadProposal(proposalId);
+      if (updated.participants.some((p) => p.response === "declined")) {
+        await updateProposalStatus(proposalId, ["open"], "declined", `declined_by:${userId}`);
+      } else if (updated.participants.every((p) => p.response === "accepted")) {
+        await updateProposalStatus(proposalId, ["open"], "confirmed");
       }
 
-      return res.json({ status: "OK" });
+      log("INFO", "proposal_response", { proposalId, userId, response });
+      return res.json({
+        status: "OK",
+        proposal: proposalForParticipant(await loadProposal(proposalId), userId),
+      });
     } catch (err) {
       return res
         .status(500)
@@ -509,417 +9273,851 @@ app.post(
 );
 
 /* ----------------------------------
-   Neo4j Warmup (Admin only)
+   Employee opportunities
+   -> cicli della campagna attiva che passano per l'utente + "near miss"
+      (una candidatura in più chiuderebbe un ciclo); gli altri partecipanti restano anonimi
 ---------------------------------- */
-app.post("/neo4j/warmup", requireAdmin, async (_req, res) => {
-  const scope = getTenantScopeOrRespond(_req, res);
-  if (!scope) return;
-  const ok = await ensureNeo4jOrWaitResponse(res, "neo4j_warmup", scope);
-  if (!ok) return;
-  res.json({
-    status: "OK",
-    neo4j: "ready",
-    companyId: scope.companyId,
-    perimeterId: scope.perimeterId,
-  });
-});
+const OPPORTUNITIES_DEFAULT_MAX_LEN = 6;
+const OPPORTUNITIES_MAX_MAX_LEN = 10;
+const OPPORTUNITIES_DEFAULT_LIMIT = 50;
+const OPPORTUNITIES_MAX_LIMIT = 200;
+// pagina per un singolo dipendente: budget stretto, la ricerca cede comunque l'event loop
+const OPPORTUNITIES_TIME_BUDGET_MS = 1000;
+
+async function findActiveCampaignId(namespace) {
+  const { data, error } = await supabaseAdmin
+    .from("campaigns")
+    .select("id")
+    .eq("company_id", namespace.companyId)
+    .eq("perimeter_id", namespace.perimeterId)
+    .neq("status", "campaign_closed")
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw new Error(`campaigns lookup: ${error.message}`);
+  return data?.id ? String(data.id) : null;
+}
 
-/* ----------------------------------
-   Build Graph (Admin only)
----------------------------------- */
-app.post("/build-graph", requireAdmin, async (req, res) => {
-  const scope = getTenantScopeOrRespond(req, res);
-  if (!scope) return;
-  const warm = await ensureNeo4jOrWaitResponse(res, "build_graph", scope);
-  if (!warm) return;
-  const namespace = resolveGraphNamespace(scope);
-  const campaignId = resolveCampaignId(req);
-  if (!campaignId) {
-    return res.status(400).json({
-      status: "ERROR",
-      code: "CAMPAIGN_ID_REQUIRED",
-      message: "campaignId/campaign_id is required",
-    });
+// BFS sul grafo inverso: distanza minima (in mosse) da ogni vertice fino a `target`
+function distancesTo(graph, target) {
+  const incoming = graph.vertices.map(() => []);
+  graph.out.forEach((edges, from) => edges.forEach((e) => incoming[e.toIndex].push(from)));
+  const dist = new Array(graph.vertices.length).fill(Infinity);
+  dist[target] = 0;
+  const queue = [target];
+  for (let head = 0; head < queue.length; head++) {
+    const v = queue[head];
+    for (const u of incoming[v]) {
+      if (dist[u] === Infinity) {
+        dist[u] = dist[v] + 1;
+        queue.push(u);
+      }
+    }
   }
-  const { applications, usersById } = req.body || {};
-  const scopedApps = Array.isArray(applications)
-    ? applications
-      .filter((app) => app?.user_id && app?.target_user_id)
-      .filter((app) => {
-        const appCompanyId = app?.company_id ?? app?.companyId ?? null;
-        const appPerimeterId = app?.perimeter_id ?? app?.perimeterId ?? null;
-        // Defense-in-depth: discard cross-tenant payload rows if a caller sends mixed data.
-        if (appCompanyId && String(appCompanyId) !== namespace.companyId) return false;
-        if (appPerimeterId && String(appPerimeterId) !== namespace.perimeterId) return false;
-        return true;
-      })
-      .map((app) => ({
-        user_id: String(app.user_id),
-        target_user_id: String(app.target_user_id),
-        priority: app.priority ?? null,
-        campaign_id: String(app.campaign_id ?? app.campaignId ?? campaignId),
-      }))
-      .filter((app) => app.campaign_id === campaignId)
-    : [];
-  const session = driver.session();
+  return dist;
+}
 
-  try {
-    const out = await session.writeTransaction(async (tx) => {
-      try {
-        await tx.run(
-          `
-          CREATE CONSTRAINT person_tenant_identity IF NOT EXISTS
-          FOR (p:Person)
-          REQUIRE (p.company_id, p.perimeter_id, p.user_id) IS UNIQUE
-          `
-        );
-      } catch (constraintErr) {
-        // compat with older Neo4j versions / limited privileges
-        console.warn("Constraint creation skipped:", constraintErr?.message || constraintErr);
+/**
+ * Cicli semplici che partono e tornano a `start`, al più maxLen persone.
+ * DFS potata con la distanza di ritorno: non si esplora ciò che non può chiudere in tempo.
+ */
+async function cyclesThrough(graph, start, { maxLen, limit, deadline }) {
+  const dist = distancesTo(graph, start);
+  const cycles = [];
+  const onPath = new Set([start]);
+  const path = [];
+  const slicer = createTimeSlicer();
+  let truncatedReason = null;
+
+  const visit = async (v) => {
+    for (const edge of graph.out[v]) {
+      if (truncatedReason) return;
+      if (cycles.length >= limit) {
+        truncatedReason = "page_limit";
+        return;
+      }
+      if (Date.now() > deadline) {
+        truncatedReason = "time_budget";
+        return;
+      }
+      if (slicer.due()) await slicer.pause();
+      const w = edge.toIndex;
+      if (w === start) {
+        cycles.push([...path, edge]);
+        continue;
       }
+      if (onPath.has(w) || path.length + 1 + dist[w] > maxLen) continue;
+      onPath.add(w);
+      path.push(edge);
+      await visit(w);
+      path.pop();
+      onPath.delete(w);
+    }
+  };
+  await visit(start);
+  return { cycles, truncatedReason, dist };
+}
 
-      await tx.run(
-        `
-        MATCH (n:Person {company_id: $companyId, perimeter_id: $perimeterId})
-        DETACH DELETE n
-        `,
-        namespace
-      );
+app.get(
+  "/api/users/:userId/opportunities",
+  requireAuth(),
+  requireSelfOrAdmin("userId"),
+  limitGraphConcurrency,
+  async (req, res) => {
+    const userId = req.params.userId;
+    const model = getGraphModelOrRespond(req, res);
+    if (!model) return;
+    const maxLen = clampInt(req.query?.maxLen, OPPORTUNITIES_DEFAULT_MAX_LEN, CHAIN_MIN_LEN, OPPORTUNITIES_MAX_MAX_LEN);
+    const limit = clampInt(req.query?.limit, OPPORTUNITIES_DEFAULT_LIMIT, 1, OPPORTUNITIES_MAX_LIMIT);
+
+    let namespace;
+    let campaignId;
+    let ownApplications;
+    try {
+      const { data: user, error: userErr } = await supabaseAdmin
+        .from("users")
+        .select("id, company_id, perimeter_id")
+        .eq("id", userId)
+        .maybeSingle();
+      if (userErr) return res.status(500).json({ status: "ERROR", message: userErr.message });
+      if (!user?.company_id || !user?.perimeter_id) {
+        return res.status(404).json({ status: "ERROR", code: "USER_NOT_FOUND", message: "User not found" });
+      }
+      namespace = resolveGraphNamespace({
+        companyId: String(user.company_id),
+        perimeterId: String(user.perimeter_id),
+      });
+      campaignId = await findActiveCampaignId(namespace);
+      if (!campaignId) {
+        return res.status(404).json({
+          status: "ERROR",
+          code: "NO_ACTIVE_CAMPAIGN",
+          message: "No active campaign for this company/perimeter",
+        });
+      }
 
-      await tx.run(
-        `
-        UNWIND $apps AS app
-        MERGE (a:Person {
-          company_id: $companyId,
-          perimeter_id: $perimeterId,
-          user_id: app.user_id
-        })
-        SET a.id = app.user_id,
-            a.company_id = $companyId,
-            a.perimeter_id = $perimeterId,
-            a.user_id = app.user_id,
-            a.tenant_key = $tenantKey
-        SET a.full_name = coalesce($usersById[app.user_id], a.full_name)
-
-        MERGE (b:Person {
-          company_id: $companyId,
-          perimeter_id: $perimeterId,
-          user_id: app.target_user_id
+      const { data: apps, error: appErr } = await supabaseAdmin
+        .from("applications")
+        .select("id, position_id, priority")
+        .eq("campaign_id", campaignId)
+        .eq("user_id", userId);
+      if (appErr) return res.status(500).json({ status: "ERROR", message: appErr.message });
+      const positions = await fetchRowsByIds("positions", "id, title, occupied_by", (apps ?? []).map((a) => a.position_id));
+      const positionsById = new Map(positions.map((p) => [String(p.id), p]));
+      ownApplications = (apps ?? []).map((a) => ({
+        applicationId: String(a.id),
+        positionId: String(a.position_id),
+        title: positionsById.get(String(a.position_id))?.title ?? null,
+        occupiedBy: asIdString(positionsById.get(String(a.position_id))?.occupied_by),
+        priority: a.priority ?? null,
+      }));
+    } catch (err) {
+      return res.status(500).json({ status: "ERROR", message: err?.message || "Unknown error" });
+    }
+
+    const warm = await ensureNeo4jOrWaitResponse(res, "user_opportunities", namespace);
+    if (!warm) return;
+    // il database del tenant si conosce solo dopo ensureNeo4jOrWaitResponse
+    namespace = resolveGraphNamespace(namespace);
+    const session = graphStore.openSession(namespace);
+
+    try {
+      const graph = await graphStore.fetchCampaignAdjacency(session, namespace, campaignId, model);
+      const start = graph.index.get(userId);
+      const base = {
+        status: "OK",
+        userId,
+        campaignId,
+        model,
+        maxLen,
+      };
+      if (start === undefined) {
+        return res.json({ ...base, cycles: [], nearMisses: [], truncated: false });
+      }
+
+      const { cycles, truncatedReason, dist } = await cyclesThrough(graph, start, {
+        maxLen,
+        limit,
+        deadline: Date.now() + OPPORTUNITIES_TIME_BUDGET_MS,
+      });
+
+      const ownMove = (edge) => {
+        const app = edge.position
+          ? ownApplications.find((a) => a.positionId === edge.position.id)
+          : ownApplications
+            .filter((a) => a.occupiedBy === graph.vertices[edge.toIndex])
+            .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity))[0];
+        return {
+          positionId: edge.position?.id ?? app?.positionId ?? null,
+          title: edge.position?.title ?? app?.title ?? null,
+          priority: edge.priority,
+        };
+      };
+      const chains = cycles
+        .map((edges) => {
+          // rotazione canonica (dal vertice con indice minimo) così la posizione è stabile tra richieste
+          const first = edges.reduce((best, e, i) => (e.toIndex < edges[best].toIndex ? i : best), 0);
+          const steps = [...edges.slice(first), ...edges.slice(0, first)].map((e) => e.toIndex);
+          const yourStep = steps.indexOf(start);
+          return {
+            length: edges.length,
+            yourStep,
+            participants: steps.map((_, i) =>
+              i === yourStep ? { you: true } : { you: false, label: `participant_${i + 1}` }
+            ),
+            yourMove: ownMove(edges[0]),
+          };
         })
-        SET b.id = app.target_user_id,
-            b.company_id = $companyId,
-            b.perimeter_id = $perimeterId,
-            b.user_id = app.target_user_id,
-            b.tenant_key = $tenantKey
-        SET b.full_name = coalesce($usersById[app.target_user_id], b.full_name)
-
-        MERGE (a)-[r:CANDIDATO_A {
-          company_id: $companyId,
-          perimeter_id: $perimeterId,
-          campaign_id: app.campaign_id
-        }]->(b)
-        SET r.priority = app.priority,
-            r.company_id = $companyId,
-            r.perimeter_id = $perimeterId,
-            r.campaign_id = app.campaign_id,
-            r.tenant_key = $tenantKey
-        `,
-        { ...namespace, campaignId, apps: scopedApps, usersById: usersById || {} }
+        .sort((a, b) => a.length - b.length || (a.yourMove.priority ?? Infinity) - (b.yourMove.priority ?? Infinity));
+
+      // near miss: chi raggiunge l'utente in <= maxLen-1 mosse e alla cui posizione l'utente non si candida ancora
+      const alreadyTargeted = new Set(graph.out[start].map((e) => e.toIndex));
+      const closers = graph.vertices
+        .map((id, i) => ({ id, i, distance: dist[i] }))
+        .filter((v) => v.i !== start && !alreadyTargeted.has(v.i) && v.distance <= maxLen - 1);
+      const closerPositions = await fetchRowsByIds(
+        "positions",
+        "id, title, occupied_by",
+        closers.map((v) => v.id),
+        "occupied_by"
       );
+      const appliedPositionIds = new Set(ownApplications.map((a) => a.positionId));
+      const distanceByUser = new Map(closers.map((v) => [v.id, v.distance]));
+      const nearMisses = closerPositions
+        .filter((p) => !appliedPositionIds.has(String(p.id)))
+        .map((p) => ({
+          positionId: String(p.id),
+          title: p.title ?? null,
+          cycleLength: distanceByUser.get(String(p.occupied_by)) + 1,
+        }))
+        .sort((a, b) => a.cycleLength - b.cycleLength || a.positionId.localeCompare(b.positionId))
+        .slice(0, limit);
+
+      res.json({
+        ...base,
+        cycles: chains,
+        nearMisses,
+        truncated: !!truncatedReason,
+        ...(truncatedReason ? { truncatedReason } : {}),
+      });
+    } catch (err) {
+      log("ERROR", "user_opportunities_failed", {
+        userId,
+        companyId: namespace.companyId,
+        perimeterId: namespace.perimeterId,
+        message: err?.message || "Unknown error",
+      });
+      res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+    } finally {
+      await session.close();
+    }
+  }
+);
+
+/* ----------------------------------
+   Graph Summary (RELATIONS) (Admin only)
+   -> serve ad AdminCandidatures (tabella Da/A/Priorità)
+---------------------------------- */
+async function listPersonRelationships(session, namespace) {
+  const result = await session.run(
+    `
+    MATCH (a:Person)-[r:CANDIDATO_A]->(b:Person)
+    WHERE a.company_id = $companyId
+      AND a.perimeter_id = $perimeterId
+      AND b.company_id = $companyId
+      AND b.perimeter_id = $perimeterId
+      AND r.company_id = $companyId
+      AND r.perimeter_id = $perimeterId
+    RETURN
+      coalesce(a.full_name, a.id) AS from_name,
+      coalesce(b.full_name, b.id) AS to_name,
+      r.priority AS priority
+    ORDER BY from_name, to_name
+    `,
+    namespace
+  );
+  return result.records.map((rec) => ({
+    from_name: rec.get("from_name"),
+    to_name: rec.get("to_name"),
+    priority: rec.get("priority"),
+  }));
+}
 
-      const nodes = await tx.run(
-        `
-        MATCH (n:Person {company_id: $companyId, perimeter_id: $perimeterId})
-        RETURN count(n) AS c
-        `,
-        namespace
-      );
-      const rels = await tx.run(
+app.post("/graph/summary", requireAdmin, readOnlyAccess, async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const model = getGraphModelOrRespond(req, res);
+  if (!model) return;
+  const warm = await ensureNeo4jOrWaitResponse(res, "graph_summary", scope);
+  if (!warm) return;
+  const namespace = resolveGraphNamespace(scope);
+  const session = graphStore.openSession(namespace);
+
+  if (model === "position") {
+    try {
+      const result = await session.run(
         `
-        MATCH (:Person {company_id: $companyId, perimeter_id: $perimeterId})
-              -[r:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId}]->
-              (:Person {company_id: $companyId, perimeter_id: $perimeterId})
-        RETURN count(r) AS c
+        MATCH (a:Person)-[r:APPLIES_TO]->(pos:Position)
+        WHERE a.company_id = $companyId
+          AND a.perimeter_id = $perimeterId
+          AND pos.company_id = $companyId
+          AND pos.perimeter_id = $perimeterId
+          AND r.company_id = $companyId
+          AND r.perimeter_id = $perimeterId
+        OPTIONAL MATCH (pos)<-[:OCCUPIES]-(b:Person)
+        WITH a, r, pos, collect(coalesce(b.full_name, b.id)) AS occupants
+        RETURN
+          coalesce(a.full_name, a.id) AS from_name,
+          occupants,
+          r.priority AS priority,
+          r.campaign_id AS campaign_id,
+          pos.position_id AS position_id,
+          pos.title AS position_title
+        ORDER BY from_name, position_title
         `,
         namespace
       );
 
-      return {
-        nodes: nodes.records[0].get("c").toNumber(),
-      relationships: rels.records[0].get("c").toNumber(),
-      };
-    });
+      const relationships = result.records.map((rec) => {
+        const occupants = rec.get("occupants");
+        return {
+          from_name: rec.get("from_name"),
+          to_name: occupants.length ? occupants.join(", ") : null,
+          priority: rec.get("priority"),
+          campaign_id: rec.get("campaign_id"),
+          position_id: rec.get("position_id"),
+          position_title: rec.get("position_title"),
+        };
+      });
+
+      return res.json({
+        status: "OK",
+        companyId: scope.companyId,
+        perimeterId: scope.perimeterId,
+        model,
+        relationships,
+      });
+    } catch (err) {
+      log("ERROR", "graph_summary_failed", {
+        companyId: scope.companyId,
+        perimeterId: scope.perimeterId,
+        model,
+        message: err?.message || "Unknown error",
+      });
+      return res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+    } finally {
+      await session.close();
+    }
+  }
+
+  try {
+    const relationships = await graphStore.listRelationships(session, namespace);
 
     res.json({
       status: "OK",
       companyId: scope.companyId,
       perimeterId: scope.perimeterId,
-      campaignId,
-      ...out,
+      relationships,
     });
   } catch (err) {
-    log("ERROR", "build_graph_failed", {
+    log("ERROR", "graph_summary_failed", {
       companyId: scope.companyId,
       perimeterId: scope.perimeterId,
       message: err?.message || "Unknown error",
     });
     res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
   } finally {
-    await session.close();
+    await session.close(); // ✅ fondamentale
   }
 });
 
 /* ----------------------------------
-   Chains (Admin only)
+   Graph export (Admin only)
+   -> Person/CANDIDATO_A della campagna in streaming come GraphML, GEXF, DOT o CSV
+      (CSV: una parte per richiesta, part=nodes|edges); le chain passate vengono evidenziate
 ---------------------------------- */
-app.post("/graph/chains", requireAdmin, async (req, res) => {
+const EXPORT_CSV_PARTS = new Set(["nodes", "edges"]);
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function escapeDot(value) {
+  return `"${String(value ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Indice delle chain da evidenziare: nodo -> [indici chain], "from>to" -> [indici chain].
+ * Accetta chain come { users: [...] } (formato di /graph/chains) o come array di user id.
+ */
+function indexHighlightedChains(chains) {
+  const nodes = new Map();
+  const edges = new Map();
+  (Array.isArray(chains) ? chains : []).forEach((chain, i) => {
+    const users = normalizeUserIdList(Array.isArray(chain) ? chain : chain?.users) ?? [];
+    users.forEach((userId, step) => {
+      const next = users[(step + 1) % users.length];
+      if (!nodes.has(userId)) nodes.set(userId, []);
+      nodes.get(userId).push(i);
+      if (users.length < 2) return;
+      const key = `${userId}>${next}`;
+      if (!edges.has(key)) edges.set(key, []);
+      edges.get(key).push(i);
+    });
+  });
+  return { nodes, edges };
+}
+
+const GRAPH_EXPORT_FORMATS = {
+  graphml: {
+    contentType: "application/graphml+xml; charset=utf-8",
+    extension: "graphml",
+    begin: ({ campaignId }) =>
+      [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<graphml xmlns="http://graphml.graphdrawing.org/xmlns">`,
+        `  <key id="name" for="node" attr.name="name" attr.type="string"/>`,
+        `  <key id="leaving" for="node" attr.name="leaving" attr.type="boolean"/>`,
+        `  <key id="backfillable" for="node" attr.name="backfillable" attr.type="boolean"/>`,
+        `  <key id="highlight" for="all" attr.name="highlight" attr.type="boolean"><default>false</default></key>`,
+        `  <key id="chains" for="all" attr.name="chains" attr.type="string"/>`,
+        `  <key id="priority" for="edge" attr.name="priority" attr.type="double"/>`,
+        `  <key id="campaign_id" for="edge" attr.name="campaign_id" attr.type="string"/>`,
+        `  <key id="application_id" for="edge" attr.name="application_id" attr.type="string"/>`,
+        `  <key id="position_id" for="edge" attr.name="position_id" attr.type="string"/>`,
+        `  <graph id="${escapeXml(campaignId)}" edgedefault="directed">`,
+        "",
+      ].join("\n"),
+    node: (n) => {
+      const data = [
+        ["name", n.name],
+        ["leaving", n.leaving],
+        ["backfillable", n.backfillable],
+        ...(n.chains.length ? [["highlight", true], ["chains", n.chains.join(",")]] : []),
+      ]
+        .filter(([, v]) => v !== null && v !== undefined)
+        .map(([k, v]) => `<data key="${k}">${escapeXml(v)}</data>`)
+        .join("");
+      return `    <node id="${escapeXml(n.id)}">${data}</node>\n`;
+    },
+    between: () => "",
+    edge: (e) => {
+      const data = [
+        ["priority", e.priority],
+        ["campaign_id", e.campaignId],
+        ["application_id", e.applicationId],
+        ["position_id", e.positionId],
+        ...(e.chains.length ? [["highlight", true], ["chains", e.chains.join(",")]] : []),
+      ]
+        .filter(([, v]) => v !== null && v !== undefined)
+        .map(([k, v]) => `<data key="${k}">${escapeXml(v)}</data>`)
+        .join("");
+      return `    <edge source="${escapeXml(e.from)}" target="${escapeXml(e.to)}">${data}</edge>\n`;
+    },
+    end: () => "  </graph>\n</graphml>\n",
+  },
+
+  gexf: {
+    contentType: "application/gexf+xml; charset=utf-8",
+    extension: "gexf",
+    begin: ({ campaignId }) =>
+      [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">`,
+        `  <meta><description>campaign ${escapeXml(campaignId)}</description></meta>`,
+        `  <graph defaultedgetype="directed" mode="static">`,
+        `    <attributes class="node">`,
+        `      <attribute id="leaving" title="leaving" type="boolean"/>`,
+        `      <attribute id="backfillable" title="backfillable" type="boolean"/>`,
+        `      <attribute id="highlight" title="highlight" type="boolean"><default>false</default></attribute>`,
+        `      <attribute id="chains" title="chains" type="string"/>`,
+        `    </attributes>`,
+        `    <attributes class="edge">`,
+        `      <attribute id="campaign_id" title="campaign_id" type="string"/>`,
+        `      <attribute id="application_id" title="application_id" type="string"/>`,
+        `      <attribute id="position_id" title="position_id" type="string"/>`,
+        `      <attribute id="highlight" title="highlight" type="boolean"><default>false</default></attribute>`,
+        `      <attribute id="chains" title="chains" type="string"/>`,
+        `    </attributes>`,
+        `    <nodes>`,
+        "",
+      ].join("\n"),
+    node: (n) => {
+      const values = [
+        ["leaving", n.leaving],
+        ["backfillable", n.backfillable],
+        ...(n.chains.length ? [["highlight", true], ["chains", n.chains.join(",")]] : []),
+      ]
+        .filter(([, v]) => v !== null && v !== undefined)
+        .map(([k, v]) => `<attvalue for="${k}" value="${escapeXml(v)}"/>`)
+        .join("");
+      const color = n.chains.length ? `<viz:color r="220" g="38" b="38"/>` : "";
+      return `      <node id="${escapeXml(n.id)}" label="${escapeXml(n.name ?? n.id)}"><attvalues>${values}</attvalues>${color}</node>\n`;
+    },
+    between: () => "    </nodes>\n    <edges>\n",
+    edge: (e, i) => {
+      const values = [
+        ["campaign_id", e.campaignId],
+        ["application_id", e.applicationId],
+        ["position_id", e.positionId],
+        ...(e.chains.length ? [["highlight", true], ["chains", e.chains.join(",")]] : []),
+      ]
+        .filter(([, v]) => v !== null && v !== undefined)
+        .map(([k, v]) => `<attvalue for="${k}" value="${escapeXml(v)}"/>`)
+        .join("");
+      const weight = e.priority !== null ? ` weight="${escapeXml(e.priority)}"` : "";
+      const color = e.chains.length ? `<viz:color r="220" g="38" b="38"/><viz:thickness value="3"/>` : "";
+      return `      <edge id="e${i}" source="${escapeXml(e.from)}" target="${escapeXml(e.to)}"${weight}><attvalues>${values}</attvalues>${color}</edge>\n`;
+    },
+    end: () => "    </edges>\n  </graph>\n</gexf>\n",
+  },
+
+  dot: {
+    contentType: "text/vnd.graphviz; charset=utf-8",
+    extension: "dot",
+    begin: ({ campaignId }) =>
+      `digraph ${escapeDot(`campaign ${campaignId}`)} {\n  node [shape=box];\n`,
+    node: (n) => {
+      const attrs = [
+        `label=${escapeDot(n.name ?? n.id)}`,
+        ...(n.leaving ? ["style=dashed"] : []),
+        ...(n.chains.length ? ["color=red", "penwidth=2", `chains=${escapeDot(n.chains.join(","))}`] : []),
+      ];
+      return `  ${escapeDot(n.id)} [${attrs.join(", ")}];\n`;
+    },
+    between: () => "",
+    edge: (e) => {
+      const attrs = [
+        ...(e.priority !== null ? [`label=${escapeDot(e.priority)}`, `priority=${escapeDot(e.priority)}`] : []),
+        `campaign_id=${escapeDot(e.campaignId)}`,
+        ...(e.chains.length ? ["color=red", "penwidth=2", `chains=${escapeDot(e.chains.join(","))}`] : []),
+      ];
+      return `  ${escapeDot(e.from)} -> ${escapeDot(e.to)} [${attrs.join(", ")}];\n`;
+    },
+    end: () => "}\n",
+  },
+
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    begin: ({ part }) =>
+      part === "nodes"
+        ? "id,name,leaving,backfillable,highlight,chains\n"
+        : "source,target,priority,campaign_id,application_id,position_id,highlight,chains\n",
+    node: (n) =>
+      `${[n.id, n.name, n.leaving, n.backfillable, n.chains.length > 0, n.chains.join(" ")].map(escapeCsv).join(",")}\n`,
+    between: () => "",
+    edge: (e) =>
+      `${[
+        e.from,
+        e.to,
+        e.priority,
+        e.campaignId,
+        e.applicationId,
+        e.positionId,
+        e.chains.length > 0,
+        e.chains.join(" "),
+      ].map(escapeCsv).join(",")}\n`,
+    end: () => "",
+  },
+};
+
+class ClientGoneError extends Error {
+  constructor() {
+    super("Client disconnected");
+    this.name = "ClientGoneError";
+  }
+}
+
+// se il client chiude a metà stream "drain" non arriva più: si attende anche "close" e si smette di scrivere
+async function writeChunk(res, chunk) {
+  if (res.destroyed) throw new ClientGoneError();
+  if (!chunk || res.write(chunk)) return;
+  const ac = new AbortController();
+  try {
+    const closed = await Promise.race([
+      once(res, "drain", { signal: ac.signal }).then(() => false),
+      once(res, "close", { signal: ac.signal }).then(() => true),
+    ]);
+    if (closed) throw new ClientGoneError();
+  } finally {
+    ac.abort();
+  }
+}
+
+app.post("/graph/export", requireAdmin, readOnlyAccess, limitGraphConcurrency, async (req, res) => {
   const scope = getTenantScopeOrRespond(req, res);
   if (!scope) return;
-  const warm = await ensureNeo4jOrWaitResponse(res, "graph_chains", scope);
-  if (!warm) return;
-  const namespace = resolveGraphNamespace(scope);
-  const campaignId = resolveCampaignId(req);
-  if (!campaignId) {
+  const campaignId = getCampaignIdOrRespond(req, res);
+  if (!campaignId) return;
+  const format = asNonEmptyString(req.body?.format) || asNonEmptyString(req.query?.format) || "graphml";
+  if (!Object.hasOwn(GRAPH_EXPORT_FORMATS, format)) {
     return res.status(400).json({
       status: "ERROR",
-      code: "CAMPAIGN_ID_REQUIRED",
-      message: "campaignId/campaign_id is required",
+      code: "INVALID_EXPORT_FORMAT",
+      message: `format must be one of: ${Object.keys(GRAPH_EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+  const writer = GRAPH_EXPORT_FORMATS[format];
+  const part = asNonEmptyString(req.body?.part) || asNonEmptyString(req.query?.part);
+  if (format === "csv" && !EXPORT_CSV_PARTS.has(part)) {
+    return res.status(400).json({
+      status: "ERROR",
+      code: "INVALID_EXPORT_PART",
+      message: "csv export requires part=nodes or part=edges",
     });
   }
-  const session = driver.session();
+  const warm = await ensureNeo4jOrWaitResponse(res, "graph_export", scope);
+  if (!warm) return;
+
+  const namespace = resolveGraphNamespace(scope);
+  const params = { ...namespace, campaignId };
+  const highlighted = indexHighlightedChains(req.body?.chains);
+  const withNodes = format !== "csv" || part === "nodes";
+  const withEdges = format !== "csv" || part === "edges";
+  const session = openGraphSession(namespace);
+  let nodes = 0;
+  let edges = 0;
 
   try {
-    const reqMaxLen = Number(req.body?.maxLen ?? 10);
-    const maxLen = Number.isFinite(reqMaxLen) ? Math.min(15, Math.max(2, reqMaxLen)) : 10;
-    const cypher = `
-      MATCH path = (n:Person)-[rels:CANDIDATO_A*2..${maxLen}]->(n)
-      WHERE n.company_id = $companyId
-        AND n.perimeter_id = $perimeterId
-      WITH path, nodes(path) AS ns, rels
-      WHERE size(ns[0..-1]) = size(apoc.coll.toSet(ns[0..-1]))
-        AND ALL(n IN ns WHERE n.company_id = $companyId AND n.perimeter_id = $perimeterId)
-        AND ALL(r IN rels WHERE r.company_id = $companyId AND r.perimeter_id = $perimeterId AND r.campaign_id = $campaignId)
-      WITH
-        ns[0..-1] AS persons,
-        rels,
-        CASE
-          WHEN ANY(r IN rels WHERE r.priority IS NULL)
-          THEN null
-          ELSE round(
-            reduce(total = 0.0, r IN rels | total + toFloat(r.priority))
-            / size(rels)
-            * 100
-          ) / 100
-        END AS avgPriority
-      RETURN
-        [p IN persons | coalesce(p.user_id, p.id)] AS users,
-        [p IN persons | coalesce(p.full_name, p.id)] AS peopleNames,
-        size(persons) AS length,
-        avgPriority
-    `;
-
-    const result = await session.run(cypher, { ...namespace, campaignId });
+    const suffix = format === "csv" ? `-${part}` : "";
+    res.status(200);
+    res.setHeader("Content-Type", writer.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="campaign-${String(campaignId).replace(/[^\w.-]/g, "_")}${suffix}.${writer.extension}"`
+    );
+    await writeChunk(res, writer.begin({ campaignId, part }));
 
-    const seen = new Set();
-    const chains = result.records
-      .map((rec) => {
-        const users = rec.get("users");
-        const peopleNames = rec.get("peopleNames");
-        const key = users.slice().sort().join("|");
-        return {
-          key,
-          users,
-          peopleNames,
-          length: rec.get("length").toNumber(),
-          avgPriority: rec.get("avgPriority"),
-        };
-      })
-      .filter((c) => {
-        if (seen.has(c.key)) return false;
-        seen.add(c.key);
-        return true;
-      })
-      .map(({ key, ...rest }) => rest);
+    if (withNodes) {
+      const nodeResult = session.run(
+        `
+        MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+              -[:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]-
+              (:Person {company_id: $companyId, perimeter_id: $perimeterId})
+        WITH DISTINCT a
+        RETURN a.user_id AS id, a.full_name AS name,
+               coalesce(a.leaving, false) AS leaving, a.backfillable AS backfillable
+        ORDER BY id
+        `,
+        params
+      );
+      for await (const rec of nodeResult) {
+        const id = rec.get("id");
+        await writeChunk(res, writer.node({
+          id,
+          name: rec.get("name"),
+          leaving: rec.get("leaving"),
+          backfillable: rec.get("backfillable"),
+          chains: highlighted.nodes.get(id) ?? [],
+        }));
+        nodes++;
+      }
+    }
+    await writeChunk(res, writer.between());
 
-    res.json({
-      status: "OK",
+    if (withEdges) {
+      const edgeResult = session.run(
+        `
+        MATCH (a:Person {company_id: $companyId, perimeter_id: $perimeterId})
+              -[r:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId, campaign_id: $campaignId}]->
+              (b:Person {company_id: $companyId, perimeter_id: $perimeterId})
+        RETURN a.user_id AS from, b.user_id AS to, r.priority AS priority,
+               r.application_id AS applicationId, r.position_id AS positionId
+        ORDER BY from, to
+        `,
+        params
+      );
+      for await (const rec of edgeResult) {
+        const from = rec.get("from");
+        const to = rec.get("to");
+        await writeChunk(res, writer.edge({
+          from,
+          to,
+          priority: toNumberOrNull(rec.get("priority")),
+          campaignId,
+          applicationId: rec.get("applicationId"),
+          positionId: rec.get("positionId"),
+          chains: highlighted.edges.get(`${from}>${to}`) ?? [],
+        }, edges));
+        edges++;
+      }
+    }
+
+    await writeChunk(res, writer.end());
+    res.end();
+    log("INFO", "graph_export", {
       companyId: scope.companyId,
       perimeterId: scope.perimeterId,
       campaignId,
-      chains,
+      format,
+      nodes,
+      edges,
     });
   } catch (err) {
-    log("ERROR", "graph_chains_failed", {
+    if (err instanceof ClientGoneError) {
+      log("WARN", "graph_export_aborted", { companyId: scope.companyId, perimeterId: scope.perimeterId, format, nodes, edges });
+      return;
+    }
+    log("ERROR", "graph_export_failed", {
       companyId: scope.companyId,
       perimeterId: scope.perimeterId,
+      format,
       message: err?.message || "Unknown error",
     });
-    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+    // a stream avviato non si può più cambiare lo status: si tronca la risposta
+    if (res.headersSent) res.destroy(err);
+    else res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
   } finally {
     await session.close();
   }
 });
 
-/* ----------------------------------
-   Graph Summary (RELATIONS) (Admin only)
-   -> serve ad AdminCandidatures (tabella Da/A/Priorità)
----------------------------------- */
-app.post("/graph/summary", requireAdmin, async (req, res) => {
-  const scope = getTenantScopeOrRespond(req, res);
-  if (!scope) return;
-  const warm = await ensureNeo4jOrWaitResponse(res, "graph_summary", scope);
-  if (!warm) return;
-  const namespace = resolveGraphNamespace(scope);
-  const session = driver.session();
+app.post("/api/test-scenarios/:id/initialize", requireAdmin, auditTrail("scenario_initialize"), async (req, res) => {
+  if (!requireHarnessEnabled(res)) return;
+  const scenarioId = req.params.id;
+  const dryRun = wantsDryRun(req);
 
   try {
-    const cypher = `
-      MATCH (a:Person)-[r:CANDIDATO_A]->(b:Person)
-      WHERE a.company_id = $companyId
-        AND a.perimeter_id = $perimeterId
-        AND b.company_id = $companyId
-        AND b.perimeter_id = $perimeterId
-        AND r.company_id = $companyId
-        AND r.perimeter_id = $perimeterId
-      RETURN 
-        coalesce(a.full_name, a.id) AS from_name,
-        coalesce(b.full_name, b.id) AS to_name,
-        r.priority AS priority
-      ORDER BY from_name, to_name
-    `;
-
-    const result = await session.run(cypher, namespace);
-
-    const relationships = result.records.map((rec) => ({
-      from_name: rec.get("from_name"),
-      to_name: rec.get("to_name"),
-      priority: rec.get("priority"),
-    }));
+    // 1) Carica le candidature scenario (isolated): tutte nello stesso company/perimeter
+    const { data: scenApps, error: scenErr } = await supabaseAdmin
+      .from("test_scenario_applications")
+      .select("user_id, position_id, priority, company_id, perimeter_id")
+      .eq("scenario_id", scenarioId);
+    if (scenErr) return res.status(500).json({ status: "ERROR", message: scenErr.message });
+    if (!scenApps || scenApps.length === 0) {
+      return res.status(404).json({
+        status: "ERROR",
+        code: "SCENARIO_NOT_FOUND",
+        message: "No scenario applications found",
+      });
+    }
+    const scopes = new Set(scenApps.map((a) => `${a.company_id ?? ""}::${a.perimeter_id ?? ""}`));
+    const { company_id: companyId, perimeter_id: perimeterId } = scenApps[0];
+    if (!companyId || !perimeterId || scopes.size > 1) {
+      return res.status(422).json({
+        status: "ERROR",
+        code: "SCENARIO_SCOPE_INVALID",
+        message: "test scenario rows must share one company/perimeter scope",
+      });
+    }
+    const scope = { companyId: String(companyId), perimeterId: String(perimeterId) };
+    if (!canAccessScope(req.auth, scope, "write")) return rejectScopeForbidden(res);
+    const namespace = resolveGraphNamespace(scope);
+
+    const requestedCampaignId = resolveCampaignId(req);
+    const campaignId = requestedCampaignId
+      ? await findCampaignInScope(namespace, requestedCampaignId)
+      : await findActiveCampaignId(namespace);
+    if (!campaignId) {
+      return res.status(404).json({
+        status: "ERROR",
+        code: "CAMPAIGN_NOT_FOUND",
+        message: "No active campaign for the scenario company/perimeter",
+      });
+    }
 
-    res.json({
-      status: "OK",
-      companyId: scope.companyId,
-      perimeterId: scope.perimeterId,
-      relationships,
+    const base = { scenarioId, companyId: scope.companyId, perimeterId: scope.perimeterId, campaignId };
+    const plan = await loadScenarioPlan(namespace, campaignId, scenApps);
+    if (plan.outOfScopeUserIds.length) {
+      return res.status(422).json({ status: "ERROR", ...scenarioOutOfScopeError(plan.outOfScopeUserIds).body });
+    }
+    if (plan.ruleViolations.length) {
+      return rejectApplicationRules(
+        res,
+        `Scenario rejected: ${plan.ruleViolations.length} rule(s) violated`,
+        plan.ruleViolations,
+        "scenario"
+      );
+    }
+    if (dryRun) return res.json({ status: "OK", dryRun: true, ...base, ...summarizeScenarioPlan(plan) });
+
+    // Risposta immediata: evita timeouts, lo stato si segue su /jobs/:jobId
+    const job = enqueueJob({
+      type: "scenario_initialize",
+      scope,
+      meta: { scenarioId, campaignId },
+      run: (job) => initializeTestScenario({ ...base, namespace, scenApps }, job),
     });
+    res.status(202).location(`/jobs/${job.id}`).json({ status: "ACCEPTED", ...base, job: jobToJson(job) });
   } catch (err) {
-    log("ERROR", "graph_summary_failed", {
-      companyId: scope.companyId,
-      perimeterId: scope.perimeterId,
-      message: err?.message || "Unknown error",
-    });
-    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
-  } finally {
-    await session.close(); // ✅ fondamentale
+    res.status(500).json({ status: "ERROR", message: err?.message || "Unknown error" });
   }
 });
 
-app.post("/api/test-scenarios/:id/initialize", requireAdmin, async (req, res) => {
-  if (!requireHarnessEnabled(res)) return;
-  const scenarioId = req.params.id;
-
-  // Risposta immediata: evita timeouts e rende l’API "prodotto-like"
-  res.status(202).json({ status: "accepted", scenarioId });
-
-  setImmediate(async () => {
-    try {
-      console.log("[initialize] start", { scenarioId });
-
-      // 1) Carica le candidature scenario (isolated)
-      const { data: scenApps, error: scenErr } = await supabaseAdmin
-        .from("test_scenario_applications")
-        .select("user_id, position_id, priority, company_id, perimeter_id")
-        .eq("scenario_id", scenarioId);
-
-      if (scenErr) throw new Error(`test_scenario_applications: ${scenErr.message}`);
-      if (!scenApps || scenApps.length === 0) {
-        console.log("[initialize] no scenario applications found", { scenarioId });
-        return;
-      }
-
-      const scopeCompanyId = scenApps[0]?.company_id ?? null;
-      const scopePerimeterId = scenApps[0]?.perimeter_id ?? null;
-      if (!scopeCompanyId || !scopePerimeterId) {
-        throw new Error("test scenario rows missing company/perimeter scope");
-      }
-
-      const { data: activeCampaign, error: activeCampaignErr } = await supabaseAdmin
-        .from("campaigns")
-        .select("id")
-        .eq("company_id", scopeCompanyId)
-        .eq("perimeter_id", scopePerimeterId)
-        .neq("status", "campaign_closed")
-        .order("created_at", { ascending: false })
-        .limit(1)
-        .maybeSingle();
-      if (activeCampaignErr) throw new Error(`campaigns lookup: ${activeCampaignErr.message}`);
-      if (!activeCampaign?.id) throw new Error("no active campaign for scenario initialize");
-
-      // 2) Reset: tutti inactive + delete applications
-      const { error: upErr } = await supabaseAdmin
-        .from("users")
-        .update({ availability_status: "inactive" })
-        .neq("availability_status", "inactive");
-      if (upErr) throw new Error(`users inactive: ${upErr.message}`);
-
-      const { error: delErr } = await supabaseAdmin
-        .from("applications")
-        .delete()
-        .neq("id", "00000000-0000-0000-0000-000000000000");
-      if (delErr) throw new Error(`delete applications: ${delErr.message}`);
-
-      // 3) Inserisci applications reali (schema: user_id -> position_id)
-      const appRows = scenApps.map((a) => ({
-        user_id: a.user_id,
-        position_id: a.position_id,
-        priority: a.priority,
-        company_id: a.company_id,
-        perimeter_id: a.perimeter_id,
-        campaign_id: activeCampaign.id,
-      }));
-
-      const { error: insErr } = await supabaseAdmin.from("applications").insert(appRows);
-      if (insErr) throw new Error(`insert applications: ${insErr.message}`);
-
-      // 4) Attiva utenti coinvolti:
-      //    - tutti i candidati (user_id)
-      //    - tutti gli occupanti delle posizioni target (positions.occupied_by)
-      const candidateUserIds = [...new Set(appRows.map((r) => r.user_id))];
-      const positionIds = [...new Set(appRows.map((r) => r.position_id).filter(Boolean))];
-
-      const { data: posRows, error: posErr } = await supabaseAdmin
-        .from("positions")
-        .select("id, occupied_by")
-        .in("id", positionIds);
-
-      if (posErr) throw new Error(`positions (for activation): ${posErr.message}`);
-
-      const targetUserIds = [...new Set((posRows ?? []).map((p) => p.occupied_by).filter(Boolean))];
-      const activeUserIds = [...new Set([...candidateUserIds, ...targetUserIds])];
+async function initializeTestScenario({ scenarioId, campaignId, namespace, scenApps }, job) {
+  log("INFO", "scenario_initialize_start", { scenarioId, campaignId, jobId: job.id });
+  job.reportProgress({ stage: "planning", done: 0, total: 4 });
+  // ripianificato nel job: i dati possono essere cambiati dopo la richiesta
+  const plan = await loadScenarioPlan(namespace, campaignId, scenApps);
+  if (plan.outOfScopeUserIds.length) throw scenarioOutOfScopeError(plan.outOfScopeUserIds);
+  if (plan.ruleViolations.length) {
+    const err = new Error(`Scenario rejected: ${plan.ruleViolations.length} rule(s) violated`);
+    err.body = { code: "APPLICATION_RULES_VIOLATED", message: err.message, violations: plan.ruleViolations };
+    throw err;
+  }
+  job.throwIfCancelled();
 
-      const { error: actErr } = await supabaseAdmin
-        .from("users")
-        .update({ availability_status: "active" })
-        .in("id", activeUserIds);
+  const compensations = createCompensations();
+  try {
+    // 2) Reset della sola campagna: utenti coinvolti inactive + candidature della campagna
+    job.reportProgress({ stage: "reset", done: 1 });
+    await applyTenantReset(plan, compensations);
 
-      if (actErr) throw new Error(`set active users: ${actErr.message}`);
+    // 3) Inserisci applications reali (schema: user_id -> position_id)
+    job.reportProgress({ stage: "insert_applications", done: 2 });
+    const { data: inserted, error: insErr } = await supabaseAdmin
+      .from("applications")
+      .insert(plan.applicationsToInsert)
+      .select("id");
+    if (insErr) throw new Error(`insert applications: ${insErr.message}`);
+    compensations.push("insert_applications", () =>
+      deleteRowsByIds("applications", (inserted ?? []).map((a) => a.id))
+    );
+    job.throwIfCancelled();
 
-      console.log("[initialize] applied scenario", {
-        scenarioId,
-        applicationsInserted: appRows.length,
-        activeUsers: activeUserIds.length,
-      });
+    // 4) Attiva utenti coinvolti (candidati + occupanti delle posizioni target)
+    job.reportProgress({ stage: "activate_users", done: 3 });
+    await updateRowsByIds("users", { availability_status: "active" }, plan.usersToActivate.map((u) => u.id));
+    compensations.push("activate_users", () => restoreAvailability(plan.usersToActivate));
+  } catch (err) {
+    job.reportProgress({ stage: "rollback" });
+    const rollback = await compensations.rollback();
+    log("ERROR", "scenario_initialize_rolled_back", {
+      scenarioId,
+      jobId: job.id,
+      message: err?.message || "Unknown error",
+      rollback,
+    });
+    if (err instanceof JobCancelledError) throw err;
+    const failure = new Error(err?.message || "Unknown error");
+    failure.body = { code: "SCENARIO_INITIALIZE_FAILED", message: failure.message, rollback };
+    throw failure;
+  }
 
-      console.log("[initialize] done", { scenarioId });
-    } catch (e) {
-      console.error("[initialize] failed", {
-        scenarioId,
-        err: e?.message,
-        stack: e?.stack,
-      });
-    }
-  });
-});
+  job.reportProgress({ stage: "done", done: 4 });
+  const result = {
+    scenarioId,
+    campaignId,
+    usersDeactivated: plan.usersToDeactivate.length,
+    applicationsDeleted: plan.applicationsToDelete.length,
+    applicationsInserted: plan.applicationsToInsert.length,
+    activeUsers: plan.usersToActivate.length,
+  };
+  log("INFO", "scenario_initialize_done", { jobId: job.id, ...result });
+  return result;
+}
 
 
 
@@ -929,6 +10127,7 @@ app.post("/api/test-scenarios/:id/initialize", requireAdmin, async (req, res) =>
 ---------------------------------- */
 app.get("/api/_debug/scenario/:id/inspect", requireAdmin, async (req, res) => {
   if (!requireDebugEnabled(res)) return;
+  if (!requireSuperAdmin(req, res)) return;
   const scenarioId = req.params.id;
 
 
@@ -989,8 +10188,9 @@ app.get("/api/_debug/scenario/:id/inspect", requireAdmin, async (req, res) => {
 /* ----------------------------------
    DEBUG: Check current effects in DB
 ---------------------------------- */
-app.get("/api/_debug/effects", requireAdmin, async (_req, res) => {
+app.get("/api/_debug/effects", requireAdmin, async (req, res) => {
   if (!requireDebugEnabled(res)) return;
+  if (!requireSuperAdmin(req, res)) return;
   try {
     const { data: activeUsers, error: auErr } = await supabaseAdmin
       .from("users")
@@ -1024,8 +10224,9 @@ app.get("/api/_debug/effects", requireAdmin, async (_req, res) => {
 /* ----------------------------------
    DEBUG: Check applications columns
 ---------------------------------- */
-app.get("/api/_debug/applications-columns", requireAdmin, async (_req, res) => {
+app.get("/api/_debug/applications-columns", requireAdmin, async (req, res) => {
   if (!requireDebugEnabled(res)) return;
+  if (!requireSuperAdmin(req, res)) return;
   const { data, error } = await supabaseAdmin
     .from("applications")
     .select("*")
@@ -1047,35 +10248,29 @@ app.get("/api/_debug/applications-columns", requireAdmin, async (_req, res) => {
 app.get("/graph/summary", requireAdmin, async (req, res) => {
   const scope = getTenantScopeOrRespond(req, res);
   if (!scope) return;
+  const model = getGraphModelOrRespond(req, res);
+  if (!model) return;
   const warm = await ensureNeo4jOrWaitResponse(res, "graph_summary_counts", scope);
   if (!warm) return;
   const namespace = resolveGraphNamespace(scope);
-  const session = driver.session();
+  const session = graphStore.openSession(namespace);
 
   try {
-    const nodes = await session.run(
-      `
-      MATCH (n:Person {company_id: $companyId, perimeter_id: $perimeterId})
-      RETURN count(n) AS c
-      `,
-      namespace
-    );
-    const rels = await session.run(
-      `
-      MATCH (:Person {company_id: $companyId, perimeter_id: $perimeterId})
-            -[r:CANDIDATO_A {company_id: $companyId, perimeter_id: $perimeterId}]->
-            (:Person {company_id: $companyId, perimeter_id: $perimeterId})
-      RETURN count(r) AS c
-      `,
-      namespace
-    );
+    if (model === "position") {
+      return res.json({
+        status: "OK",
+        companyId: scope.companyId,
+        perimeterId: scope.perimeterId,
+        model,
+        ...(await countPositionGraph(session, namespace)),
+      });
+    }
 
     res.json({
       status: "OK",
       companyId: scope.companyId,
       perimeterId: scope.perimeterId,
-      nodes: nodes.records[0].get("c").toNumber(),
-      relationships: rels.records[0].get("c").toNumber(),
+      ...(await graphStore.countPerimeterGraph(session, namespace)),
     });
   } catch (err) {
     log("ERROR", "graph_summary_counts_failed", {
@@ -1089,6 +10284,173 @@ app.get("/graph/summary", requireAdmin, async (req, res) => {
   }
 });
 
+/* ----------------------------------
+   Graph Analytics (Admin only)
+   -> gradi, SCC, partecipazione ai cicli e betweenness sul grafo "muovibile"
+      della campagna (stessi archi del motore nativo: i leavers sono esclusi)
+---------------------------------- */
+const ANALYTICS_DEFAULT_MAX_LEN = 6;
+const ANALYTICS_TIME_BUDGET_MS = 10000;
+
+/**
+ * Brandes (grafo orientato, non pesato) su liste di vicini già deduplicate:
+ * nel modello a posizioni la stessa coppia di persone può essere collegata da
+ * più posizioni e gli archi paralleli gonfierebbero sigma. Normalizzata su
+ * (n-1)(n-2): 1 = la persona sta su tutti i cammini minimi tra le altre.
+ * Gira in un worker (vedi BETWEENNESS_WORKER_SOURCE): deve restare autosufficiente.
+ */
+function brandesBetweenness(n, neighbours) {
+  const score = new Array(n).fill(0);
+  for (let s = 0; s < n; s++) {
+    const stack = [];
+    const preds = Array.from({ length: n }, () => []);
+    const sigma = new Array(n).fill(0);
+    const dist = new Array(n).fill(-1);
+    sigma[s] = 1;
+    dist[s] = 0;
+    const queue = [s];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      for (const w of neighbours[v]) {
+        if (dist[w] < 0) {
+          dist[w] = dist[v] + 1;
+          queue.push(w);
+        }
+        if (dist[w] === dist[v] + 1) {
+          sigma[w] += sigma[v];
+          preds[w].push(v);
+        }
+      }
+    }
+    const delta = new Array(n).fill(0);
+    while (stack.length) {
+      const w = stack.pop();
+      for (const v of preds[w]) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      if (w !== s) score[w] += delta[w];
+    }
+  }
+  const norm = n > 2 ? (n - 1) * (n - 2) : 1;
+  return score.map((x) => Math.round((x / norm) * 10000) / 10000);
+}
+
+const BETWEENNESS_WORKER_SOURCE = `
+const { parentPort, workerData } = require("node:worker_threads");
+${brandesBetweenness.toString()}
+parentPort.postMessage(brandesBetweenness(workerData.n, workerData.neighbours));
+`;
+
+/**
+ * O(V·E): fuori dal thread delle richieste. Oltre il budget il worker viene
+ * terminato e si risponde null (l'analisi resta valida senza betweenness).
+ */
+async function betweennessCentrality(graph, { timeBudgetMs = ANALYTICS_TIME_BUDGET_MS } = {}) {
+  const n = graph.vertices.length;
+  const neighbours = graph.out.map((edges) => [...new Set(edges.map((e) => e.toIndex))]);
+  const worker = new Worker(BETWEENNESS_WORKER_SOURCE, { eval: true, workerData: { n, neighbours } });
+  let timer;
+  try {
+    return await Promise.race([
+      once(worker, "message").then(([scores]) => scores),
+      once(worker, "exit").then(([code]) => {
+        throw new Error(`Betweenness worker exited with code ${code}`);
+      }),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), timeBudgetMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+    await worker.terminate();
+  }
+}
+
+app.get("/graph/analytics", requireAdmin, limitGraphConcurrency, async (req, res) => {
+  const scope = getTenantScopeOrRespond(req, res);
+  if (!scope) return;
+  const campaignId = getCampaignIdOrRespond(req, res);
+  if (!campaignId) return;
+  const model = getGraphModelOrRespond(req, res);
+  if (!model) return;
+  const warm = await ensureNeo4jOrWaitResponse(res, "graph_analytics", scope);
+  if (!warm) return;
+  const namespace = resolveGraphNamespace(scope);
+  const maxLen = clampInt(req.query?.maxLen, ANALYTICS_DEFAULT_MAX_LEN, CHAIN_MIN_LEN, CHAIN_MAX_LEN);
+  const session = graphStore.openSession(namespace);
+
+  try {
+    const graph = await graphStore.fetchCampaignAdjacency(session, namespace, campaignId, model);
+    const n = graph.vertices.length;
+
+    const inDegree = new Array(n).fill(0);
+    graph.out.forEach((edges) => edges.forEach((e) => inDegree[e.toIndex]++));
+
+    const components = stronglyConnectedComponents(graph).sort((a, b) => b.length - a.length);
+    const componentOf = new Array(n);
+    components.forEach((component, i) => component.forEach((v) => (componentOf[v] = i)));
+
+    const page = await enumerateChainPage(graph, {
+      maxLen,
+      limit: OPTIMAL_MAX_CANDIDATES,
+      timeBudgetMs: ANALYTICS_TIME_BUDGET_MS,
+    });
+    const cycleCount = new Map();
+    for (const chain of page.chains) {
+      for (const userId of chain.users) cycleCount.set(userId, (cycleCount.get(userId) ?? 0) + 1);
+    }
+
+    const betweenness = await betweennessCentrality(graph);
+    if (!betweenness) {
+      log("WARN", "graph_analytics_betweenness_timeout", { tenantKey: namespace.tenantKey, campaignId, vertices: n });
+    }
+    const people = graph.vertices
+      .map((userId, i) => ({
+        userId,
+        name: graph.names.get(userId) ?? userId,
+        inDegree: inDegree[i],
+        outDegree: graph.out[i].length,
+        scc: componentOf[i],
+        cycles: cycleCount.get(userId) ?? 0,
+        betweenness: betweenness ? betweenness[i] : null,
+      }))
+      .sort((a, b) => b.betweenness - a.betweenness || b.cycles - a.cycles || a.userId.localeCompare(b.userId));
+
+    res.json({
+      status: "OK",
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      tenantKey: namespace.tenantKey,
+      campaignId,
+      model,
+      people,
+      components: components
+        .map((component, id) => ({ id, size: component.length, users: component.map((v) => graph.vertices[v]) }))
+        .filter((c) => c.size > 1),
+      // nessuna SCC condivisa con altri: da solo non può entrare in nessun ciclo
+      noWayOut: people
+        .filter((p) => components[p.scc].length === 1)
+        .map(({ userId, name, inDegree: inDeg, outDegree }) => ({ userId, name, inDegree: inDeg, outDegree })),
+      keyConnectors: people.filter((p) => p.betweenness > 0).slice(0, 10),
+      betweennessTruncated: !betweenness,
+      cycles: {
+        maxLen,
+        total: page.chains.length,
+        truncated: page.truncated,
+        ...(page.truncatedReason ? { truncatedReason: page.truncatedReason } : {}),
+      },
+    });
+  } catch (err) {
+    log("ERROR", "graph_analytics_failed", {
+      companyId: scope.companyId,
+      perimeterId: scope.perimeterId,
+      message: err?.message || "Unknown error",
+    });
+    res.status(500).json({ status: "ERROR", message: err.message || "Unknown error" });
+  } finally {
+    await session.close();
+  }
+});
+
 app.get("/api/_debug/routes", (_req, res) => {
   if (!requireDebugEnabled(res)) return;
   const routes = [];
@@ -1104,6 +10466,29 @@ app.get("/api/_debug/routes", (_req, res) => {
 });
 
 
+/* ----------------------------------
+   Fallback: route sconosciute ed errori del body parser nello stesso envelope
+---------------------------------- */
+app.use((req, res) => {
+  res.status(404).json({
+    status: "ERROR",
+    code: "ROUTE_NOT_FOUND",
+    message: `${req.method} ${req.path} is not a known route`,
+  });
+});
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err?.type === "entity.parse.failed") {
+    return res.status(400).json({ status: "ERROR", code: "INVALID_JSON", message: "Request body is not valid JSON" });
+  }
+  if (err?.type === "entity.too.large") {
+    return res.status(413).json({ status: "ERROR", code: "PAYLOAD_TOO_LARGE", message: "Request body is too large" });
+  }
+  log("ERROR", "unhandled_route_error", { path: req.path, message: err?.message || "Unknown error" });
+  res.status(500).json({ status: "ERROR", code: "INTERNAL_ERROR", message: err?.message || "Unknown error" });
+});
+
 /* ----------------------------------
    START SERVER
 ---------------------------------- */
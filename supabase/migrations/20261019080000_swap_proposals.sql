@@ -0,0 +1,92 @@
+-- Proposte di scambio (POST /api/proposals) e i loro partecipanti, una riga per mossa della chain.
+-- users, applications, positions e campaigns non nascono da queste migrazioni: le chiavi esterne
+-- prendono il tipo della colonna id referenziata. company_id/perimeter_id restano text come nelle altre tabelle del service.
+-- Una candidatura cancellata chiude nella stessa transazione le proposte vive che la usano (status invalidated),
+-- poi il partecipante resta nello storico con application_id null.
+
+create or replace function pg_temp.id_type(p_table regclass)
+returns text
+language sql
+as $$
+  select format_type(a.atttypid, a.atttypmod)
+    from pg_attribute a
+   where a.attrelid = p_table
+     and a.attname = 'id';
+$$;
+
+do $$
+begin
+  execute format(
+    $ddl$
+    create table if not exists public.swap_proposals (
+      id text primary key default gen_random_uuid()::text,
+      company_id text not null,
+      perimeter_id text not null,
+      campaign_id %s not null references public.campaigns (id) on delete cascade,
+      status text not null default 'open'
+        check (status in ('open', 'confirmed', 'declined', 'cancelled', 'invalidated')),
+      chain jsonb not null,
+      note text,
+      closed_reason text,
+      created_at timestamptz not null default now(),
+      updated_at timestamptz not null default now()
+    )
+    $ddl$,
+    pg_temp.id_type('public.campaigns')
+  );
+
+  execute format(
+    $ddl$
+    create table if not exists public.swap_proposal_participants (
+      proposal_id text not null references public.swap_proposals (id) on delete cascade,
+      step integer not null check (step >= 0),
+      user_id %1$s not null references public.users (id) on delete cascade,
+      application_id %2$s references public.applications (id) on delete set null,
+      position_id %3$s references public.positions (id) on delete set null,
+      moves_to_user_id %1$s references public.users (id) on delete set null,
+      response text not null default 'pending' check (response in ('pending', 'accepted', 'declined')),
+      responded_at timestamptz,
+      primary key (proposal_id, step)
+    )
+    $ddl$,
+    pg_temp.id_type('public.users'),
+    pg_temp.id_type('public.applications'),
+    pg_temp.id_type('public.positions')
+  );
+end;
+$$;
+
+create index if not exists swap_proposals_tenant_idx
+  on public.swap_proposals (company_id, perimeter_id, campaign_id, status);
+create index if not exists swap_proposal_participants_user_idx
+  on public.swap_proposal_participants (user_id);
+create index if not exists swap_proposal_participants_application_idx
+  on public.swap_proposal_participants (application_id);
+
+alter table public.swap_proposals enable row level security;
+alter table public.swap_proposal_participants enable row level security;
+
+-- prima del DELETE: dopo, la chiave esterna ha già messo application_id a null
+create or replace function public.invalidate_proposals_of_deleted_application()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.swap_proposals p
+     set status = 'invalidated', closed_reason = 'application_deleted', updated_at = now()
+   where p.status in ('open', 'confirmed')
+     and exists (
+       select 1
+         from public.swap_proposal_participants pp
+        where pp.proposal_id = p.id
+          and pp.application_id = old.id
+     );
+  return old;
+end;
+$$;
+
+drop trigger if exists applications_invalidate_proposals on public.applications;
+create trigger applications_invalidate_proposals
+  before delete on public.applications
+  for each row
+  execute function public.invalidate_proposals_of_deleted_application();
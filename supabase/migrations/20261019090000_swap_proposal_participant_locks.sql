@@ -0,0 +1,60 @@
+-- Un utente può stare in una sola proposta open/confirmed alla volta (PROPOSAL_LOCKING_STATUSES in server.js).
+-- Lo stato della proposta è copiato su swap_proposal_participants.locking da un trigger,
+-- così il vincolo è un indice unico parziale e due creazioni concorrenti non possono bloccare gli stessi utenti.
+-- Prima di applicarla, eventuali utenti già in due proposte vive vanno risolti (cancel/invalidate di una delle due).
+
+alter table public.swap_proposal_participants
+  add column if not exists locking boolean not null default true;
+
+update public.swap_proposal_participants pp
+   set locking = p.status in ('open', 'confirmed')
+  from public.swap_proposals p
+ where p.id = pp.proposal_id;
+
+create or replace function public.sync_swap_proposal_participant_locks()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.swap_proposal_participants
+     set locking = new.status in ('open', 'confirmed')
+   where proposal_id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists swap_proposals_sync_participant_locks on public.swap_proposals;
+create trigger swap_proposals_sync_participant_locks
+  after update of status on public.swap_proposals
+  for each row
+  when (old.status is distinct from new.status)
+  execute function public.sync_swap_proposal_participant_locks();
+
+create unique index if not exists swap_proposal_participants_one_live_proposal
+  on public.swap_proposal_participants (user_id)
+  where locking;
+
+-- Proposta e partecipanti in una sola transazione: se un partecipante è già bloccato
+-- l'indice solleva 23505 e non resta nessuna proposta orfana.
+create or replace function public.create_swap_proposal(p_proposal jsonb, p_participants jsonb)
+returns public.swap_proposals
+language plpgsql
+as $$
+declare
+  created public.swap_proposals;
+begin
+  insert into public.swap_proposals (company_id, perimeter_id, campaign_id, status, chain, note)
+  select p.company_id, p.perimeter_id, p.campaign_id, 'open', p.chain, p.note
+    from jsonb_populate_record(null::public.swap_proposals, p_proposal) as p
+  returning * into created;
+
+  insert into public.swap_proposal_participants
+    (proposal_id, step, user_id, application_id, position_id, moves_to_user_id, response, locking)
+  select created.id, pp.step, pp.user_id, pp.application_id, pp.position_id, pp.moves_to_user_id, 'pending', true
+    from jsonb_populate_recordset(null::public.swap_proposal_participants, p_participants) as pp;
+
+  return created;
+end;
+$$;
+
+revoke execute on function public.create_swap_proposal(jsonb, jsonb) from public, anon, authenticated;
@@ -0,0 +1,10 @@
+-- Regole di business sulle chain, una config per company (vedi "Chain rules" in server.js).
+-- rules è già validato dal service (validateChainRules); una riga toccata a mano e non valida viene ignorata.
+
+create table if not exists public.chain_rule_configs (
+  company_id text primary key,
+  rules jsonb not null check (jsonb_typeof(rules) = 'object'),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.chain_rule_configs enable row level security;
@@ -0,0 +1,54 @@
+-- Audit trail (vedi "Audit trail" in server.js): una riga per richiesta che modifica dati.
+-- Append-only anche per chi ha la service role key: UPDATE, DELETE e TRUNCATE sono revocati
+-- e un trigger li rifiuta comunque. Una pulizia per retention va fatta da un owner, disattivando il trigger in modo esplicito.
+
+create table if not exists public.audit_events (
+  id bigint generated always as identity primary key,
+  action text not null,
+  actor_user_id text,
+  auth_mode text not null,
+  company_id text,
+  perimeter_id text,
+  campaign_id text,
+  method text not null,
+  route text not null,
+  params jsonb,
+  payload_summary jsonb,
+  result text not null check (result in ('success', 'accepted', 'error')),
+  status_code integer not null,
+  error_code text,
+  affected jsonb,
+  dry_run boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_events_created_at_idx on public.audit_events (created_at);
+create index if not exists audit_events_tenant_idx on public.audit_events (company_id, perimeter_id, created_at);
+create index if not exists audit_events_actor_idx on public.audit_events (actor_user_id, created_at);
+create index if not exists audit_events_action_idx on public.audit_events (action, created_at);
+
+alter table public.audit_events enable row level security;
+revoke update, delete, truncate on public.audit_events from public, anon, authenticated, service_role;
+grant select, insert on public.audit_events to service_role;
+
+create or replace function public.reject_audit_event_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_events is append-only (% not allowed)', tg_op
+    using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists audit_events_append_only on public.audit_events;
+create trigger audit_events_append_only
+  before update or delete on public.audit_events
+  for each row
+  execute function public.reject_audit_event_change();
+
+drop trigger if exists audit_events_no_truncate on public.audit_events;
+create trigger audit_events_no_truncate
+  before truncate on public.audit_events
+  for each statement
+  execute function public.reject_audit_event_change();
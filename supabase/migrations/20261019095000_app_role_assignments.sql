@@ -0,0 +1,47 @@
+-- Ruoli per company/perimeter (vedi "Scoped roles" in server.js), al posto di app_admins.
+-- company_id/perimeter_id null = tutta la company / globale; le combinazioni ammesse sono quelle
+-- di parseRoleAssignment. Una stessa assegnazione non può esistere due volte (null compresi).
+-- user_id prende il tipo di users.id, che questa serie di migrazioni non crea.
+
+create or replace function pg_temp.id_type(p_table regclass)
+returns text
+language sql
+as $$
+  select format_type(a.atttypid, a.atttypmod)
+    from pg_attribute a
+   where a.attrelid = p_table
+     and a.attname = 'id';
+$$;
+
+do $$
+begin
+  execute format(
+    $ddl$
+    create table if not exists public.app_role_assignments (
+      id text primary key default gen_random_uuid()::text,
+      user_id %s not null references public.users (id) on delete cascade,
+      role text not null check (role in ('analyst', 'perimeter_admin', 'company_admin', 'super_admin')),
+      company_id text,
+      perimeter_id text,
+      created_by text,
+      created_at timestamptz not null default now(),
+      constraint app_role_assignments_scope check (
+        case role
+          when 'super_admin' then company_id is null and perimeter_id is null
+          when 'company_admin' then company_id is not null and perimeter_id is null
+          when 'perimeter_admin' then company_id is not null and perimeter_id is not null
+          else company_id is not null
+        end
+      ),
+      constraint app_role_assignments_unique unique nulls not distinct (user_id, role, company_id, perimeter_id)
+    )
+    $ddl$,
+    pg_temp.id_type('public.users')
+  );
+end;
+$$;
+
+create index if not exists app_role_assignments_tenant_idx
+  on public.app_role_assignments (company_id, perimeter_id);
+
+alter table public.app_role_assignments enable row level security;
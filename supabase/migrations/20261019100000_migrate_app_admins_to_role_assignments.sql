@@ -0,0 +1,14 @@
+-- I ruoli ora stanno in app_role_assignments (vedi "Scoped roles" in server.js): ogni riga di
+-- app_admins diventa un super_admin globale (company_id/perimeter_id null).
+-- Idempotente: chi è già super_admin non viene duplicato.
+-- Dopo averla applicata si può spegnere il fallback con AUTH_LEGACY_APP_ADMINS=false.
+
+insert into public.app_role_assignments (user_id, role)
+select distinct a.user_id, 'super_admin'
+  from public.app_admins a
+ where not exists (
+   select 1
+     from public.app_role_assignments r
+    where r.user_id = a.user_id
+      and r.role = 'super_admin'
+ );
@@ -0,0 +1,18 @@
+-- Mappa database-per-tenant letta con GRAPH_TENANT_DATABASES=supabase (vedi "Database-per-tenant" in server.js)
+-- e scritta da POST /admin/tenant-databases. Un perimetro ha al più un database dedicato;
+-- più perimetri della stessa company possono condividerlo (il controllo tra company lo fa il service).
+
+create table if not exists public.graph_tenant_databases (
+  company_id text not null,
+  perimeter_id text not null,
+  database_name text not null check (database_name ~ '^[a-z][a-z0-9.-]{2,62}$' and database_name <> 'system'),
+  migrated_at timestamptz,
+  created_by text,
+  created_at timestamptz not null default now(),
+  primary key (company_id, perimeter_id)
+);
+
+create index if not exists graph_tenant_databases_database_idx
+  on public.graph_tenant_databases (database_name);
+
+alter table public.graph_tenant_databases enable row level security;
@@ -0,0 +1,102 @@
+-- Fence condiviso tra istanze per il provisioning database-per-tenant (POST /admin/tenant-databases):
+-- finché la riga è valida ogni istanza risponde 503 alle operazioni sul grafo del tenant e manda
+-- in dead-letter i webhook della company. expires_at protegge da un'istanza morta a metà copia:
+-- chi tiene il fence lo rinnova, una riga scaduta può essere ripresa da un altro holder.
+--
+-- Le scritture sul grafo si registrano in graph_tenant_writes prima di partire e la riga si cancella
+-- a fine sessione: il provisioning, preso il fence, copia solo quando non ne restano di valide.
+-- Fence e registrazione passano dallo stesso advisory lock, quindi una scrittura o è registrata
+-- prima del fence (e il provisioning la aspetta) o vede il fence e non parte.
+
+create table if not exists public.graph_tenant_fences (
+  company_id text not null,
+  perimeter_id text not null,
+  holder text not null,
+  reason text not null,
+  acquired_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  primary key (company_id, perimeter_id)
+);
+
+-- company_id/perimeter_id null = scrittura su tutte le company / tutti i perimetri della company
+-- (webhook su righe senza tenant certo)
+create table if not exists public.graph_tenant_writes (
+  id text primary key,
+  company_id text,
+  perimeter_id text,
+  started_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists graph_tenant_writes_tenant_idx
+  on public.graph_tenant_writes (company_id, perimeter_id, expires_at);
+
+alter table public.graph_tenant_fences enable row level security;
+alter table public.graph_tenant_writes enable row level security;
+
+-- true se il fence è stato preso (o rinnovato dallo stesso holder), null se lo tiene un altro
+create or replace function public.acquire_graph_tenant_fence(
+  p_company_id text,
+  p_perimeter_id text,
+  p_holder text,
+  p_reason text,
+  p_ttl_seconds integer
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  v_acquired boolean;
+begin
+  perform pg_advisory_xact_lock(hashtext('graph_tenant_fences'));
+  insert into public.graph_tenant_fences as f (company_id, perimeter_id, holder, reason, expires_at)
+  values (p_company_id, p_perimeter_id, p_holder, p_reason, now() + make_interval(secs => p_ttl_seconds))
+  on conflict (company_id, perimeter_id) do update
+     set holder = excluded.holder,
+         reason = excluded.reason,
+         acquired_at = case when f.holder = excluded.holder then f.acquired_at else now() end,
+         expires_at = excluded.expires_at
+   where f.holder = excluded.holder or f.expires_at < now()
+  returning true into v_acquired;
+  return v_acquired;
+end;
+$$;
+
+-- true se la scrittura è registrata (o rinnovata), false se il tenant è recintato: una scrittura
+-- già registrata si rinnova anche sotto fence, è quella che il provisioning sta aspettando
+create or replace function public.begin_graph_tenant_write(
+  p_id text,
+  p_company_id text,
+  p_perimeter_id text,
+  p_ttl_seconds integer
+)
+returns boolean
+language plpgsql
+as $$
+begin
+  perform pg_advisory_xact_lock(hashtext('graph_tenant_fences'));
+  update public.graph_tenant_writes
+     set expires_at = now() + make_interval(secs => p_ttl_seconds)
+   where id = p_id;
+  if found then
+    return true;
+  end if;
+
+  if exists (
+    select 1
+      from public.graph_tenant_fences f
+     where f.expires_at > now()
+       and (p_company_id is null or f.company_id = p_company_id)
+       and (p_perimeter_id is null or f.perimeter_id = p_perimeter_id)
+  ) then
+    return false;
+  end if;
+
+  insert into public.graph_tenant_writes (id, company_id, perimeter_id, expires_at)
+  values (p_id, p_company_id, p_perimeter_id, now() + make_interval(secs => p_ttl_seconds));
+  return true;
+end;
+$$;
+
+revoke execute on function public.acquire_graph_tenant_fence(text, text, text, text, integer) from public, anon, authenticated;
+revoke execute on function public.begin_graph_tenant_write(text, text, text, integer) from public, anon, authenticated;
@@ -0,0 +1,32 @@
+-- Regole sulle candidature, una config per campagna (vedi "Application rules" in server.js).
+-- rules è già validato dal service (validateApplicationRules); una riga toccata a mano e non valida viene ignorata.
+-- campaign_id prende il tipo di campaigns.id, che questa serie di migrazioni non crea.
+
+create or replace function pg_temp.id_type(p_table regclass)
+returns text
+language sql
+as $$
+  select format_type(a.atttypid, a.atttypmod)
+    from pg_attribute a
+   where a.attrelid = p_table
+     and a.attname = 'id';
+$$;
+
+do $$
+begin
+  execute format(
+    $ddl$
+    create table if not exists public.campaign_application_rules (
+      campaign_id %s primary key references public.campaigns (id) on delete cascade,
+      company_id text not null,
+      perimeter_id text not null,
+      rules jsonb not null check (jsonb_typeof(rules) = 'object'),
+      updated_at timestamptz not null default now()
+    )
+    $ddl$,
+    pg_temp.id_type('public.campaigns')
+  );
+end;
+$$;
+
+alter table public.campaign_application_rules enable row level security;
@@ -0,0 +1,45 @@
+-- Reorder atomico (POST /api/users/:userId/reorder-applications): le regole di campagna le controlla
+-- il service su una lettura delle candidature; qui, in una sola transazione, si bloccano le righe
+-- dell'utente nelle campagne toccate, si verifica che siano ancora quelle controllate
+-- (p_expected: { application_id: priority }) e si aggiornano tutte le priorità con un solo UPDATE.
+-- Se nel frattempo sono cambiate: errore 40001 e nessuna scrittura, il service rilegge e ricontrolla.
+
+create or replace function public.reorder_applications(
+  p_user_id text,
+  p_campaign_ids text[],
+  p_expected jsonb,
+  p_priorities jsonb
+)
+returns integer
+language plpgsql
+as $$
+declare
+  v_current jsonb;
+  v_updated integer;
+begin
+  select coalesce(jsonb_object_agg(a.id::text, a.priority), '{}'::jsonb)
+    into v_current
+    from (
+      select id, priority
+        from public.applications
+       where user_id::text = p_user_id
+         and campaign_id::text = any(p_campaign_ids)
+         for update
+    ) a;
+
+  if v_current is distinct from p_expected then
+    raise exception 'applications changed since the rules check'
+      using errcode = '40001';
+  end if;
+
+  update public.applications a
+     set priority = (p_priorities ->> a.id::text)::numeric
+   where a.user_id::text = p_user_id
+     and a.campaign_id::text = any(p_campaign_ids)
+     and p_priorities ? a.id::text;
+  get diagnostics v_updated = row_count;
+  return v_updated;
+end;
+$$;
+
+revoke execute on function public.reorder_applications(text, text[], jsonb, jsonb) from public, anon, authenticated;
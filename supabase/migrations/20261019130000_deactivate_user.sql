@@ -0,0 +1,94 @@
+-- Disattivazione a cascata (POST /api/users/:userId/deactivate) in una sola transazione:
+-- utente inactive, candidature sue e (policy remove) quelle verso le posizioni che occupa cancellate,
+-- posizioni liberate (policy vacancy) e proposte open/confirmed coinvolte invalidate.
+-- Le candidature si cancellano per user_id/position_id, così anche quelle create dopo il piano del service finiscono nella cascata.
+-- Se qualcosa fallisce non resta nessuna scrittura a metà; il grafo lo aggiorna il service dopo il commit.
+
+create or replace function public.deactivate_user(p_user_id text, p_policy text, p_reason text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_positions jsonb;
+  v_position_ids text[];
+  v_outgoing text[];
+  v_incoming text[];
+  v_proposals text[];
+begin
+  if p_policy not in ('remove', 'vacancy') then
+    raise exception 'invalid deactivation policy: %', p_policy
+      using errcode = '22023';
+  end if;
+
+  perform 1 from public.users where id::text = p_user_id for update;
+  if not found then
+    raise exception 'user % not found', p_user_id
+      using errcode = 'P0002';
+  end if;
+
+  select coalesce(jsonb_agg(jsonb_build_object('id', p.id::text, 'title', p.title) order by p.id), '[]'::jsonb),
+         coalesce(array_agg(p.id::text order by p.id), '{}')
+    into v_positions, v_position_ids
+    from (
+      select id, title
+        from public.positions
+       where occupied_by::text = p_user_id
+         for update
+    ) p;
+
+  -- le proposte si cercano prima di cancellare: i partecipanti puntano alle candidature
+  select coalesce(array_agg(distinct pp.proposal_id::text), '{}')
+    into v_proposals
+    from public.swap_proposal_participants pp
+   where pp.user_id::text = p_user_id
+      or pp.application_id in (
+        select a.id
+          from public.applications a
+         where a.user_id::text = p_user_id
+            or (p_policy = 'remove' and a.position_id::text = any(v_position_ids))
+      );
+
+  with invalidated as (
+    update public.swap_proposals
+       set status = 'invalidated', closed_reason = p_reason, updated_at = now()
+     where id::text = any(v_proposals)
+       and status in ('open', 'confirmed')
+    returning id
+  )
+  select coalesce(array_agg(id::text order by id), '{}') into v_proposals from invalidated;
+
+  -- per user_id/position_id e non per gli id del piano: vale anche per le righe arrivate nel frattempo
+  with deleted as (
+    delete from public.applications a
+     where a.user_id::text = p_user_id
+        or (p_policy = 'remove' and a.position_id::text = any(v_position_ids))
+    returning a.id, a.user_id
+  )
+  select coalesce(array_agg(id::text order by id) filter (where user_id::text = p_user_id), '{}'),
+         coalesce(array_agg(id::text order by id) filter (where user_id::text is distinct from p_user_id), '{}')
+    into v_outgoing, v_incoming
+    from deleted;
+
+  -- con vacancy le candidature altrui restano e puntano alla posizione liberata
+  if p_policy = 'vacancy' then
+    select coalesce(array_agg(a.id::text order by a.id), '{}')
+      into v_incoming
+      from public.applications a
+     where a.position_id::text = any(v_position_ids)
+       and a.user_id::text is distinct from p_user_id;
+
+    update public.positions set occupied_by = null where id::text = any(v_position_ids);
+  end if;
+
+  update public.users set availability_status = 'inactive' where id::text = p_user_id;
+
+  return jsonb_build_object(
+    'outgoing', to_jsonb(v_outgoing),
+    'incoming', to_jsonb(v_incoming),
+    'ownPositions', v_positions,
+    'proposalsInvalidated', to_jsonb(v_proposals)
+  );
+end;
+$$;
+
+revoke execute on function public.deactivate_user(text, text, text) from public, anon, authenticated;